@@ -0,0 +1,68 @@
+// Which scan rows become alerts. Every emitted alert is recorded (state.js
+// recordAlerts), and that history drives two rules across runs:
+//
+//   cooldown  a market alerted within alertCooldownMs is skipped unless its score moved by
+//             alertMinScoreChange, its mid by alertMinPriceChange, or a different outcome is now the pick
+//   budget    at most maxAlertsPerDay alerts per UTC day (0 = no limit)
+//
+// so running scan from cron doesn't resend the same top markets every time.
+
+const DAY_MS = 86_400_000;
+
+export function dayStart(t) {
+  return Math.floor(t / DAY_MS) * DAY_MS;
+}
+
+// Recorded alerts have no id of their own; a market alerts at most once per scan.
+export function alertId(a) {
+  return `${a.t}:${a.marketId}:${a.tokenId}`;
+}
+
+// How far back selectAlerts needs history for.
+export function historySince(cfg, now = Date.now()) {
+  return Math.min(dayStart(now), now - (cfg.alertCooldownMs ?? 0));
+}
+
+// Why `row` may be alerted given the market's last alert: { emit, reason }.
+export function alertReason(row, last, cfg, now = Date.now()) {
+  if (!last) return { emit: true, reason: 'NEW' };
+  if (now - last.t >= cfg.alertCooldownMs) return { emit: true, reason: 'COOLDOWN_OVER' };
+  if (String(last.tokenId) !== String(row.tokenId)) return { emit: true, reason: 'OUTCOME_CHANGED' };
+  if (cfg.alertMinScoreChange > 0 && Math.abs(row.score - (last.score ?? 0)) >= cfg.alertMinScoreChange) {
+    return { emit: true, reason: 'SCORE_CHANGED' };
+  }
+  if (cfg.alertMinPriceChange > 0 && last.mid != null && Math.abs(row.mid - last.mid) >= cfg.alertMinPriceChange) {
+    return { emit: true, reason: 'PRICE_MOVED' };
+  }
+  return { emit: false, reason: 'COOLDOWN' };
+}
+
+// rows: scanMarkets rows, best first. history: recorded alerts since historySince().
+// Returns { emit, suppressed, usedToday, left }: up to maxAlerts rows to send (each with
+// `alertReason`), the rows held back on the way ({ row, reason }: COOLDOWN or DAILY_BUDGET),
+// alerts already sent today, and what is left of today's budget afterwards (null = no limit).
+export function selectAlerts(rows, history, cfg, now = Date.now()) {
+  const last = new Map();
+  for (const a of history) {
+    const k = String(a.marketId);
+    if (!last.has(k) || a.t > last.get(k).t) last.set(k, a);
+  }
+  const usedToday = history.filter((a) => a.t >= dayStart(now)).length;
+  let left = cfg.maxAlertsPerDay > 0 ? Math.max(0, cfg.maxAlertsPerDay - usedToday) : null;
+
+  const emit = [];
+  const suppressed = [];
+  for (const row of rows) {
+    if (emit.length >= cfg.maxAlerts) break;
+    const why = alertReason(row, last.get(String(row.marketId)), cfg, now);
+    if (!why.emit) {
+      suppressed.push({ row, reason: why.reason });
+    } else if (left === 0) {
+      suppressed.push({ row, reason: 'DAILY_BUDGET' });
+    } else {
+      emit.push({ ...row, alertReason: why.reason });
+      if (left != null) left -= 1;
+    }
+  }
+  return { emit, suppressed, usedToday, left };
+}
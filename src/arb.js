@@ -0,0 +1,84 @@
+// Arbitrage mode of the scanner: outcome sets whose books lock in a profit after fees
+// (see arbitrage.js). Reported in their own [ARB] format and as ARB notifications,
+// separate from the momentum alerts and their history.
+//
+//   npm run arb                                    one pass over the top markets
+//   npm run arb -- --watch --everyMs 15000         keep scanning
+//   npm run arb -- --feeBps 200 --minArbEdge 0.005 --maxArbNotional 500
+//   npm run arb -- --json
+
+import { fmtCents, sleep } from './utils.js';
+import { summarizeErrors } from './http.js';
+import { findArbitrage } from './arbitrage.js';
+import { notify } from './notify.js';
+import { ConfigError, loadConfig } from './config.js';
+
+const OPTIONS = {
+  minArbEdge: { type: 'number', min: 0, max: 1, default: 0.002 }, // per set, after fees
+  minArbProfit: { type: 'number', min: 0, default: 1 }, // USDC locked in per opportunity
+  maxArbNotional: { type: 'number', min: 1, default: 1000 }, // capital per opportunity
+  // Mispriced sets sit in thinner markets than momentum trades, so the volume floors are lower.
+  minVolume24h: { type: 'number', min: 0, default: 1000 },
+  minLiquidity: { type: 'number', min: 0, default: 1000 },
+  json: { type: 'boolean', default: false },
+  watch: { type: 'boolean', default: false },
+  everyMs: { type: 'integer', min: 1000, default: 30_000 },
+};
+
+const usd = (x) => `$${x.toFixed(2)}`;
+
+function arbToText(a, now = Date.now()) {
+  const set = a.kind === 'event' ? `event set of ${a.markets} markets (${a.payout === 1 ? 'YES' : 'NO'} side)` : `${a.kind} set`;
+  const buying = a.trade === 'BUY_ALL';
+  const lines = [
+    `[ARB] ${a.trade} ${set} — ${a.title}`,
+    `Locks in ${usd(a.profit)}: ${fmtCents(a.edge)}/set × ${a.sets.toFixed(1)} sets, ${(a.returnPct * 100).toFixed(2)}% on ${usd(a.capital)} (fees ${usd(a.fees)}) | first set ${fmtCents(a.topEdge)}`,
+    ...a.legs.map(
+      (l) =>
+        `  ${buying ? 'buy ' : 'sell'} ${l.shares.toFixed(1)} ${l.outcome} @ ${fmtCents(l.avgPrice)} avg (${fmtCents(l.bestPrice)}${l.worstPrice !== l.bestPrice ? ` → ${fmtCents(l.worstPrice)}` : ''})`
+    ),
+    buying
+      ? `Pays ${usd(a.sets * a.payout)} at resolution | ends in ${((Date.parse(a.endDate) - now) / 3600_000).toFixed(1)}h`
+      : `Split ${usd(a.capital)} of collateral into sets before selling${a.markets > 1 ? `; the complements kept pay ${usd(a.sets * (a.markets - a.payout))} at resolution` : ''} | ends in ${((Date.parse(a.endDate) - now) / 3600_000).toFixed(1)}h`,
+    a.url,
+  ];
+  return lines.join('\n');
+}
+
+async function main() {
+  const { cfg, printOnly } = await loadConfig(process.argv, { command: 'arb', options: OPTIONS });
+  if (printOnly) return;
+
+  for (;;) {
+    const now = Date.now();
+    const found = await findArbitrage(cfg, { now });
+
+    if (cfg.json) {
+      console.log(JSON.stringify(found, null, 2));
+    } else if (found.length === 0) {
+      if (!cfg.watch) console.log(`No locked-in edges above ${fmtCents(cfg.minArbEdge)}/set and ${usd(cfg.minArbProfit)} after fees (${cfg.feeBps}bps).`);
+    } else {
+      console.log(`Polymarket arbitrage — ${new Date(now).toISOString()}\n`);
+      for (const a of found) console.log(`${arbToText(a, now)}\n---`);
+    }
+
+    // One message per set and direction per dedupe window, however often it is seen.
+    await notify(found.map((a) => ({ type: 'ARB', key: `ARB:${a.key}:${a.trade}`, text: arbToText(a, now), data: a })));
+
+    if (!cfg.watch) {
+      const httpErrors = summarizeErrors();
+      if (httpErrors) console.error(`[http] errors during scan: ${httpErrors}`);
+      return;
+    }
+    await sleep(cfg.everyMs);
+  }
+}
+
+main().catch((err) => {
+  if (err instanceof ConfigError) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  console.error(err);
+  process.exit(1);
+});
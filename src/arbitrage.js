@@ -0,0 +1,169 @@
+// Locked-in edges across outcome sets. A set is a group of tokens of which exactly `payout`
+// pay $1 at resolution, whatever happens:
+//
+//   complement   a binary market's two tokens                              payout 1
+//   categorical  every outcome of a market with more than two               payout 1
+//   event        the YES tokens of a negRisk event (exactly one resolves)    payout 1
+//                ...or its NO tokens                                         payout n - 1
+//
+// Two trades lock in the difference:
+//
+//   BUY_ALL    buy one of every leg at the asks: edge per set = payout - sum(asks) - fees
+//   SELL_ALL   split collateral into full sets ($1 per market: the leg plus its complement),
+//              sell every leg at the bids and hold the complements, which pay (markets - payout):
+//              edge per set = sum(bids) - fees - payout. Capital tied up is $1 per market per set.
+//
+// Size comes from walking the books level by level: sets are added while the next one still
+// clears minArbEdge after taker fees (execution.js takerFee), up to maxArbNotional of capital.
+
+import { safeParseJsonArray, sortedLevels } from './utils.js';
+import { takerFee } from './execution.js';
+import { groupKey, restSource } from './engine.js';
+import { compileWatchlists } from './filters.js';
+
+// { sets, capital, profit, fees, topEdge, legs: [{ shares, avgPrice, bestPrice, worstPrice }] } or null.
+export function walkSets(books, trade, { payout, markets }, cfg) {
+  const side = trade === 'BUY_ALL' ? 'buy' : 'sell';
+  const levels = books.map((b) => sortedLevels(b, side));
+  if (levels.some((l) => l.length === 0)) return null;
+  const at = levels.map(() => 0);
+  const left = levels.map((l) => l[0].size);
+  const legs = levels.map((l) => ({ shares: 0, cash: 0, bestPrice: l[0].price, worstPrice: null }));
+
+  let sets = 0;
+  let capital = 0;
+  let profit = 0;
+  let fees = 0;
+  let topEdge = null;
+  let depth = true;
+  while (depth) {
+    const prices = levels.map((l, i) => l[at[i]].price);
+    const sum = prices.reduce((s, p) => s + p, 0);
+    const fee = prices.reduce((s, p) => s + takerFee(p, 1, cfg.feeBps), 0);
+    const edge = trade === 'BUY_ALL' ? payout - sum - fee : sum - fee - payout;
+    topEdge ??= edge;
+    if (edge <= 0 || edge < cfg.minArbEdge) break;
+
+    const perSet = trade === 'BUY_ALL' ? sum + fee : markets;
+    const take = Math.min(...left, (cfg.maxArbNotional - capital) / perSet);
+    if (take <= 1e-9) break;
+    sets += take;
+    capital += take * perSet;
+    profit += take * edge;
+    fees += take * fee;
+    for (const [i, p] of prices.entries()) {
+      legs[i].shares += take;
+      legs[i].cash += take * p;
+      legs[i].worstPrice = p;
+      left[i] -= take;
+      if (left[i] > 1e-9) continue;
+      at[i] += 1;
+      if (at[i] < levels[i].length) left[i] = levels[i][at[i]].size;
+      else depth = false; // this leg's book is used up
+    }
+  }
+
+  if (sets <= 0) return { sets: 0, capital: 0, profit: 0, fees: 0, topEdge, legs: [] };
+  return { sets, capital, profit, fees, topEdge, legs: legs.map(({ cash, ...l }) => ({ ...l, avgPrice: cash / l.shares })) };
+}
+
+const eventUrl = (ev, m) => (ev?.slug ? `https://polymarket.com/event/${ev.slug}` : `https://polymarket.com/market/${m.slug}`);
+
+// Outcome sets from the candidate markets: one per market, plus two per negRisk event.
+async function outcomeSets(markets, cfg, source) {
+  const sets = [];
+  const events = new Set();
+  for (const m of markets) {
+    const tokenIds = safeParseJsonArray(m.clobTokenIds).map(String);
+    const outcomes = safeParseJsonArray(m.outcomes);
+    if (tokenIds.length < 2) continue;
+    sets.push({
+      kind: tokenIds.length === 2 ? 'complement' : 'categorical',
+      key: `market:${m.id}`,
+      title: m.question,
+      url: `https://polymarket.com/market/${m.slug}`,
+      endDate: m.endDate,
+      payout: 1,
+      markets: 1,
+      legs: tokenIds.map((tokenId, i) => ({ tokenId, marketId: m.id, outcome: outcomes[i] ?? String(i) })),
+    });
+
+    const key = groupKey(m);
+    if (!key || events.has(key)) continue;
+    events.add(key);
+    let members = markets.filter((x) => groupKey(x) === key);
+    let ev = null;
+    const eventId = m.events?.[0]?.id;
+    if (source.event && eventId != null) {
+      try {
+        ev = await source.event(eventId);
+        if (Array.isArray(ev?.markets)) members = ev.markets.filter((x) => groupKey(x) === key);
+      } catch {
+        // fall back to the members present in the market list
+      }
+    }
+    // Augmented events can gain outcomes later, so their listed markets are not a complete set.
+    if (ev?.negRiskAugmented) continue;
+    members = members.filter((x) => x.closed === false && x.active !== false && x.enableOrderBook !== false);
+    if (members.length < 2 || members.length > cfg.maxGroupSize) continue;
+
+    const leg = (x, i) => {
+      const outs = safeParseJsonArray(x.outcomes);
+      return { tokenId: String(safeParseJsonArray(x.clobTokenIds)[i]), marketId: x.id, outcome: `${x.groupItemTitle ?? x.question}: ${outs[i] ?? (i ? 'No' : 'Yes')}` };
+    };
+    const base = { kind: 'event', title: ev?.title ?? m.events?.[0]?.title ?? m.question, url: eventUrl(ev ?? m.events?.[0], m), endDate: m.endDate, markets: members.length };
+    sets.push({ ...base, key: `event:${key}:yes`, payout: 1, legs: members.map((x) => leg(x, 0)) });
+    sets.push({ ...base, key: `event:${key}:no`, payout: members.length - 1, legs: members.map((x) => leg(x, 1)) });
+  }
+  return sets;
+}
+
+// Scans the top markets (same market list and filters as scanMarkets, without the spread and
+// move rules) and returns every executable BUY_ALL / SELL_ALL that locks in at least
+// minArbProfit, biggest profit first.
+export async function findArbitrage(cfg, { source = restSource, now = Date.now() } = {}) {
+  const watch = compileWatchlists(cfg.watchlist);
+  const endCutoffMs = now + cfg.maxEndHours * 3600_000;
+  const candidates = (await source.markets(cfg))
+    .filter((m) => m && m.closed === false && m.enableOrderBook && m.acceptingOrders !== false)
+    .filter((m) => Number(m.volume24hr ?? 0) >= cfg.minVolume24h)
+    .filter((m) => Number(m.liquidityNum ?? m.liquidity ?? 0) >= cfg.minLiquidity)
+    .filter((m) => {
+      const end = Date.parse(m.endDate);
+      return Number.isFinite(end) && end > now && end < endCutoffMs;
+    })
+    .filter((m) => safeParseJsonArray(m.outcomes).length <= cfg.maxOutcomes)
+    .filter((m) => !watch.active || watch.match(m, now).length > 0)
+    .slice(0, cfg.maxCandidates);
+
+  const bookCache = new Map();
+  const getBook = (t) => {
+    if (!bookCache.has(t)) bookCache.set(t, source.book(t));
+    return bookCache.get(t);
+  };
+
+  const found = [];
+  for (const set of await outcomeSets(candidates, cfg, source)) {
+    let books;
+    try {
+      books = await Promise.all(set.legs.map((l) => getBook(l.tokenId)));
+    } catch {
+      continue;
+    }
+    for (const trade of ['BUY_ALL', 'SELL_ALL']) {
+      const res = walkSets(books, trade, set, cfg);
+      if (!res || res.sets <= 0 || res.profit < cfg.minArbProfit) continue;
+      const { legs, ...sized } = res;
+      found.push({
+        t: now,
+        trade,
+        ...set,
+        ...sized,
+        edge: res.profit / res.sets,
+        returnPct: res.profit / res.capital,
+        legs: set.legs.map((l, i) => ({ ...l, ...legs[i] })),
+      });
+    }
+  }
+  return found.sort((a, b) => b.profit - a.profit);
+}
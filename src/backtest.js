@@ -0,0 +1,230 @@
+// Replays recorded markets/books through the same engine the daemon uses,
+// with a simulated clock, so configs can be compared on the same history.
+//
+// Input is a recorder tape directory (see tape.js) or one or more JSONL files
+// (optionally .gz), one event per line:
+//   { "t": 1770842204500, "type": "markets", "markets": [ ...gamma markets ] }
+//   { "t": 1770842204500, "type": "book", "tokenId": "123...", "book": { bids, asks } }
+//   { "t": 1770842204500, "type": "event", "eventId": "456", "event": { markets: [...] } }  (negRisk groups)
+
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { bestBidAsk, fmtCents, fmtDuration, parseTime } from './utils.js';
+import {
+  buildPosition,
+  executeEntry,
+  executeExit,
+  findOpportunity,
+  hasRoom,
+  shouldExit,
+  trackExits,
+} from './engine.js';
+import { mergeByTime, readTape, readTapeFile } from './tape.js';
+import { createExecutor } from './execution.js';
+import { createPriceHistory } from './prices.js';
+import { pickEntry } from './risk.js';
+import { sizeEntry } from './sizing.js';
+import { ConfigError, loadConfig } from './config.js';
+
+const OPTIONS = {
+  tape: { type: 'string', multiple: true, default: [] },
+  tapeDir: { type: 'string', default: null },
+  from: { type: 'string', default: null },
+  to: { type: 'string', default: null },
+  out: { type: 'string', default: null },
+  json: { type: 'boolean', default: false },
+};
+
+// Streams every input in time order without holding the tape in memory:
+// tape files are already time-ordered, so several of them merge by `t`.
+function streamEvents(args) {
+  const streams = [];
+  if (args.tapeDir) streams.push(readTape({ dir: args.tapeDir, from: args.from, to: args.to }));
+  for (const f of args.tapes) streams.push(inRange(readTapeFile(f), args.from, args.to));
+  return mergeByTime(streams);
+}
+
+async function* inRange(events, from, to) {
+  for await (const ev of events) if (ev.t >= from && ev.t <= to) yield ev;
+}
+
+// Latest-known view of the recorded world at the simulated clock.
+function replaySource(world) {
+  return {
+    markets: async () => world.markets,
+    book: async (tokenId) => {
+      const book = world.books.get(String(tokenId));
+      if (!book) throw new Error(`no recorded book for ${tokenId}`);
+      return book;
+    },
+    event: async (eventId) => {
+      const event = world.events.get(String(eventId));
+      if (!event) throw new Error(`no recorded event ${eventId}`);
+      return event;
+    },
+  };
+}
+
+async function runBacktest(events, cfg) {
+  const world = { markets: [], books: new Map(), events: new Map() };
+  const source = replaySource(world);
+  const state = { positions: [], snapshots: { byToken: {}, t: 0 } };
+  const prices = createPriceHistory(); // built from the tape as the clock advances
+  const closed = [];
+  const blocked = {}; // risk.js block reason -> entries it stopped
+
+  // Events pulled from the stream but not yet applied. Only the latency
+  // lookahead (clock + latencyMs) is ever held here.
+  const it = events[Symbol.asyncIterator]();
+  const ahead = [];
+  let exhausted = false;
+  const fill = async (at) => {
+    while (!exhausted && (ahead.length === 0 || ahead[ahead.length - 1].t <= at)) {
+      const r = await it.next();
+      if (r.done) exhausted = true;
+      else ahead.push(r.value);
+    }
+  };
+
+  await fill(-Infinity);
+  if (ahead.length === 0) return { closed, open: [], blocked, totals: summarize(closed) };
+
+  // Latency: an order decided at `clock` fills against the latest book recorded by clock + latencyMs.
+  const executor = createExecutor(cfg, {
+    nextBook: async (tokenId, at) => {
+      await fill(at);
+      let book = null;
+      for (const ev of ahead) {
+        if (ev.t > at) break;
+        if (ev.type === 'book' && String(ev.tokenId) === String(tokenId)) book = ev.book;
+      }
+      return book;
+    },
+  });
+
+  for (let clock = ahead[0].t; !exhausted || ahead.length > 0; clock += cfg.pollMs) {
+    await fill(clock);
+    while (ahead.length > 0 && ahead[0].t <= clock) {
+      const ev = ahead.shift();
+      if (ev.type === 'markets') world.markets = ev.markets ?? [];
+      if (ev.type === 'book') world.books.set(String(ev.tokenId), ev.book);
+      if (ev.type === 'event') world.events.set(String(ev.eventId), ev.event);
+    }
+
+    // Same order as the daemon: monitor open positions, then look for a new entry.
+    const still = [];
+    for (const p of state.positions) {
+      const book = world.books.get(String(p.tokenId));
+      const { bestBid, bestAsk } = bestBidAsk(book);
+      if (bestBid == null || bestAsk == null) {
+        still.push(p);
+        continue;
+      }
+
+      const mid = (bestBid + bestAsk) / 2;
+      p.lastMark = { t: clock, mid, bid: bestBid, ask: bestAsk };
+      state.snapshots.byToken[p.tokenId] = { mid, bid: bestBid, ask: bestAsk, t: clock };
+      prices.add(p.tokenId, { t: clock, mid });
+
+      const mark = { bid: bestBid, ask: bestAsk, mid };
+      const exitDecision = shouldExit(p, mark, clock);
+      trackExits(p, mark);
+      const done = exitDecision ? (await executeExit(executor, p, book, exitDecision, clock)).closed : null;
+      if (done) closed.push(done);
+      else still.push(p);
+    }
+    state.positions = still;
+
+    if (!hasRoom(state.positions, cfg)) continue;
+
+    const res = await findOpportunity(state, cfg, source, clock, prices);
+    for (const u of res.snapshotUpdates ?? []) {
+      state.snapshots.byToken[u.tokenId] = { mid: u.mid, bid: u.bid, ask: u.ask, vol24h: u.vol24h, t: clock };
+    }
+    state.snapshots.t = clock;
+    // Risk limits apply on the simulated clock; there is no kill switch in a replay.
+    const pick = await pickEntry(state.positions, res.candidates, cfg, { now: clock, closed, kill: null });
+    for (const b of pick.blocked) blocked[b.block.reason] = (blocked[b.block.reason] ?? 0) + 1;
+    const size = pick.op ? sizeEntry(pick.op, cfg, { positions: state.positions, closed }) : null;
+    if (size && size.notional < cfg.minNotional) blocked.SIZE_TOO_SMALL = (blocked.SIZE_TOO_SMALL ?? 0) + 1;
+    else if (size) {
+      const op = await executeEntry(executor, { ...pick.op, sizing: size }, size.notional, clock);
+      if (op) state.positions.push(buildPosition(op, cfg, clock));
+    }
+  }
+
+  return { closed, open: state.positions, blocked, totals: summarize(closed) };
+}
+
+function summarize(closed) {
+  const trades = closed.length;
+  const wins = closed.filter((c) => c.pnl > 0).length;
+  const totalPnl = closed.reduce((s, c) => s + c.pnl, 0);
+  const fees = closed.reduce((s, c) => s + (c.fees ?? 0), 0);
+
+  const byExitReason = {};
+  for (const c of closed) {
+    const r = (byExitReason[c.exitReason] ??= { trades: 0, pnl: 0 });
+    r.trades += 1;
+    r.pnl += c.pnl;
+  }
+
+  return {
+    trades,
+    wins,
+    winRate: trades ? wins / trades : 0,
+    totalPnl,
+    avgPnl: trades ? totalPnl / trades : 0,
+    fees,
+    byExitReason,
+  };
+}
+
+function printTotals(cfg, res) {
+  const t = res.totals;
+  console.log(`Backtest — tp ${fmtCents(cfg.tp)} sl ${fmtCents(cfg.sl)} minMove ${fmtCents(cfg.minMove)}/${cfg.moveWindowMs ? fmtDuration(cfg.moveWindowMs) : 'poll'} maxSpread ${fmtCents(cfg.maxSpread)} maxHold ${(cfg.maxHoldMs / 60000).toFixed(0)}m | fee ${cfg.feeBps}bps latency ${cfg.latencyMs}ms | sizing ${cfg.sizing}`);
+  for (const c of res.closed) {
+    console.log(
+      `[CLOSED] ${c.question} | $${c.notional.toFixed(2)} | entry ${fmtCents(c.entryAvg)} -> exit ${fmtCents(c.exitAvg)} | PnL $${c.pnl.toFixed(2)} | ${c.exitReason}`
+    );
+  }
+  console.log('---');
+  console.log(`Trades ${t.trades} | Win rate ${(t.winRate * 100).toFixed(1)}% | Avg PnL $${t.avgPnl.toFixed(2)} | Total PnL $${t.totalPnl.toFixed(2)} | Fees $${t.fees.toFixed(2)}`);
+  for (const [reason, r] of Object.entries(t.byExitReason)) {
+    console.log(`  ${reason}: ${r.trades} trades | PnL $${r.pnl.toFixed(2)}`);
+  }
+  const blocked = Object.entries(res.blocked);
+  if (blocked.length) console.log(`Entries blocked: ${blocked.map(([reason, n]) => `${reason} ×${n}`).join(', ')}`);
+  for (const p of res.open) console.log(`Still open at end of tape: ${p.question}`);
+}
+
+async function main() {
+  // Flags win over the config file so one file can be swept a knob at a time.
+  const { cfg: loaded, printOnly } = await loadConfig(process.argv, { command: 'backtest', options: OPTIONS });
+  if (printOnly) return;
+  const { tape, tapeDir, from, to, out, json, ...cfg } = loaded;
+  const args = { tapes: tape, tapeDir, from: from == null ? 0 : parseTime(from), to: to == null ? Infinity : parseTime(to, { endOfDay: true }), out, json, cfg };
+  if (Number.isNaN(args.from) || Number.isNaN(args.to)) throw new ConfigError(['--from/--to must be ISO dates or epoch ms']);
+  if (args.tapes.length === 0 && !args.tapeDir) {
+    throw new Error('usage: backtest (--tapeDir data/tape [--from ISO] [--to ISO] | --tape <file.jsonl[.gz]> ...) [--config cfg.json]');
+  }
+
+  const res = await runBacktest(streamEvents(args), args.cfg);
+
+  if (args.out) {
+    await fsp.mkdir(path.dirname(args.out), { recursive: true });
+    await fsp.writeFile(args.out, JSON.stringify({ config: args.cfg, ...res }, null, 2));
+  }
+
+  if (args.json) console.log(JSON.stringify({ config: args.cfg, ...res }, null, 2));
+  else printTotals(args.cfg, res);
+}
+
+main().catch((e) => {
+  if (e instanceof ConfigError) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  console.error(e);
+  process.exit(1);
+});
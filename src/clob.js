@@ -0,0 +1,179 @@
+// Authenticated CLOB trading client: post, look up and cancel orders. Books and
+// markets still come from the public endpoints (engine.js restSource). Only live.js
+// uses this, and only when the daemon runs with --live --confirmLive.
+//
+// Orders are EIP-712 signed for Polymarket's CTF Exchange (the neg-risk exchange for
+// negRisk markets), which needs the optional `ethers` package. Every request carries the
+// L2 API-key headers (HMAC-SHA256 over timestamp + method + path + body). Credentials
+// come from the environment:
+//
+//   POLY_PRIVATE_KEY                                     signing key
+//   POLY_FUNDER                                          address holding the funds (proxy / safe wallets; default: the key's address)
+//   POLY_SIGNATURE_TYPE                                  0 EOA (default), 1 Polymarket proxy, 2 Gnosis safe
+//   POLY_API_KEY, POLY_API_SECRET, POLY_API_PASSPHRASE   L2 API credentials
+//
+// Nothing here is retried: an order POST that times out may still have been placed,
+// so it is reported instead of sent twice. Such errors carry `uncertain: true` and the
+// order's id (its EIP-712 hash, known before sending), for live.js to look it up.
+
+import crypto from 'node:crypto';
+import { CLOB_BASE } from './utils.js';
+
+export class ClobError extends Error {
+  constructor(message, status = null, body = null) {
+    super(message);
+    this.name = 'ClobError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const CHAIN_ID = 137; // Polygon
+const EXCHANGES = {
+  ctf: '0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E',
+  negRisk: '0xC5d563A36AE78145C45a50134d48A1215220f80a',
+};
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ORDER_TYPES = {
+  Order: [
+    { name: 'salt', type: 'uint256' },
+    { name: 'maker', type: 'address' },
+    { name: 'signer', type: 'address' },
+    { name: 'taker', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'makerAmount', type: 'uint256' },
+    { name: 'takerAmount', type: 'uint256' },
+    { name: 'expiration', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'feeRateBps', type: 'uint256' },
+    { name: 'side', type: 'uint8' },
+    { name: 'signatureType', type: 'uint8' },
+  ],
+};
+
+// USDC and outcome tokens both have 6 decimals.
+const units = (x) => String(Math.round(x * 1e6));
+
+// { creds, missing }: missing lists the env vars still needed.
+export function readCredentials(env = process.env) {
+  const creds = {
+    privateKey: env.POLY_PRIVATE_KEY ?? null,
+    funder: env.POLY_FUNDER ?? null,
+    signatureType: Number(env.POLY_SIGNATURE_TYPE ?? 0),
+    apiKey: env.POLY_API_KEY ?? null,
+    secret: env.POLY_API_SECRET ?? null,
+    passphrase: env.POLY_API_PASSPHRASE ?? null,
+  };
+  const missing = ['POLY_PRIVATE_KEY', 'POLY_API_KEY', 'POLY_API_SECRET', 'POLY_API_PASSPHRASE'].filter((k) => !env[k]);
+  if (![0, 1, 2].includes(creds.signatureType)) missing.push('POLY_SIGNATURE_TYPE (0, 1 or 2)');
+  return { creds, missing };
+}
+
+// The unsigned order for buying/selling `size` shares at `price`. Buys pay price × size USDC
+// for size shares; sells give size shares for price × size USDC.
+export function buildOrder({ tokenId, side, price, size, feeRateBps = 0 }, { maker, signer, signatureType = 0 }) {
+  const usdc = units(price * size);
+  const shares = units(size);
+  return {
+    salt: String(Math.round(Math.random() * Date.now())),
+    maker,
+    signer,
+    taker: ZERO_ADDRESS,
+    tokenId: String(tokenId),
+    makerAmount: side === 'BUY' ? usdc : shares,
+    takerAmount: side === 'BUY' ? shares : usdc,
+    expiration: '0',
+    nonce: '0',
+    feeRateBps: String(feeRateBps),
+    side: side === 'BUY' ? 0 : 1,
+    signatureType,
+  };
+}
+
+// A wallet from the private key: { address, sign(order, { negRisk }) -> signature,
+// orderId(order, { negRisk }) -> the id the CLOB will give the order }.
+export async function createSigner(privateKey) {
+  let ethers;
+  try {
+    ethers = await import('ethers');
+  } catch {
+    throw new ClobError('signing CLOB orders needs the optional `ethers` package (npm install ethers)');
+  }
+  const wallet = new ethers.Wallet(privateKey);
+  const domain = (negRisk) => ({ name: 'Polymarket CTF Exchange', version: '1', chainId: CHAIN_ID, verifyingContract: negRisk ? EXCHANGES.negRisk : EXCHANGES.ctf });
+  // ethers v6 names them signTypedData / TypedDataEncoder, v5 _signTypedData / utils._TypedDataEncoder.
+  const encoder = ethers.TypedDataEncoder ?? ethers.utils._TypedDataEncoder;
+  return {
+    address: wallet.address,
+    sign(order, { negRisk = false } = {}) {
+      return wallet.signTypedData ? wallet.signTypedData(domain(negRisk), ORDER_TYPES, order) : wallet._signTypedData(domain(negRisk), ORDER_TYPES, order);
+    },
+    orderId: (order, { negRisk = false } = {}) => encoder.hash(domain(negRisk), ORDER_TYPES, order),
+  };
+}
+
+function l2Headers(creds, address, method, path, body = '') {
+  const ts = String(Math.floor(Date.now() / 1000));
+  const sig = crypto
+    .createHmac('sha256', Buffer.from(creds.secret, 'base64'))
+    .update(`${ts}${method}${path}${body}`)
+    .digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+  return { POLY_ADDRESS: address, POLY_SIGNATURE: sig, POLY_TIMESTAMP: ts, POLY_API_KEY: creds.apiKey, POLY_PASSPHRASE: creds.passphrase };
+}
+
+// signer: createSigner(), or anything with { address, sign(order, { negRisk }), orderId(order, { negRisk }) }.
+export function createClobClient({ creds, signer, host = CLOB_BASE, timeoutMs = 10_000 }) {
+  async function request(method, path, payload) {
+    const body = payload === undefined ? '' : JSON.stringify(payload);
+    let res;
+    try {
+      res = await fetch(`${host}${path}`, {
+        method,
+        headers: { 'content-type': 'application/json', ...l2Headers(creds, signer.address, method, path, body) },
+        body: body || undefined,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (e) {
+      throw new ClobError(`${method} ${path}: ${e.name === 'TimeoutError' ? `no answer after ${timeoutMs}ms` : e.message}`);
+    }
+    const text = await res.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      // keep the raw text for the error below
+    }
+    if (!res.ok) throw new ClobError(`${method} ${path}: HTTP ${res.status} ${json?.error ?? json?.errorMsg ?? text.slice(0, 200)}`, res.status, json ?? text);
+    return json;
+  }
+
+  return {
+    address: signer.address,
+    // { tokenId, side: 'BUY' | 'SELL', price, size, type: 'GTC' | 'FAK' | 'FOK', negRisk, feeRateBps }.
+    // Resolves to the CLOB's answer: { success, orderID, status, makingAmount, takingAmount, errorMsg }.
+    async postOrder({ type, negRisk = false, ...args }) {
+      const order = buildOrder(args, { maker: creds.funder ?? signer.address, signer: signer.address, signatureType: creds.signatureType });
+      const signature = await signer.sign(order, { negRisk });
+      const orderID = (await signer.orderId?.(order, { negRisk })) ?? null;
+      let res;
+      try {
+        res = await request('POST', '/order', {
+          order: { ...order, salt: Number(order.salt), side: args.side, signature },
+          owner: creds.apiKey,
+          orderType: type,
+        });
+      } catch (e) {
+        // No answer, or a server error: the order may be on the book all the same.
+        if (e.status == null || e.status >= 500) Object.assign(e, { uncertain: true, orderID });
+        throw e;
+      }
+      if (res?.success === false || !res?.orderID) throw new ClobError(`order rejected: ${res?.errorMsg || 'no order id'}`, null, res);
+      return res;
+    },
+    // { id, status, side, original_size, size_matched, price, ... } or null if unknown.
+    getOrder: (id) => request('GET', `/data/order/${id}`),
+    cancelOrder: (id) => request('DELETE', '/order', { orderID: id }),
+  };
+}
@@ -0,0 +1,400 @@
+// Shared config loader for the CLIs. Effective settings are merged, lowest to highest:
+//
+//   defaultConfig() + command defaults
+//   config file (--config <file.json|.yaml> or PM_CONFIG): top-level keys, then its "<command>" section
+//   profile (--profile <name> or PM_PROFILE): built-in PROFILES, or "profiles" in the config file
+//   env vars: PM_<KEY> in upper snake case (PM_MAX_SPREAD=0.03), for SCHEMA keys only
+//   CLI flags: --key value, --key=value, --flag / --no-flag
+//
+// Every value is checked against SCHEMA (plus the command's own options); all
+// problems are reported at once as a ConfigError. --print-config prints the
+// effective settings and where each came from; the caller then exits.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseDuration } from './utils.js';
+import { defaultConfig } from './engine.js';
+import { compileStrategy, loadStrategy } from './signals.js';
+import { normalizeFilter } from './filters.js';
+import { readWatchlists } from './state.js';
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`invalid configuration:\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Commands that use the loader. Each one's name is also its section in a config file.
+export const COMMANDS = ['scan', 'daemon', 'paper', 'backtest', 'server', 'record', 'outcomes', 'risk', 'arb', 'report', 'history', 'mock-clob'];
+
+// Engine settings every command understands. Types: number, integer, boolean, string, durations, strategy, scaleOut, watchlist.
+export const SCHEMA = {
+  notional: { type: 'number', min: 1 },
+  scanLimit: { type: 'integer', min: 1, max: 1000 },
+  minVolume24h: { type: 'number', min: 0 },
+  minLiquidity: { type: 'number', min: 0 },
+  maxAlerts: { type: 'integer', min: 1 },
+  maxAlertsPerDay: { type: 'integer', min: 0 },
+  alertCooldownMs: { type: 'integer', min: 0 },
+  alertMinScoreChange: { type: 'number', min: 0 },
+  alertMinPriceChange: { type: 'number', min: 0, max: 1 },
+  outcomeHorizons: { type: 'durations' },
+  maxCandidates: { type: 'integer', min: 1 },
+  maxOutcomes: { type: 'integer', min: 2 },
+  maxGroupSize: { type: 'integer', min: 2 },
+  maxEndHours: { type: 'number', min: 0 },
+  maxSpread: { type: 'number', min: 0, max: 1 },
+  minMove: { type: 'number', min: 0, max: 1 },
+  moveWindowMs: { type: 'integer', min: 0 },
+  backfillPrices: { type: 'boolean' },
+  tp: { type: 'number', min: 0.001, max: 1 },
+  sl: { type: 'number', min: 0.001, max: 1 },
+  maxHoldMs: { type: 'integer', min: 1000 },
+  pollMs: { type: 'integer', min: 1000 },
+  maxOpenPositions: { type: 'integer', min: 1 },
+  maxNotionalPerMarket: { type: 'number', min: 0 },
+  maxExposure: { type: 'number', min: 0 },
+  sizing: { type: 'string', values: ['fixed', 'bankroll', 'kelly'] },
+  bankroll: { type: 'number', min: 1 },
+  bankrollPct: { type: 'number', min: 0, max: 1 },
+  kellyFraction: { type: 'number', min: 0, max: 1 },
+  winProb: { type: 'number', min: 0, max: 1 },
+  winProbPriorTrades: { type: 'number', min: 0 },
+  maxSlippage: { type: 'number', min: 0, max: 1 },
+  minNotional: { type: 'number', min: 0 },
+  maxExposurePerCategory: { type: 'number', min: 0 },
+  maxDailyLoss: { type: 'number', min: 0 },
+  maxConsecutiveLosses: { type: 'integer', min: 0 },
+  lossStreakCooldownMs: { type: 'integer', min: 0 },
+  reentryCooldownMs: { type: 'integer', min: 0 },
+  killSwitchFile: { type: 'string' },
+  trailCents: { type: 'number', min: 0, max: 1 },
+  trailPct: { type: 'number', min: 0, max: 1 },
+  breakevenAfter: { type: 'number', min: 0, max: 1 },
+  scaleOut: { type: 'scaleOut' },
+  exitBeforeEndMs: { type: 'integer', min: 0 },
+  maxExitSpread: { type: 'number', min: 0, max: 1 },
+  exitTrigger: { type: 'string', values: ['bid', 'mid'] },
+  feeBps: { type: 'number', min: 0, max: 10_000 },
+  tickSize: { type: 'number', min: 0, max: 0.1 },
+  latencyMs: { type: 'integer', min: 0 },
+  impactDecayMs: { type: 'integer', min: 0 },
+  strategy: { type: 'strategy' },
+  watchlist: { type: 'watchlist', multiple: true },
+};
+
+export const PROFILES = {
+  conservative: {
+    notional: 100,
+    minVolume24h: 100_000,
+    minLiquidity: 25_000,
+    maxSpread: 0.01,
+    minMove: 0.03,
+    tp: 0.02,
+    sl: 0.015,
+    maxHoldMs: 30 * 60_000,
+    maxOpenPositions: 2,
+    maxNotionalPerMarket: 100,
+    maxExposure: 200,
+    maxExposurePerCategory: 100,
+    maxDailyLoss: 50,
+    maxConsecutiveLosses: 2,
+  },
+  aggressive: {
+    notional: 300,
+    minVolume24h: 20_000,
+    minLiquidity: 5_000,
+    maxSpread: 0.03,
+    minMove: 0.015,
+    tp: 0.04,
+    sl: 0.03,
+    maxHoldMs: 120 * 60_000,
+    maxOpenPositions: 5,
+    maxNotionalPerMarket: 400,
+    maxExposure: 1500,
+    maxExposurePerCategory: 900,
+    maxDailyLoss: 500,
+    maxConsecutiveLosses: 5,
+  },
+};
+
+// Flags handled by the loader itself.
+const META = ['config', 'profile', 'print-config'];
+
+const envName = (key) => `PM_${key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+
+function suggest(key, known) {
+  const k = key.toLowerCase();
+  const hit = known.find((x) => x.toLowerCase() === k || x.toLowerCase().startsWith(k) || k.startsWith(x.toLowerCase()));
+  return hit ? ` (did you mean "${hit}"?)` : '';
+}
+
+// Coerces a value (string from env/CLI, or JSON/YAML value) to the spec's type, or returns an error string.
+function coerce(spec, v) {
+  const fromText = typeof v === 'string';
+  switch (spec.type) {
+    case 'number':
+    case 'integer': {
+      const n = fromText ? (v.trim() === '' ? NaN : Number(v.replace(/_/g, ''))) : v;
+      if (typeof n !== 'number' || !Number.isFinite(n)) return { error: `expected a number, got ${JSON.stringify(v)}` };
+      if (spec.type === 'integer' && !Number.isInteger(n)) return { error: `expected an integer, got ${JSON.stringify(v)}` };
+      if (spec.min != null && n < spec.min) return { error: `must be >= ${spec.min}, got ${n}` };
+      if (spec.max != null && n > spec.max) return { error: `must be <= ${spec.max}, got ${n}` };
+      return { value: n };
+    }
+    case 'boolean': {
+      if (typeof v === 'boolean') return { value: v };
+      if (fromText && /^(true|1|yes|on)$/i.test(v)) return { value: true };
+      if (fromText && /^(false|0|no|off)$/i.test(v)) return { value: false };
+      return { error: `expected true/false, got ${JSON.stringify(v)}` };
+    }
+    case 'string':
+      if (typeof v !== 'string' && typeof v !== 'number') return { error: `expected a string, got ${JSON.stringify(v)}` };
+      if (spec.values && !spec.values.includes(String(v))) return { error: `must be one of ${spec.values.join('|')}, got ${JSON.stringify(v)}` };
+      return { value: String(v) };
+    case 'durations': {
+      // "5m,1h" or a list of "5m" / milliseconds; sorted, duplicates dropped.
+      const items = typeof v === 'string' ? v.split(',').filter((x) => x.trim()) : Array.isArray(v) ? v : [v];
+      const ms = items.map(parseDuration);
+      const bad = items.find((x, i) => !(ms[i] > 0));
+      if (bad !== undefined) return { error: `expected durations like "5m,15m,1h", got ${JSON.stringify(bad)}` };
+      return { value: [...new Set(ms)].sort((a, b) => a - b) };
+    }
+    case 'scaleOut':
+      return coerceScaleOut(v);
+    case 'strategy':
+      // A path to a strategy file, or the strategy object itself (config file only).
+      if (typeof v === 'string' || (v && typeof v === 'object' && !Array.isArray(v))) return { value: v };
+      return { error: 'expected a strategy file path or { "signals": {...} }' };
+    case 'watchlist':
+      // A saved watchlist name, or the filter itself (config file only).
+      if (typeof v === 'string' || (v && typeof v === 'object' && !Array.isArray(v))) return { value: v };
+      return { error: 'expected a watchlist name or { "tags": [...], ... }' };
+    default:
+      return { error: `unknown type ${spec.type}` };
+  }
+}
+
+// Scale-out steps: "0.01:0.5,0.03:0.25" (cents above entry : fraction of the entry shares),
+// or from a config file [{ "at": 0.01, "fraction": 0.5 }] / [[0.01, 0.5]].
+function coerceScaleOut(v) {
+  const items = typeof v === 'string' ? v.split(',').filter((s) => s.trim()).map((s) => s.split(':').map(Number)) : v;
+  if (!Array.isArray(items)) return { error: `expected "at:fraction,..." or a list of { at, fraction }, got ${JSON.stringify(v)}` };
+  const steps = [];
+  for (const it of items) {
+    const [at, fraction] = Array.isArray(it) ? it : [it?.at, it?.fraction];
+    if (!Number.isFinite(at) || at <= 0 || at >= 1) return { error: `scale-out level must be in (0, 1), got ${JSON.stringify(it)}` };
+    if (!Number.isFinite(fraction) || fraction <= 0 || fraction > 1) return { error: `scale-out fraction must be in (0, 1], got ${JSON.stringify(it)}` };
+    steps.push({ at, fraction });
+  }
+  if (steps.reduce((s, x) => s + x.fraction, 0) > 1 + 1e-9) return { error: 'scale-out fractions add up to more than 1' };
+  return { value: steps };
+}
+
+function coerceAll(spec, values) {
+  const out = [];
+  for (const v of values) {
+    const r = coerce(spec, v);
+    if (r.error) return r;
+    out.push(r.value);
+  }
+  return { value: out };
+}
+
+async function readConfigFile(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    throw new ConfigError([`can't read config file ${file}: ${e.code === 'ENOENT' ? 'not found' : e.message}`]);
+  }
+  const ext = path.extname(file).toLowerCase();
+  try {
+    if (ext === '.yaml' || ext === '.yml') {
+      let YAML;
+      try {
+        YAML = (await import('yaml')).default;
+      } catch {
+        throw new Error('YAML config files need the optional `yaml` package (npm install yaml), or use JSON');
+      }
+      return YAML.parse(raw) ?? {};
+    }
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new ConfigError([`${file}: ${e.message}`]);
+  }
+}
+
+// Splits argv into { flags: [[key, value|undefined, raw]], positional }.
+function splitArgv(argv) {
+  const flags = [];
+  const positional = [];
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) {
+      positional.push(a);
+      continue;
+    }
+    const eq = a.indexOf('=');
+    const key = eq === -1 ? a.slice(2) : a.slice(2, eq);
+    const inline = eq === -1 ? undefined : a.slice(eq + 1);
+    flags.push({ key, inline, next: () => (i + 1 < argv.length && !argv[i + 1].startsWith('--') ? argv[++i] : undefined) });
+  }
+  return { flags, positional };
+}
+
+// options: the command's own settings, { name: { type, default, multiple?, min?, max? } }.
+// aliases: { flagName: settingName } for legacy flag names (e.g. scan's --limit).
+// Returns { cfg, positional, printOnly }; with printOnly the settings were printed and the command should exit.
+export async function loadConfig(argv, { command, options = {}, aliases = {}, env = process.env } = {}) {
+  if (command && !COMMANDS.includes(command)) throw new Error(`loadConfig: unknown command "${command}" (add it to COMMANDS)`);
+  const schema = { ...SCHEMA, ...options };
+  const known = Object.keys(schema);
+  const problems = [];
+  const cfg = defaultConfig();
+  const sources = Object.fromEntries(Object.keys(cfg).map((k) => [k, 'default']));
+  for (const [k, spec] of Object.entries(options)) {
+    if (spec.default !== undefined) {
+      cfg[k] = spec.default;
+      sources[k] = 'default';
+    }
+  }
+
+  const apply = (obj, source, { allowSections = false } = {}) => {
+    for (const [k, v] of Object.entries(obj ?? {})) {
+      if (allowSections && (k === 'profiles' || COMMANDS.includes(k))) continue;
+      const spec = schema[k];
+      if (!spec) {
+        problems.push(`${source}: unknown setting "${k}"${suggest(k, known)}`);
+        continue;
+      }
+      const r = spec.multiple ? coerceAll(spec, Array.isArray(v) ? v : [v]) : coerce(spec, v);
+      if (r.error) problems.push(`${source}: ${k} ${r.error}`);
+      else {
+        cfg[k] = r.value;
+        sources[k] = source;
+      }
+    }
+  };
+
+  // Meta flags first: they decide which file and profile apply.
+  const { flags, positional } = splitArgv(argv);
+  let configFile = env.PM_CONFIG || null;
+  let profile = env.PM_PROFILE || null;
+  let printConfig = false;
+  const rest = [];
+  for (const f of flags) {
+    if (f.key === 'config') configFile = f.inline ?? f.next() ?? null;
+    else if (f.key === 'profile') profile = f.inline ?? f.next() ?? null;
+    else if (f.key === 'print-config') printConfig = true;
+    else rest.push(f);
+  }
+
+  let file = {};
+  if (configFile) {
+    file = await readConfigFile(configFile);
+    if (!file || typeof file !== 'object' || Array.isArray(file)) throw new ConfigError([`${configFile}: expected an object at the top level`]);
+    apply(file, configFile, { allowSections: true });
+    if (command && file[command]) apply(file[command], `${configFile} [${command}]`);
+  }
+
+  if (profile) {
+    const p = file.profiles?.[profile] ?? PROFILES[profile];
+    if (!p) {
+      const names = [...new Set([...Object.keys(PROFILES), ...Object.keys(file.profiles ?? {})])];
+      problems.push(`unknown profile "${profile}" (available: ${names.join(', ')})`);
+    } else {
+      apply(p, `profile ${profile}`);
+    }
+  }
+
+  // Command options stay off the environment: PM_ID or PM_JSON set for one command would leak into another.
+  for (const k of Object.keys(SCHEMA)) {
+    const name = envName(k);
+    if (env[name] !== undefined) apply({ [k]: SCHEMA[k].multiple ? env[name].split(',') : env[name] }, `env ${name}`);
+  }
+
+  const fromCli = {};
+  for (const f of rest) {
+    let key = aliases[f.key] ?? f.key;
+    let negated = false;
+    if (!schema[key] && key.startsWith('no-') && schema[key.slice(3)]?.type === 'boolean') {
+      key = key.slice(3);
+      negated = true;
+    }
+    const spec = schema[key];
+    if (!spec) {
+      problems.push(`unknown flag --${f.key}${suggest(f.key, [...known, ...META])}`);
+      continue;
+    }
+    if (spec.type === 'boolean') {
+      const r = negated ? { value: false } : f.inline === undefined ? { value: true } : coerce(spec, f.inline);
+      if (r.error) problems.push(`--${f.key}: ${r.error}`);
+      else fromCli[key] = r.value;
+      continue;
+    }
+    const v = f.inline ?? f.next();
+    if (v === undefined) {
+      problems.push(`--${f.key} needs a value`);
+      continue;
+    }
+    const r = coerce(spec, v);
+    if (r.error) problems.push(`--${f.key}: ${r.error}`);
+    else if (spec.multiple) fromCli[key] = [...(fromCli[key] ?? []), r.value];
+    else fromCli[key] = r.value;
+  }
+  for (const [k, v] of Object.entries(fromCli)) {
+    cfg[k] = v;
+    sources[k] = 'cli';
+  }
+
+  // Strategy files are resolved relative to the working directory, like every other path.
+  if (typeof cfg.strategy === 'string') {
+    try {
+      cfg.strategy = await loadStrategy(cfg.strategy);
+    } catch (e) {
+      problems.push(`strategy: ${e.message}`);
+    }
+  } else if (cfg.strategy) {
+    try {
+      compileStrategy(cfg.strategy);
+    } catch (e) {
+      problems.push(`strategy: ${e.message}`);
+    }
+  }
+
+  // Watchlist names are looked up in the saved lists (npm run watchlist); inline ones are checked as-is.
+  if (cfg.watchlist?.length) {
+    let saved = null;
+    const resolved = [];
+    for (const w of cfg.watchlist) {
+      try {
+        if (typeof w === 'string') {
+          saved ??= await readWatchlists();
+          if (!saved[w]) throw new Error(`no saved watchlist "${w}"${suggest(w, Object.keys(saved))}`);
+          resolved.push({ name: w, ...normalizeFilter(saved[w], w) });
+        } else {
+          resolved.push({ name: w.name ?? 'inline', ...normalizeFilter(w, w.name ?? 'inline watchlist') });
+        }
+      } catch (e) {
+        problems.push(`watchlist: ${e.message}`);
+      }
+    }
+    cfg.watchlist = resolved;
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+
+  if (printConfig) printEffective(cfg, sources, { command, configFile, profile });
+  return { cfg, positional, printOnly: printConfig };
+}
+
+function printEffective(cfg, sources, { command, configFile, profile }) {
+  console.log(`# effective config for ${command ?? 'command'}${configFile ? ` (file ${configFile})` : ''}${profile ? ` (profile ${profile})` : ''}`);
+  const width = Math.max(...Object.keys(cfg).map((k) => k.length));
+  for (const [k, v] of Object.entries(cfg)) {
+    console.log(`${k.padEnd(width)}  ${JSON.stringify(v)}  # ${sources[k] ?? 'default'}`);
+  }
+}
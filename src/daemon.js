@@ -1,167 +1,365 @@
-import { CLOB_BASE, bestBidAsk, fetchJson, fmtCents, marketFill, sleep } from './utils.js';
-import { appendTradeLog, readState, writeClosedSummary, writeState } from './state.js';
-import { buildPosition, defaultConfig, findOpportunity, shouldExit } from './engine.js';
-
-function parseArgs(argv) {
-  const cfg = defaultConfig();
-  for (let i = 2; i < argv.length; i++) {
-    const a = argv[i];
-    if (!a.startsWith('--')) continue;
-    const [k, v] = a.slice(2).split('=');
-    const next = v ?? argv[i + 1];
-    const read = () => (v ? v : (i++, next));
-
-    if (k === 'notional') cfg.notional = Number(read());
-    if (k === 'minMove') cfg.minMove = Number(read());
-    if (k === 'maxSpread') cfg.maxSpread = Number(read());
-    if (k === 'pollMs') cfg.pollMs = Number(read());
-    if (k === 'minVolume24h') cfg.minVolume24h = Number(read());
-    if (k === 'minLiquidity') cfg.minLiquidity = Number(read());
-  }
-  return cfg;
+import { CLOB_BASE, bestBidAsk, fmtCents, sleep } from './utils.js';
+import { appendTradeLog, listClosedSummaries, mergeState, reconcileState, updateState, writeClosedSummary } from './state.js';
+import {
+  buildPosition,
+  executeEntry,
+  executeExit,
+  findOpportunity,
+  hasRoom,
+  restSource,
+  shouldExit,
+  trackExits,
+} from './engine.js';
+import { createTapeWriter, recordingSource } from './tape.js';
+import { createMarketStream, streamSource } from './marketdata.js';
+import { notify } from './notify.js';
+import { createExecutor } from './execution.js';
+import { checkLiveFlags, createLiveExecutor } from './live.js';
+import { createPriceHistory, loadPriceHistory } from './prices.js';
+import { ACCOUNT_BLOCKS, describeBlock, pickEntry, recordBlock } from './risk.js';
+import { sizeEntry } from './sizing.js';
+import { ConfigError, loadConfig } from './config.js';
+
+const OPTIONS = {
+  record: { type: 'boolean', default: false }, // tee every markets/book response into data/tape
+  ws: { type: 'boolean', default: false }, // stream held-token books over the market WebSocket
+  // Live CLOB orders (live.js): --live alone is a dry run; real orders also need --confirmLive on the command line.
+  live: { type: 'boolean', default: false },
+  confirmLive: { type: 'boolean', default: false },
+  orderType: { type: 'string', values: ['marketable', 'limit'], default: 'marketable' },
+  liveSlippage: { type: 'number', min: 0, max: 0.5, default: 0.01 }, // how far past the touch a marketable order may fill
+  orderTimeoutMs: { type: 'integer', min: 1000, default: 10_000 }, // cancel what hasn't filled after this
+};
+
+const lastMarkLogged = new Map();
+
+// Rolling price series for windowed moves (prices.js); loaded in run(), flushed at most every PRICE_FLUSH_MS.
+let prices = createPriceHistory();
+const PRICE_FLUSH_MS = 60_000;
+
+// The daemon works on an in-memory copy of the state and writes these fields back after each
+// change. The state lock is held only for that read-merge-write, never across network calls.
+const OWN_FIELDS = ['positions', 'snapshots', 'lastScanAt', 'lastClosedId'];
+
+// Saves the working copy. Saves asked for while one is being written coalesce into one more write.
+function createSaver(state) {
+  let running = null;
+  let again = false;
+  const loop = async () => {
+    try {
+      do {
+        again = false;
+        await mergeState(state, OWN_FIELDS);
+      } while (again);
+    } finally {
+      running = null;
+    }
+  };
+  return () => {
+    if (running) again = true;
+    else running = loop();
+    return running;
+  };
+}
+
+// One evaluation at a time per position (poll loop vs. stream updates). Other positions and the
+// entry scan don't wait on it, so a stream exit never queues behind a scan.
+function perPosition() {
+  const tails = new Map();
+  return (p, fn) => {
+    const run = (tails.get(p.id) ?? Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    tails.set(p.id, tail);
+    tail.then(() => tails.get(p.id) === tail && tails.delete(p.id));
+    return run;
+  };
 }
 
 async function markAndSnapshot(state, tokenId, mid, bid, ask) {
   state.snapshots.byToken[tokenId] = { mid, bid, ask, t: Date.now() };
+  prices.add(tokenId, { t: Date.now(), mid });
   state.snapshots.t = Date.now();
 }
 
-async function run() {
-  const cfg = parseArgs(process.argv);
+async function reportBlock(block, op) {
+  const logged = await recordBlock(block, op);
+  if (!logged) return;
+  const line = `[BLOCK] ${describeBlock(logged)}`;
+  console.log(line);
+  // Account-wide stops are worth a message; the notifier's dedupe keeps it to one per reason and day.
+  if (ACCOUNT_BLOCKS.has(block.reason)) {
+    await notify({ type: 'BLOCK', key: `BLOCK:${block.reason}:${new Date().toISOString().slice(0, 10)}`, text: line, data: logged });
+  }
+}
 
-  // eslint-disable-next-line no-constant-condition
-  while (true) {
-    const state = await readState();
-
-    if (!state.openPosition) {
-      const res = await findOpportunity(state, cfg);
-
-      // Update snapshots even if we don't enter (so moves are meaningful).
-      for (const u of res.snapshotUpdates ?? []) {
-        state.snapshots.byToken[u.tokenId] = { mid: u.mid, bid: u.bid, ask: u.ask, t: Date.now() };
-      }
-      state.snapshots.t = Date.now();
-      state.lastScanAt = Date.now();
-      await writeState(state);
-
-      if (!res.best) {
-        await sleep(cfg.pollMs);
-        continue;
-      }
-
-      const position = buildPosition(res.best, cfg);
-      state.openPosition = position;
-
-      await appendTradeLog(position.id, {
-        t: Date.now(),
-        type: 'OPEN',
-        marketId: position.marketId,
-        tokenId: position.tokenId,
-        question: position.question,
-        url: position.url,
-        notional: position.notional,
-        entry: position.entry,
-        exits: position.exits,
-      });
-
-      await markAndSnapshot(state, position.tokenId, position.lastMark.mid, position.lastMark.bid, position.lastMark.ask);
-      await writeState(state);
-
-      // Next loop tick will monitor.
-      await sleep(cfg.pollMs);
-      continue;
-    }
+async function enter(state, cfg, source, executor) {
+  const res = await findOpportunity(state, cfg, source, Date.now(), prices);
 
-    // Monitor open position
-    const p = state.openPosition;
+  // Update snapshots even if we don't enter (so moves are meaningful).
+  for (const u of res.snapshotUpdates ?? []) {
+    state.snapshots.byToken[u.tokenId] = { mid: u.mid, bid: u.bid, ask: u.ask, vol24h: u.vol24h, t: Date.now() };
+  }
+  state.snapshots.t = Date.now();
+  state.lastScanAt = Date.now();
 
-    let book;
-    try {
-      book = await fetchJson(`${CLOB_BASE}/book?token_id=${p.tokenId}`);
-    } catch {
-      await sleep(cfg.pollMs);
-      continue;
-    }
+  if (!res.best) return;
+  const closed = await listClosedSummaries();
+  const pick = await pickEntry(state.positions, res.candidates, cfg, { closed });
+  for (const b of pick.blocked) await reportBlock(b.block, b.op);
+  if (!pick.op) return;
+
+  // Sized after the risk gate, which only needs room for the smallest entry (minEntryNotional).
+  const size = sizeEntry(pick.op, cfg, { positions: state.positions, closed });
+  if (size.notional < cfg.minNotional) {
+    await reportBlock({ reason: 'SIZE_TOO_SMALL', detail: `$${size.notional.toFixed(2)}: ${size.reason}` }, pick.op);
+    return;
+  }
+
+  const op = await executeEntry(executor, { ...pick.op, sizing: size }, size.notional);
+  if (!op) return;
+  const position = buildPosition(op, cfg);
+  state.positions.push(position);
+
+  await appendTradeLog(position.id, {
+    t: Date.now(),
+    type: 'OPEN',
+    marketId: position.marketId,
+    tokenId: position.tokenId,
+    outcome: position.outcome,
+    question: position.question,
+    url: position.url,
+    endDate: position.endDate,
+    category: position.category,
+    notional: position.notional,
+    sizing: position.sizing,
+    entry: position.entry,
+    exits: position.exits,
+  });
+
+  await notify({
+    type: 'OPEN',
+    key: `OPEN:${position.id}`,
+    text: `[OPEN] ${position.question}${position.outcome ? ` [${position.outcome}]` : ''} | ${position.entry.shares.toFixed(2)} sh @ ${fmtCents(position.entry.avgPrice)}${position.entry.partial ? ' (partial fill)' : ''} | $${position.notional.toFixed(2)} (${position.sizing.reason}) | TP ${fmtCents(position.exits.takeProfitPrice)} SL ${fmtCents(position.exits.stopLossPrice)} | ${position.entry.reason}\n${position.url}`,
+    data: position,
+  });
+
+  await markAndSnapshot(state, position.tokenId, position.lastMark.mid, position.lastMark.bid, position.lastMark.ask);
+}
+
+// Marks one open position and closes it (dropping it from state.positions) if an exit rule fires.
+// Returns true when closed.
+async function monitor(state, p, source, executor) {
+  let book;
+  try {
+    book = await source.book(p.tokenId);
+  } catch {
+    return false;
+  }
+  return evaluate(state, p, book, executor);
+}
+
+async function evaluate(state, p, book, executor) {
+  const { bestBid, bestAsk } = bestBidAsk(book);
+  if (bestBid == null || bestAsk == null) return false;
+
+  const mid = (bestBid + bestAsk) / 2;
+
+  p.lastMark = { t: Date.now(), mid, bid: bestBid, ask: bestAsk };
+  lastMarkLogged.set(p.id, Date.now());
+  await appendTradeLog(p.id, {
+    t: Date.now(),
+    type: 'MARK',
+    bid: bestBid,
+    ask: bestAsk,
+    mid,
+  });
+
+  await markAndSnapshot(state, p.tokenId, mid, bestBid, bestAsk);
+
+  const mark = { bid: bestBid, ask: bestAsk, mid };
+  const exitDecision = shouldExit(p, mark);
+  trackExits(p, mark);
+  if (!exitDecision) return false;
 
+  const { fill, closed } = await executeExit(executor, p, book, exitDecision);
+  if (!fill) return false; // no bids to sell into
+
+  // Every sale is its own FILL; CLOSE carries the totals across them.
+  await appendTradeLog(p.id, {
+    t: fill.t,
+    type: 'FILL',
+    reason: fill.reason,
+    shares: fill.shares,
+    avgPrice: fill.avgPrice,
+    fee: fill.fee,
+    pnl: fill.pnl,
+    ...(fill.order ? { order: fill.order } : {}),
+  });
+
+  if (!closed) {
+    const line = `[PARTIAL] ${p.question}${p.outcome ? ` [${p.outcome}]` : ''} | sold ${fill.shares.toFixed(2)} sh @ ${fmtCents(fill.avgPrice)} | PnL $${fill.pnl.toFixed(2)} | ${p.sharesOpen.toFixed(2)} sh left | ${fill.reason}`;
+    console.log(line);
+    const { levels, ...data } = fill;
+    await notify({ type: 'PARTIAL', key: `PARTIAL:${p.id}:${p.fills.length}`, text: line, data: { id: p.id, ...data } });
+    return false;
+  }
+
+  await appendTradeLog(p.id, {
+    t: Date.now(),
+    type: 'CLOSE',
+    exitReason: exitDecision.reason,
+    exitAvg: closed.exitAvg,
+    shares: closed.shares,
+    fills: closed.fills.length,
+    fees: closed.fees,
+    pnl: closed.pnl,
+    ...(closed.unsold ? { unsold: closed.unsold } : {}),
+  });
+
+  await writeClosedSummary(p.id, closed);
+  state.positions = state.positions.filter((x) => x !== p);
+  state.lastClosedId = p.id;
+
+  // Print a concise line to stdout (useful if running under a process manager)
+  const line = `[CLOSED] ${closed.question}${closed.outcome ? ` [${closed.outcome}]` : ''} | entry ${fmtCents(closed.entryAvg)} -> exit ${fmtCents(closed.exitAvg)} | PnL $${closed.pnl.toFixed(2)} | ${closed.exitReason}`;
+  console.log(line);
+  await notify({ type: 'CLOSE', key: `CLOSE:${closed.id}`, text: line, data: closed });
+  return true;
+}
+
+async function reportFailure(p, e) {
+  const line = `[ERROR] ${p.id}: ${e.message}`;
+  console.error(line);
+  await notify({ type: 'ERROR', key: `ERROR:${p.id}:${e.message}`, text: line, data: { id: p.id, stack: e.stack } });
+}
+
+// --ws: stream books for held tokens and check exits on every update. Entries and
+// the per-tick MARK still run on the poll loop, which also covers stream outages.
+function watchStream(stream, cfg, { state, exclusive, save, executor }) {
+  const held = new Map();
+
+  stream.on('warn', (m) => console.error(`[ws] ${m}`));
+  stream.on('update', (tokenId) => {
+    const p = held.get(tokenId);
+    const book = stream.book(tokenId);
     const { bestBid, bestAsk } = bestBidAsk(book);
-    if (bestBid == null || bestAsk == null) {
-      await sleep(cfg.pollMs);
-      continue;
-    }
+    if (!p || bestBid == null || bestAsk == null) return;
+
+    const exitDue = shouldExit(p, { bid: bestBid, ask: bestAsk, mid: (bestBid + bestAsk) / 2 });
+    const markDue = Date.now() - (lastMarkLogged.get(p.id) ?? 0) >= cfg.pollMs;
+    if (!exitDue && !markDue) return;
+    lastMarkLogged.set(p.id, Date.now());
 
-    const mid = (bestBid + bestAsk) / 2;
+    exclusive(p, async () => {
+      if (!state.positions.includes(p)) return;
+      if (await evaluate(state, p, stream.book(tokenId), executor)) sync(state.positions);
+    })
+      .then(save)
+      .catch((e) => reportFailure(p, e));
+  });
 
-    p.lastMark = { t: Date.now(), mid, bid: bestBid, ask: bestAsk };
-    await appendTradeLog(p.id, {
-      t: Date.now(),
-      type: 'MARK',
-      bid: bestBid,
-      ask: bestAsk,
-      mid,
-    });
+  function sync(positions) {
+    const tokens = new Set(positions.map((p) => String(p.tokenId)));
+    stream.unsubscribe(stream.subscribed().filter((t) => !tokens.has(t)));
+    stream.subscribe([...tokens]);
+    held.clear();
+    for (const p of positions) held.set(String(p.tokenId), p);
+  }
 
-    await markAndSnapshot(state, p.tokenId, mid, bestBid, bestAsk);
+  return sync;
+}
 
-    const exitDecision = shouldExit(p, { bid: bestBid, ask: bestAsk, mid });
-    if (!exitDecision) {
-      await writeState(state);
-      await sleep(cfg.pollMs);
-      continue;
-    }
+async function run() {
+  const { cfg, printOnly } = await loadConfig(process.argv, { command: 'daemon', options: OPTIONS });
+  if (printOnly) return;
 
-    // Exit (market-like sell): consume bids for shares. Convert shares->notional via marketFill.
-    const exitFill = marketFill(book, 'sell', Math.min(p.notional, p.entry.avgPrice * p.entry.shares));
-    // If we can't compute sell fill by notional, approximate by selling the same notional.
-    const exitAvg = exitFill?.avgPrice ?? bestBid;
-
-    const pnlPerShare = exitAvg - p.entry.avgPrice;
-    const pnl = pnlPerShare * p.entry.shares;
-
-    const closed = {
-      id: p.id,
-      openedAt: p.openedAt,
-      closedAt: Date.now(),
-      durationMs: Date.now() - p.openedAt,
-      marketId: p.marketId,
-      question: p.question,
-      url: p.url,
-      tokenId: p.tokenId,
-      notional: p.notional,
-      entryAvg: p.entry.avgPrice,
-      exitAvg,
-      shares: p.entry.shares,
-      pnl,
-      pnlCents: Number((pnl * 100).toFixed(2)),
-      exitReason: exitDecision.reason,
-      exits: p.exits,
-      lastMark: p.lastMark,
-    };
-
-    await appendTradeLog(p.id, {
-      t: Date.now(),
-      type: 'CLOSE',
-      exitReason: exitDecision.reason,
-      exitAvg,
-      pnl,
-    });
-
-    await writeClosedSummary(p.id, closed);
-
-    // clear open position
-    state.lastClosedId = p.id;
-    state.openPosition = null;
-    await writeState(state);
-
-    // Print a concise line to stdout (useful if running under a process manager)
-    console.log(
-      `[CLOSED] ${closed.question} | entry ${fmtCents(closed.entryAvg)} -> exit ${fmtCents(closed.exitAvg)} | PnL $${closed.pnl.toFixed(2)} | ${closed.exitReason}`
+  // --record: tee every markets/book response into data/tape for backtesting.
+  const tape = cfg.record ? createTapeWriter() : null;
+  const base = tape ? recordingSource(restSource, tape) : restSource;
+
+  const stream = cfg.ws ? createMarketStream({ staleMs: cfg.pollMs * 2 }) : null;
+  const source = stream ? streamSource(stream, base) : base;
+
+  // With --latencyMs, orders fill against the book re-read that long after the decision.
+  const sim = createExecutor(cfg, {
+    nextBook: async (tokenId, at) => {
+      await sleep(Math.max(0, at - Date.now()));
+      return source.book(tokenId).catch(() => null);
+    },
+  });
+
+  checkLiveFlags(cfg, process.argv);
+  const executor = cfg.live ? await createLiveExecutor(cfg, { sim, dryRun: !cfg.confirmLive }) : sim;
+  if (cfg.live) {
+    console.error(cfg.confirmLive ? `[live] placing REAL ${cfg.orderType} orders on ${CLOB_BASE}` : '[live] dry run: orders are logged, not sent (add --confirmLive to trade)');
+  }
+
+  // The trade logs are the source of truth for what is open if the last run died between writes.
+  // What this leaves on disk becomes the working copy.
+  const state = await updateState(async (s) => {
+    const { restored, dropped } = await reconcileState(s);
+    if (restored.length) console.error(`[state] restored open positions from trade logs: ${restored.join(', ')}`);
+    if (dropped.length) console.error(`[state] dropped positions already closed in trade logs: ${dropped.join(', ')}`);
+    return s;
+  });
+  const save = createSaver(state);
+
+  const exclusive = perPosition();
+  const syncStream = stream ? watchStream(stream, cfg, { state, exclusive, save, executor }) : () => {};
+
+  prices = await loadPriceHistory();
+  let pricesFlushedAt = Date.now();
+  let entering = null;
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    await tape?.flush();
+
+    // Monitor every open position in parallel; closed ones drop out of state.positions. A failure
+    // (trade log write, a live order in an unknown state) is reported and retried next tick; it
+    // doesn't stop the others.
+    await Promise.all(
+      state.positions.map((p) =>
+        exclusive(p, async () => {
+          if (state.positions.includes(p)) await monitor(state, p, source, executor);
+        }).catch((e) => reportFailure(p, e))
+      )
     );
 
+    // The entry (scan, then an order that may work for orderTimeoutMs with --live) runs beside
+    // the loop, one at a time, so it never holds up the next tick's exits.
+    // A failed scan (API down after retries) skips this entry, it doesn't stop monitoring.
+    if (!entering && hasRoom(state.positions, cfg)) {
+      entering = enter(state, cfg, source, executor)
+        .catch((e) => console.error(`[scan] ${e.message}`))
+        .then(() => {
+          syncStream(state.positions);
+          return save();
+        })
+        .catch((e) => console.error(`[state] ${e.message}`))
+        .finally(() => {
+          entering = null;
+        });
+    }
+
+    syncStream(state.positions);
+    await save().catch((e) => console.error(`[state] ${e.message}`));
+
+    if (Date.now() - pricesFlushedAt >= PRICE_FLUSH_MS) {
+      await prices.flush().catch((e) => console.error(`[prices] ${e.message}`));
+      pricesFlushedAt = Date.now();
+    }
+
     await sleep(cfg.pollMs);
   }
 }
 
-run().catch((e) => {
+run().catch(async (e) => {
+  if (e instanceof ConfigError) {
+    console.error(e.message);
+    process.exit(2);
+  }
   console.error(e);
+  await notify({ type: 'ERROR', key: `ERROR:daemon:${e.message}`, text: `[ERROR] daemon stopped: ${e.message}`, data: { stack: e.stack } });
   process.exit(1);
 });
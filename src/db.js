@@ -0,0 +1,308 @@
+// Optional SQLite store (STATE_BACKEND=sqlite). Uses `better-sqlite3` when it is
+// installed, or the built-in `node:sqlite` on Node versions that ship it.
+//
+// Tables:
+//   meta            key -> JSON (the non-position part of state.json, last_closed pointer)
+//   markets         latest Gamma fields for markets that were alerted or traded
+//   book_snapshots  top of book per token over time (`source` = 'state' for the daemon, snapshot file for scan)
+//   positions       one row per trade; `open` = held by the daemon, closed_json = data/closed/<id>.json
+//   trade_events    data/trades/<id>.jsonl, one row per line
+//   alerts          scan rows that were printed/sent
+//   watchlists      named market filters (filters.js), name -> JSON
+//   alert_outcomes  forward marks of alerted tokens (outcomes.js), one per alert and horizon
+//   price_history   rolling price series per token (prices.js), `t` = newest sample
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+export const DB_FILE = process.env.STATE_DB || 'data/polymarket.db';
+
+// Append-only: each entry upgrades the schema by one version (PRAGMA user_version).
+const SCHEMA = [
+  `
+  CREATE TABLE meta (key TEXT PRIMARY KEY, json TEXT NOT NULL);
+  CREATE TABLE markets (
+    id TEXT PRIMARY KEY, question TEXT, url TEXT, end_date TEXT, event_id TEXT, neg_risk INTEGER,
+    updated_at INTEGER NOT NULL, json TEXT
+  );
+  CREATE TABLE book_snapshots (
+    source TEXT NOT NULL, token_id TEXT NOT NULL, t INTEGER NOT NULL, bid REAL, ask REAL, mid REAL,
+    PRIMARY KEY (source, token_id, t)
+  );
+  CREATE TABLE positions (
+    id TEXT PRIMARY KEY, market_id TEXT, token_id TEXT, outcome TEXT, question TEXT,
+    opened_at INTEGER, open INTEGER NOT NULL DEFAULT 0, json TEXT,
+    closed_at INTEGER, exit_reason TEXT, pnl REAL, closed_json TEXT
+  );
+  CREATE INDEX positions_open ON positions (open);
+  CREATE INDEX positions_closed_at ON positions (closed_at);
+  CREATE TABLE trade_events (
+    trade_id TEXT NOT NULL, seq INTEGER NOT NULL, t INTEGER, type TEXT, json TEXT NOT NULL,
+    PRIMARY KEY (trade_id, seq)
+  );
+  CREATE TABLE alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, t INTEGER NOT NULL, market_id TEXT, token_id TEXT,
+    outcome TEXT, score REAL, question TEXT, json TEXT NOT NULL
+  );
+  CREATE INDEX alerts_t ON alerts (t);
+  `,
+  `ALTER TABLE book_snapshots ADD COLUMN vol24h REAL;`,
+  `CREATE TABLE watchlists (name TEXT PRIMARY KEY, json TEXT NOT NULL, updated_at INTEGER NOT NULL);`,
+  `
+  CREATE TABLE alert_outcomes (
+    alert_id TEXT NOT NULL, horizon_ms INTEGER NOT NULL, alert_t INTEGER NOT NULL, t INTEGER NOT NULL, json TEXT NOT NULL,
+    PRIMARY KEY (alert_id, horizon_ms)
+  );
+  CREATE INDEX alert_outcomes_alert_t ON alert_outcomes (alert_t);
+  `,
+  `CREATE TABLE price_history (token_id TEXT PRIMARY KEY, t INTEGER NOT NULL, json TEXT NOT NULL);`,
+];
+
+function loadDriver() {
+  const require = createRequire(import.meta.url);
+  try {
+    const Database = require('better-sqlite3');
+    return (file) => new Database(file);
+  } catch {
+    // fall through
+  }
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return (file) => new DatabaseSync(file);
+  } catch {
+    throw new Error('STATE_BACKEND=sqlite needs `better-sqlite3` (npm install better-sqlite3) or a Node version with node:sqlite');
+  }
+}
+
+function migrate(db) {
+  const version = db.prepare('PRAGMA user_version').get().user_version;
+  for (let v = version; v < SCHEMA.length; v++) {
+    tx(db, () => {
+      db.exec(SCHEMA[v]);
+      db.exec(`PRAGMA user_version = ${v + 1}`);
+    });
+  }
+}
+
+let shared = null;
+
+export function openDb(file = DB_FILE) {
+  if (shared?.file === file) return shared.db;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = loadDriver()(file);
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec('PRAGMA busy_timeout = 5000');
+  migrate(db);
+  shared = { file, db };
+  return db;
+}
+
+// Runs fn inside a write transaction (works the same on both drivers).
+export function tx(db, fn) {
+  db.exec('BEGIN IMMEDIATE');
+  try {
+    const result = fn();
+    db.exec('COMMIT');
+    return result;
+  } catch (e) {
+    db.exec('ROLLBACK');
+    throw e;
+  }
+}
+
+export function getMeta(db, key) {
+  const row = db.prepare('SELECT json FROM meta WHERE key = ?').get(key);
+  return row ? JSON.parse(row.json) : null;
+}
+
+export function putMeta(db, key, value) {
+  db.prepare('INSERT INTO meta (key, json) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET json = excluded.json').run(key, JSON.stringify(value));
+}
+
+export function putSnapshots(db, source, byToken) {
+  const stmt = db.prepare('INSERT OR IGNORE INTO book_snapshots (source, token_id, t, bid, ask, mid, vol24h) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  for (const [tokenId, s] of Object.entries(byToken ?? {})) {
+    stmt.run(source, tokenId, s.t ?? 0, s.bid ?? s.bestBid ?? null, s.ask ?? s.bestAsk ?? null, s.mid ?? null, s.vol24h ?? null);
+  }
+}
+
+// Latest snapshot per token, shaped like state.snapshots.byToken.
+export function latestSnapshots(db, source) {
+  const rows = db
+    .prepare(
+      `SELECT token_id, t, bid, ask, mid, vol24h FROM book_snapshots b
+       WHERE source = ? AND t = (SELECT MAX(t) FROM book_snapshots WHERE source = b.source AND token_id = b.token_id)`
+    )
+    .all(source);
+  const byToken = {};
+  let t = 0;
+  for (const r of rows) {
+    byToken[r.token_id] = { mid: r.mid, bid: r.bid, ask: r.ask, vol24h: r.vol24h, t: r.t };
+    t = Math.max(t, r.t);
+  }
+  return { byToken, t };
+}
+
+export function upsertMarket(db, m, t = Date.now()) {
+  db.prepare(
+    `INSERT INTO markets (id, question, url, end_date, event_id, neg_risk, updated_at, json) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET question = excluded.question, url = excluded.url, end_date = excluded.end_date,
+       event_id = excluded.event_id, neg_risk = excluded.neg_risk, updated_at = excluded.updated_at, json = excluded.json`
+  ).run(
+    String(m.id),
+    m.question ?? null,
+    m.url ?? (m.slug ? `https://polymarket.com/market/${m.slug}` : null),
+    m.endDate ?? null,
+    m.events?.[0]?.id != null ? String(m.events[0].id) : null,
+    m.negRisk ? 1 : 0,
+    t,
+    JSON.stringify(m)
+  );
+}
+
+export function putOpenPositions(db, positions) {
+  const stmt = db.prepare(
+    `INSERT INTO positions (id, market_id, token_id, outcome, question, opened_at, open, json) VALUES (?, ?, ?, ?, ?, ?, 1, ?)
+     ON CONFLICT(id) DO UPDATE SET open = 1, json = excluded.json`
+  );
+  for (const p of positions) {
+    stmt.run(p.id, p.marketId ?? null, p.tokenId, p.outcome ?? null, p.question ?? null, p.openedAt ?? null, JSON.stringify(p));
+  }
+  // Anything else still flagged open was closed or dropped by this write.
+  const held = positions.map((p) => p.id);
+  db.prepare(`UPDATE positions SET open = 0 WHERE open = 1 AND id NOT IN (${held.map(() => '?').join(',')})`).run(...held);
+}
+
+export function openPositions(db) {
+  return db
+    .prepare('SELECT json FROM positions WHERE open = 1 ORDER BY opened_at, id')
+    .all()
+    .map((r) => JSON.parse(r.json));
+}
+
+export function putClosed(db, tradeId, summary) {
+  db.prepare(
+    `INSERT INTO positions (id, market_id, token_id, outcome, question, opened_at, closed_at, exit_reason, pnl, closed_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET closed_at = excluded.closed_at, exit_reason = excluded.exit_reason,
+       pnl = excluded.pnl, closed_json = excluded.closed_json`
+  ).run(
+    tradeId,
+    summary.marketId ?? null,
+    summary.tokenId ?? null,
+    summary.outcome ?? null,
+    summary.question ?? null,
+    summary.openedAt ?? null,
+    summary.closedAt ?? null,
+    summary.exitReason ?? null,
+    summary.pnl ?? null,
+    JSON.stringify(summary)
+  );
+}
+
+export function closedSummaries(db) {
+  return db
+    .prepare('SELECT closed_json FROM positions WHERE closed_json IS NOT NULL ORDER BY closed_at')
+    .all()
+    .map((r) => JSON.parse(r.closed_json));
+}
+
+export function closedCount(db) {
+  return db.prepare('SELECT COUNT(*) AS n FROM positions WHERE closed_json IS NOT NULL').get().n;
+}
+
+// Bumped whenever another connection commits.
+export function dataVersion(db) {
+  return db.prepare('PRAGMA data_version').get().data_version;
+}
+
+export function closedSummary(db, tradeId) {
+  const row = db.prepare('SELECT closed_json FROM positions WHERE id = ?').get(tradeId);
+  return row?.closed_json ? JSON.parse(row.closed_json) : null;
+}
+
+export function appendTradeEvent(db, tradeId, event) {
+  db.prepare(
+    `INSERT INTO trade_events (trade_id, seq, t, type, json)
+     VALUES (?, (SELECT COALESCE(MAX(seq), 0) + 1 FROM trade_events WHERE trade_id = ?), ?, ?, ?)`
+  ).run(tradeId, tradeId, event.t ?? null, event.type ?? null, JSON.stringify(event));
+}
+
+export function tradeEvents(db, tradeId) {
+  return db
+    .prepare('SELECT json FROM trade_events WHERE trade_id = ? ORDER BY seq')
+    .all(tradeId)
+    .map((r) => JSON.parse(r.json));
+}
+
+export function tradeIds(db) {
+  return db
+    .prepare('SELECT DISTINCT trade_id FROM trade_events')
+    .all()
+    .map((r) => r.trade_id);
+}
+
+export function insertAlert(db, t, row) {
+  db.prepare(
+    'INSERT INTO alerts (t, market_id, token_id, outcome, score, question, json) VALUES (?, ?, ?, ?, ?, ?, ?)'
+  ).run(t, row.marketId ?? null, row.tokenId ?? null, row.outcome ?? null, row.score ?? null, row.question ?? null, JSON.stringify(row));
+}
+
+// Recorded alerts with from <= t < to, oldest first, shaped like data/alerts.jsonl lines.
+export function alertsBetween(db, from = 0, to = Number.MAX_SAFE_INTEGER) {
+  return db
+    .prepare('SELECT t, json FROM alerts WHERE t >= ? AND t < ? ORDER BY t, id')
+    .all(from, to)
+    .map((r) => ({ t: r.t, ...JSON.parse(r.json) }));
+}
+
+// First mark wins: a second process marking the same alert/horizon is ignored.
+export function insertAlertOutcome(db, o) {
+  db.prepare('INSERT OR IGNORE INTO alert_outcomes (alert_id, horizon_ms, alert_t, t, json) VALUES (?, ?, ?, ?, ?)').run(
+    o.alertId,
+    o.horizonMs,
+    o.alertT,
+    o.t,
+    JSON.stringify(o)
+  );
+}
+
+// Outcomes of alerts raised with from <= alert_t < to.
+export function alertOutcomesBetween(db, from = 0, to = Number.MAX_SAFE_INTEGER) {
+  return db
+    .prepare('SELECT json FROM alert_outcomes WHERE alert_t >= ? AND alert_t < ? ORDER BY alert_t, horizon_ms')
+    .all(from, to)
+    .map((r) => JSON.parse(r.json));
+}
+
+export function priceSeries(db, tokenIds = null) {
+  const rows = tokenIds
+    ? tokenIds.map((id) => db.prepare('SELECT token_id, json FROM price_history WHERE token_id = ?').get(String(id))).filter(Boolean)
+    : db.prepare('SELECT token_id, json FROM price_history').all();
+  return Object.fromEntries(rows.map((r) => [r.token_id, JSON.parse(r.json)]));
+}
+
+export function putPriceSeries(db, byToken, before = 0) {
+  const put = db.prepare(
+    'INSERT INTO price_history (token_id, t, json) VALUES (?, ?, ?) ON CONFLICT(token_id) DO UPDATE SET t = excluded.t, json = excluded.json'
+  );
+  for (const [id, rows] of Object.entries(byToken)) {
+    if (rows.length) put.run(String(id), rows.at(-1)[0], JSON.stringify(rows));
+  }
+  db.prepare('DELETE FROM price_history WHERE t < ?').run(before);
+}
+
+export function watchlists(db) {
+  return Object.fromEntries(db.prepare('SELECT name, json FROM watchlists ORDER BY name').all().map((r) => [r.name, JSON.parse(r.json)]));
+}
+
+export function putWatchlist(db, name, spec, t = Date.now()) {
+  db.prepare(
+    'INSERT INTO watchlists (name, json, updated_at) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET json = excluded.json, updated_at = excluded.updated_at'
+  ).run(name, JSON.stringify(spec), t);
+}
+
+export function deleteWatchlist(db, name) {
+  return db.prepare('DELETE FROM watchlists WHERE name = ?').run(name).changes > 0;
+}
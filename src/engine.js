@@ -1,141 +1,410 @@
-import { CLOB_BASE, GAMMA_BASE, bestBidAsk, fetchJson, fmtCents, marketFill, safeParseJsonArray } from './utils.js';
+import {
+  CLOB_BASE,
+  GAMMA_BASE,
+  bestBidAsk,
+  fetchJson,
+  fmtCents,
+  safeParseJsonArray,
+  slippage,
+} from './utils.js';
+import { simulateFill } from './execution.js';
+import { DEFAULT_STRATEGY, compileStrategy, scoreToken } from './signals.js';
+import { compileWatchlists, marketCategory } from './filters.js';
 
 export function defaultConfig() {
   return {
-    notional: 200,
+    notional: 200, // entry size for sizing 'fixed', and the size scans quote depth and slippage for
     scanLimit: 200,
     minVolume24h: 50_000,
     minLiquidity: 10_000,
+    maxAlerts: 5, // per scan
+    maxAlertsPerDay: 20, // across scans, per UTC day (0 = no limit)
+    alertCooldownMs: 4 * 3600_000, // don't re-alert a market within this...
+    alertMinScoreChange: 10, // ...unless its score moved this much
+    alertMinPriceChange: 0.03, // ...or its mid moved this much
+    outcomeHorizons: [5 * 60_000, 15 * 60_000, 3600_000, 4 * 3600_000], // re-mark alerted tokens after each (outcomes.js)
+    maxCandidates: 40, // markets whose books we fetch per scan
+    maxOutcomes: 20, // categorical markets fetch one book per outcome
+    maxGroupSize: 40, // skip sum-of-prices checks on bigger negRisk events
+    maxEndHours: 24 * 365 * 2, // allow long-dated markets; intraday trading can happen anywhere
     maxSpread: 0.02, // 2c
-    minMove: 0.02, // 2c since last scan snapshot
+    minMove: 0.02, // 2c over moveWindowMs
+    moveWindowMs: 15 * 60_000, // the move scoring and minMove use (prices.js); 0 = since the previous snapshot
+    backfillPrices: false, // fill short price series from the CLOB /prices-history endpoint (one request per token)
     tp: 0.02, // +2c
     sl: 0.02, // -2c
     maxHoldMs: 60 * 60_000, // 60min
+    // Advanced exits; 0 / [] turns a rule off.
+    trailCents: 0, // stop trails the best trigger price by this much
+    trailPct: 0, // ...or by this fraction of it (the tighter of the two wins)
+    breakevenAfter: 0, // once up this much, the stop moves to the entry price
+    scaleOut: [], // [{ at: 0.01, fraction: 0.5 }]: sell `fraction` of the entry shares at entry + `at`
+    exitBeforeEndMs: 0, // exit when the market's endDate is this close
+    maxExitSpread: 0, // exit when the spread blows out past this
+    exitTrigger: 'bid', // price the TP/SL/trail rules watch: 'bid' (what we can sell at) or 'mid'
+    // Execution model for simulated fills (execution.js).
+    feeBps: 0, // taker fee rate; fee = feeBps / 10000 * min(p, 1 - p) per share
+    tickSize: 0, // for books without tick_size (CLOB books carry it); 0 takes prices as quoted
+    latencyMs: 0, // fill against the book this long after the decision
+    impactDecayMs: 60_000, // how long size we took stays missing from the book
     pollMs: 30_000,
+    maxOpenPositions: 3,
+    maxNotionalPerMarket: 200,
+    maxExposure: 600, // total open notional
+    // Position sizing (sizing.js).
+    sizing: 'fixed', // fixed | bankroll | kelly
+    bankroll: 1000, // starting bankroll; realized PnL is added to it
+    bankrollPct: 0.05, // 'bankroll': this fraction of the current bankroll per entry
+    kellyFraction: 0.25, // 'kelly': this fraction of the full Kelly stake
+    winProb: 0.55, // 'kelly': prior win probability...
+    winProbPriorTrades: 20, // ...weighted as this many trades against the closed trades' win rate
+    maxSlippage: 0, // shrink entries until the average fill is within this of the best ask (0 = off)
+    minNotional: 10, // skip entries sized below this
+    // Risk limits (risk.js); 0 turns one off.
+    maxExposurePerCategory: 400, // open notional per market category
+    maxDailyLoss: 200, // realized loss since 00:00 UTC that stops new entries for the day
+    maxConsecutiveLosses: 3, // losing closes in a row that pause entries...
+    lossStreakCooldownMs: 2 * 3600_000, // ...for this long after the last one
+    reentryCooldownMs: 30 * 60_000, // no re-entry into a market this soon after a stop-out
+    killSwitchFile: 'data/KILL', // while this file exists, no new entries
   };
 }
 
-function pickTokenByMove(tokens) {
-  // tokens: [{tokenId, mid, prevMid, spread, book, directionHint}]
-  // Pick the one with the largest absolute move and sane spread.
-  const sorted = [...tokens].sort((a, b) => Math.abs(b.mid - b.prevMid) - Math.abs(a.mid - a.prevMid));
-  return sorted[0] ?? null;
+export function exposure(positions) {
+  return positions.reduce((s, p) => s + p.notional, 0);
 }
 
-export async function findOpportunity(state, cfg) {
-  const markets = await fetchJson(
-    `${GAMMA_BASE}/markets?closed=false&limit=${cfg.scanLimit}&order=volume24hr&ascending=false`
-  );
+// The smallest entry the sizing model takes: the caps below need room for at least this.
+export function minEntryNotional(cfg) {
+  return (cfg.sizing ?? 'fixed') === 'fixed' ? cfg.notional : (cfg.minNotional ?? cfg.notional);
+}
 
-  const snapshotUpdates = [];
+// Is there room for one more position at all? Checked before scanning.
+export function hasRoom(positions, cfg) {
+  return positions.length < cfg.maxOpenPositions && exposure(positions) + minEntryNotional(cfg) <= cfg.maxExposure;
+}
+
+// Returns why `op` may not be entered given the open positions, or null if it may.
+export function entryBlock(positions, op, cfg) {
+  const size = minEntryNotional(cfg);
+  if (positions.length >= cfg.maxOpenPositions) return 'MAX_OPEN_POSITIONS';
+  if (exposure(positions) + size > cfg.maxExposure) return 'MAX_EXPOSURE';
+  const inMarket = exposure(positions.filter((p) => String(p.marketId) === String(op.market.id)));
+  if (inMarket + size > cfg.maxNotionalPerMarket) return 'MAX_NOTIONAL_PER_MARKET';
+  return null;
+}
 
+// Where scanMarkets gets its markets and books from. The CLIs use the live REST
+// endpoints; the backtest swaps in a replay of recorded data.
+export const restSource = {
+  // Market lists and events barely change between polls; books must be fresh.
+  // Markets pinned by a watchlist are fetched by id whatever their volume rank.
+  markets: async (cfg) => {
+    const top = await fetchJson(
+      `${GAMMA_BASE}/markets?closed=false&limit=${cfg.scanLimit}&order=volume24hr&ascending=false&include_tag=true`,
+      { cacheTtlMs: 15_000 }
+    );
+    const have = new Set(top.map((m) => String(m.id)));
+    const missing = [...compileWatchlists(cfg.watchlist).pinned].filter((id) => !have.has(id));
+    if (missing.length === 0) return top;
+    const pinned = await fetchJson(`${GAMMA_BASE}/markets?${missing.map((id) => `id=${encodeURIComponent(id)}`).join('&')}&include_tag=true`, {
+      cacheTtlMs: 15_000,
+    });
+    return [...top, ...(pinned ?? [])];
+  },
+  book: (tokenId) => fetchJson(`${CLOB_BASE}/book?token_id=${tokenId}`),
+  // Last day of prices at 5-minute fidelity, as price series samples (no volume).
+  pricesHistory: async (tokenId) => {
+    const res = await fetchJson(`${CLOB_BASE}/prices-history?market=${tokenId}&interval=1d&fidelity=5`);
+    return (res?.history ?? []).map((h) => ({ t: h.t * 1000, mid: Number(h.p), volume: null })).filter((h) => Number.isFinite(h.mid));
+  },
+  event: (eventId) => fetchJson(`${GAMMA_BASE}/events/${eventId}`, { cacheTtlMs: 60_000 }),
+};
+
+// negRisk events are groups of binary markets of which exactly one resolves YES,
+// so their YES prices should sum to ~1 just like a categorical market's outcomes.
+export function groupKey(m) {
+  if (!m?.negRisk) return null;
+  return String(m.negRiskMarketID ?? m.events?.[0]?.id ?? '') || null;
+}
+
+function priceSum(books) {
+  let sumBid = 0;
+  let sumAsk = 0;
+  const mids = [];
+  for (const book of books) {
+    const { bestBid, bestAsk } = bestBidAsk(book);
+    if (bestAsk == null) return null; // can't price the full set
+    sumBid += bestBid ?? 0;
+    sumAsk += bestAsk;
+    mids.push(((bestBid ?? 0) + bestAsk) / 2);
+  }
+  const sumMid = mids.reduce((s, x) => s + x, 0);
+  return { size: books.length, sumBid, sumAsk, sumMid, mids };
+}
+
+// Scans the top markets by volume and returns one scored row per market, best
+// first. Every outcome token with a tradable book (spread <= maxSpread and depth
+// for `notional`) is scored with `cfg.strategy` (see signals.js; default is
+// DEFAULT_STRATEGY, scan's former volume/liquidity/move/spread/slippage weights) and the best
+// token becomes the market's row. For categorical markets and negRisk event
+// groups the row also carries `group` (sum of bids/asks/mids across the set) and
+// `fair`, the chosen token's price normalized to sum to 1.
+// With `prices` (prices.js) every token's mid is added to its series, `move` is the
+// change over cfg.moveWindowMs (null until the series covers it) and rows carry
+// `windows` (change/volatility/VWAP per window). Without it, or with moveWindowMs 0,
+// `snapshots.byToken[tokenId]` is the reference for the move. Every token book
+// seen is returned in `snapshotUpdates` so callers can persist it.
+export async function scanMarkets(options = {}, { snapshots, prices = null, source = restSource, exclude = [], now = Date.now() } = {}) {
+  const cfg = { ...defaultConfig(), ...options };
+  const strategy = compileStrategy(cfg.strategy ?? DEFAULT_STRATEGY);
+  const watch = compileWatchlists(cfg.watchlist);
+  const markets = await source.markets(cfg);
+  const byToken = snapshots?.byToken ?? {};
+
+  // Never stack onto a market we already hold, nor buy the complement of a held token.
+  const heldMarkets = new Set(exclude.map((p) => String(p.marketId)));
+  const heldTokens = new Set(exclude.map((p) => String(p.tokenId)));
+
+  const endCutoffMs = now + cfg.maxEndHours * 3600_000;
+  const pinned = (m) => watch.pinned.has(String(m.id));
+
+  // Which watchlists let each market through (see filters.js); no watchlists lets everything through.
+  const listsFor = new Map();
   const candidates = markets
     .filter((m) => m && m.closed === false)
+    .filter((m) => !heldMarkets.has(String(m.id)))
     .filter((m) => m.enableOrderBook)
     .filter((m) => m.acceptingOrders !== false)
-    .filter((m) => Number(m.volume24hr ?? 0) >= cfg.minVolume24h)
-    .filter((m) => Number(m.liquidityNum ?? m.liquidity ?? 0) >= cfg.minLiquidity)
+    .filter((m) => pinned(m) || Number(m.volume24hr ?? 0) >= cfg.minVolume24h)
+    .filter((m) => pinned(m) || Number(m.liquidityNum ?? m.liquidity ?? 0) >= cfg.minLiquidity)
+    .filter((m) => {
+      const end = Date.parse(m.endDate);
+      return Number.isFinite(end) && end > now && end < endCutoffMs;
+    })
     .filter((m) => {
       const outs = safeParseJsonArray(m.outcomes);
-      return outs.length === 2; // MVP: binary only
+      return outs.length >= 2 && outs.length <= cfg.maxOutcomes;
     })
-    .slice(0, 40);
+    .filter((m) => {
+      if (!watch.active) return true;
+      const names = watch.match(m, now);
+      listsFor.set(m, names);
+      return names.length > 0;
+    })
+    .sort((a, b) => pinned(b) - pinned(a)) // pinned markets never lose their slot to maxCandidates
+    .slice(0, cfg.maxCandidates); // keep it light: we hit the book endpoint per token
+
+  // Group members share books with candidates, so fetch each token at most once per scan.
+  const bookCache = new Map();
+  const getBook = (t) => {
+    if (!bookCache.has(t)) bookCache.set(t, source.book(t));
+    return bookCache.get(t);
+  };
 
-  const scored = [];
+  const groups = new Map();
+  const negRiskGroup = async (m, key) => {
+    let members = markets.filter((x) => groupKey(x) === key);
+    const eventId = m.events?.[0]?.id;
+    if (source.event && eventId != null) {
+      try {
+        const ev = await source.event(eventId);
+        if (Array.isArray(ev?.markets)) members = ev.markets.filter((x) => groupKey(x) === key);
+      } catch {
+        // fall back to the members present in the market list
+      }
+    }
+    members = members.filter((x) => x.closed === false && x.active !== false);
+    if (members.length < 2 || members.length > cfg.maxGroupSize) return null;
+
+    const yesTokens = members.map((x) => String(safeParseJsonArray(x.clobTokenIds)[0]));
+    try {
+      const stats = priceSum(await Promise.all(yesTokens.map(getBook)));
+      return stats && { kind: 'negRisk', key, ...stats, yesMid: Object.fromEntries(yesTokens.map((t, i) => [t, stats.mids[i]])) };
+    } catch {
+      return null;
+    }
+  };
+  const groupFor = (m) => {
+    const key = groupKey(m);
+    if (!key) return null;
+    if (!groups.has(key)) groups.set(key, negRiskGroup(m, key));
+    return groups.get(key);
+  };
+
+  const snapshotUpdates = [];
+  const rows = [];
+  const windowed = prices != null && cfg.moveWindowMs > 0;
 
   for (const m of candidates) {
-    const tokenIds = safeParseJsonArray(m.clobTokenIds);
+    const outcomes = safeParseJsonArray(m.outcomes);
+    const tokenIds = safeParseJsonArray(m.clobTokenIds).map(String);
     if (tokenIds.length < 2) continue;
+    if (tokenIds.some((t) => heldTokens.has(t))) continue;
 
-    // For binary markets we can treat token[0] and token[1] as complementary.
-    const tokenA = String(tokenIds[0]);
-    const tokenB = String(tokenIds[1]);
-
-    let bookA, bookB;
+    let books;
     try {
-      [bookA, bookB] = await Promise.all([
-        fetchJson(`${CLOB_BASE}/book?token_id=${tokenA}`),
-        fetchJson(`${CLOB_BASE}/book?token_id=${tokenB}`),
-      ]);
+      books = await Promise.all(tokenIds.map(getBook));
     } catch {
       continue;
     }
 
-    const { bestBid: bidA, bestAsk: askA } = bestBidAsk(bookA);
-    const { bestBid: bidB, bestAsk: askB } = bestBidAsk(bookB);
-
-    if (bidA == null || askA == null || bidB == null || askB == null) continue;
-
-    const midA = (bidA + askA) / 2;
-    const midB = (bidB + askB) / 2;
+    let group = null;
+    if (tokenIds.length > 2) {
+      const stats = priceSum(books);
+      group = stats && { kind: 'categorical', key: `market:${m.id}`, ...stats };
+    } else {
+      group = await groupFor(m);
+    }
 
-    snapshotUpdates.push({ tokenId: tokenA, mid: midA, bid: bidA, ask: askA });
-    snapshotUpdates.push({ tokenId: tokenB, mid: midB, bid: bidB, ask: askB });
+    const vol24h = Number(m.volume24hr ?? 0);
+    const liq = Number(m.liquidityNum ?? m.liquidity ?? 0);
+    const volume = Number(m.volumeNum ?? m.volume);
 
-    const spreadA = askA - bidA;
-    const spreadB = askB - bidB;
+    const tokens = [];
+    for (const [idx, tokenId] of tokenIds.entries()) {
+      const book = books[idx];
+      const { bestBid: bid, bestAsk: ask } = bestBidAsk(book);
+      if (bid == null || ask == null) continue;
 
-    if (spreadA > cfg.maxSpread && spreadB > cfg.maxSpread) continue;
+      const mid = (bid + ask) / 2;
+      snapshotUpdates.push({ tokenId, mid, bid, ask, vol24h });
+      prices?.add(tokenId, { t: now, mid, volume });
 
-    const prevA = state.snapshots.byToken?.[tokenA]?.mid ?? midA;
-    const prevB = state.snapshots.byToken?.[tokenB]?.mid ?? midB;
+      const prevMid = windowed ? null : (byToken[tokenId]?.mid ?? mid);
+      const outcome = m.groupItemTitle ? `${m.groupItemTitle}: ${outcomes[idx] ?? idx}` : (outcomes[idx] ?? null);
+      tokens.push({ idx, tokenId, outcome, book, bid, ask, mid, prevMid, spread: ask - bid });
+    }
 
-    const moveA = midA - prevA;
-    const moveB = midB - prevB;
+    // Score every tradable outcome and keep the best one for this market.
+    let best = null;
+    for (const token of tokens) {
+      // Hard filters to avoid garbage books.
+      if (token.spread > cfg.maxSpread) continue;
+      // Require we can at least enter with this notional.
+      const buy = slippage(token.book, 'buy', cfg.notional);
+      if (!buy) continue;
+      const sell = slippage(token.book, 'sell', cfg.notional);
 
-    const best = pickTokenByMove([
-      { tokenId: tokenA, mid: midA, prevMid: prevA, spread: spreadA, book: bookA, move: moveA },
-      { tokenId: tokenB, mid: midB, prevMid: prevB, spread: spreadB, book: bookB, move: moveB },
-    ]);
+      // Fair price if the group's prices were rescaled to sum to exactly 1.
+      let fair = null;
+      if (group?.kind === 'categorical') {
+        fair = group.mids[token.idx] / group.sumMid;
+      } else if (group?.kind === 'negRisk' && group.yesMid[tokenIds[0]] != null) {
+        const yesFair = group.yesMid[tokenIds[0]] / group.sumMid;
+        fair = token.idx === 0 ? yesFair : 1 - yesFair;
+      }
 
+      if (windowed && cfg.backfillPrices && source.pricesHistory && prices.needsBackfill(token.tokenId, cfg.moveWindowMs)) {
+        prices.markBackfilled(token.tokenId);
+        try {
+          prices.merge(token.tokenId, await source.pricesHistory(token.tokenId), now);
+        } catch {
+          // no history for this token; its move stays null until the series grows
+        }
+      }
+      if (windowed) {
+        const change = prices.change(token.tokenId, cfg.moveWindowMs);
+        token.prevMid = change == null ? null : token.mid - change;
+      }
+      const move = token.prevMid == null ? null : token.mid - token.prevMid;
+      const other = tokenIds.length === 2 ? (tokens.find((t) => t !== token) ?? null) : null;
+      const { score, raw, components } = scoreToken(strategy, {
+        market: m,
+        vol24h,
+        liq,
+        token,
+        move,
+        slipBuy: buy.slippage,
+        slipSell: sell?.slippage ?? null,
+        fair,
+        other,
+        prev: byToken[token.tokenId] ?? null,
+        now,
+      });
+      if (!best || raw > best.raw) best = { token, buy, sell, fair, move, score, raw, components };
+    }
     if (!best) continue;
-    const absMove = Math.abs(best.mid - best.prevMid);
-    if (absMove < cfg.minMove) continue;
-    if (best.spread > cfg.maxSpread) continue;
 
-    // Can we enter with a market-like fill?
-    const entry = marketFill(best.book, 'buy', cfg.notional);
-    if (!entry) continue;
-
-    // Basic score: prefer tighter spread and bigger move and higher vol/liquidity.
-    const score =
-      (absMove / 0.05) * 50 +
-      (1 - Math.min(1, best.spread / cfg.maxSpread)) * 20 +
-      Math.min(20, Math.log10(1 + Number(m.volume24hr ?? 0)) * 3);
-
-    scored.push({
+    const { token, buy, sell, fair, move, score, components } = best;
+    rows.push({
       score,
-      market: m,
-      chosen: {
-        tokenId: best.tokenId,
-        mid: best.mid,
-        prevMid: best.prevMid,
-        move: best.mid - best.prevMid,
-        spread: best.spread,
-        bid: best.tokenId === tokenA ? bidA : bidB,
-        ask: best.tokenId === tokenA ? askA : askB,
-        entry,
-      },
+      components,
+      marketId: m.id,
+      question: m.question,
       url: `https://polymarket.com/market/${m.slug}`,
+      endDate: m.endDate,
+      vol24h,
+      liq,
+      tokenId: token.tokenId,
+      outcome: token.outcome,
+      bid: token.bid,
+      ask: token.ask,
+      mid: token.mid,
+      prevMid: token.prevMid,
+      move,
+      absMove: move == null ? null : Math.abs(move),
+      moveWindowMs: windowed ? cfg.moveWindowMs : null,
+      windows: prices ? prices.stats(token.tokenId) : null,
+      spread: token.spread,
+      slipBuy: buy.slippage,
+      slipSell: sell?.slippage ?? null,
+      entry: { avgPrice: buy.avgPrice, shares: buy.shares, notional: buy.notional },
+      group: group && { kind: group.kind, key: group.key, size: group.size, sumBid: group.sumBid, sumAsk: group.sumAsk, sumMid: group.sumMid },
+      fair,
+      watchlists: listsFor.get(m) ?? null,
+      market: m,
+      book: token.book,
     });
   }
 
-  scored.sort((a, b) => b.score - a.score);
-  const top = scored[0] ?? null;
+  rows.sort((a, b) => b.score - a.score);
+  return { rows, snapshotUpdates };
+}
 
-  if (!top) return { best: null, snapshotUpdates };
+export function explainRow(row) {
+  const parts = Object.entries(row.components).map(([k, v]) => `${k}${v >= 0 ? '+' : ''}${v.toFixed(1)}`);
+  const group = row.group ? `, ${row.group.kind} sum=${fmtCents(row.group.sumMid)} fair=${fmtCents(row.fair)}` : '';
+  return `${row.outcome ? `${row.outcome}: ` : ''}score=${row.score} (${parts.join(' ')}), absMove=${row.absMove == null ? 'n/a' : fmtCents(row.absMove)}, spread=${fmtCents(row.spread)}, vol24h=$${Math.round(row.vol24h).toLocaleString()}${group}`;
+}
 
+// The shape buildPosition expects, from a scanMarkets row.
+export function opFromRow(row, reason = explainRow(row)) {
   return {
-    best: {
-      reason: `absMove=${fmtCents(Math.abs(top.chosen.move))}, spread=${fmtCents(top.chosen.spread)}, vol24h=$${Math.round(Number(top.market.volume24hr ?? 0)).toLocaleString()}`,
-      ...top,
+    score: row.score,
+    reason,
+    market: row.market ?? { id: row.marketId, question: row.question, endDate: row.endDate },
+    url: row.url,
+    chosen: {
+      tokenId: row.tokenId,
+      outcome: row.outcome,
+      mid: row.mid,
+      prevMid: row.prevMid,
+      move: row.move,
+      spread: row.spread,
+      bid: row.bid,
+      ask: row.ask,
+      entry: row.entry,
+      book: row.book ?? null,
     },
-    snapshotUpdates,
   };
 }
 
-export function buildPosition(op, cfg) {
-  const now = Date.now();
+export async function findOpportunity(state, cfg, source = restSource, now = Date.now(), prices = null) {
+  const { rows, snapshotUpdates } = await scanMarkets(cfg, {
+    snapshots: state.snapshots,
+    prices,
+    source,
+    exclude: state.positions ?? [],
+    now,
+  });
+
+  // Best first; the risk gate may skip a blocked market for the next one.
+  const candidates = rows.filter((r) => r.absMove >= cfg.minMove).map((r) => opFromRow(r));
+  return { best: candidates[0] ?? null, candidates, snapshotUpdates };
+}
+
+export function buildPosition(op, cfg, now = Date.now()) {
   const entryPrice = op.chosen.entry.avgPrice;
 
   return {
@@ -144,22 +413,42 @@ export function buildPosition(op, cfg) {
     marketId: op.market.id,
     question: op.market.question,
     url: op.url,
+    endDate: op.market.endDate ?? op.endDate ?? null,
+    category: marketCategory(op.market),
     tokenId: op.chosen.tokenId,
-    notional: cfg.notional,
+    outcome: op.chosen.outcome ?? null,
+    notional: op.chosen.entry.notional ?? cfg.notional,
+    sizing: op.sizing ?? null, // { model, notional, target, reason } from sizing.js
     entry: {
       avgPrice: entryPrice,
       shares: op.chosen.entry.shares,
+      fee: op.chosen.entry.fee ?? 0,
+      partial: op.chosen.entry.partial ?? false,
       bookBid: op.chosen.bid,
       bookAsk: op.chosen.ask,
       spread: op.chosen.spread,
+      move: op.chosen.move ?? null,
+      score: op.score ?? null,
       reason: op.reason,
     },
     exits: {
       takeProfitPrice: Math.min(0.999, entryPrice + cfg.tp),
       stopLossPrice: Math.max(0.001, entryPrice - cfg.sl),
       maxHoldMs: cfg.maxHoldMs,
+      trailCents: cfg.trailCents ?? 0,
+      trailPct: cfg.trailPct ?? 0,
+      breakevenAfter: cfg.breakevenAfter ?? 0,
+      scaleOut: [...(cfg.scaleOut ?? [])].sort((a, b) => a.at - b.at),
+      exitBeforeEndMs: cfg.exitBeforeEndMs ?? 0,
+      maxExitSpread: cfg.maxExitSpread ?? 0,
+      trigger: cfg.exitTrigger ?? 'bid',
     },
     status: 'OPEN',
+    sharesOpen: op.chosen.entry.shares,
+    fills: [], // partial exits
+    peak: null, // best trigger price seen since entry (trailing/breakeven stops)
+    stopPrice: Math.max(0.001, entryPrice - cfg.sl),
+    stopKind: 'STOP_LOSS',
     lastMark: {
       t: now,
       mid: op.chosen.mid,
@@ -169,21 +458,182 @@ export function buildPosition(op, cfg) {
   };
 }
 
-export function shouldExit(position, mark) {
-  const now = Date.now();
+export function openShares(position) {
+  return position.sharesOpen ?? position.entry.shares;
+}
+
+function triggerPrice(position, mark) {
+  return position.exits.trigger === 'mid' ? mark.mid : mark.bid;
+}
+
+// The stop in force at trigger price `px`: the fixed stop loss, raised to the
+// entry price after `breakevenAfter`, and to the trail below the peak.
+export function currentStop(position, px) {
+  const x = position.exits;
+  const entry = position.entry.avgPrice;
+  const peak = Math.max(position.peak ?? entry, px ?? -Infinity);
+
+  let stop = { price: x.stopLossPrice, kind: 'STOP_LOSS' };
+  const raise = (price, kind) => {
+    if (price > stop.price) stop = { price, kind };
+  };
+  if (x.breakevenAfter > 0 && peak >= entry + x.breakevenAfter) raise(entry, 'BREAKEVEN_STOP');
+  if (x.trailCents > 0) raise(peak - x.trailCents, 'TRAILING_STOP');
+  if (x.trailPct > 0) raise(peak * (1 - x.trailPct), 'TRAILING_STOP');
+  return stop;
+}
+
+// Records the mark's trigger price as the new high-water mark and the resulting
+// stop on the position (persisted, so trailing survives restarts).
+export function trackExits(position, mark) {
+  const px = triggerPrice(position, mark);
+  if (px == null) return;
+  const stop = currentStop(position, px);
+  position.peak = Math.max(position.peak ?? position.entry.avgPrice, px);
+  position.stopPrice = stop.price;
+  position.stopKind = stop.kind;
+}
+
+// Returns { reason, exitAt, fraction? } or null. `fraction` < 1 is a partial exit
+// (a scale-out step) of the entry shares; everything else closes what's left.
+export function shouldExit(position, mark, now = Date.now()) {
+  const x = position.exits;
   const ageMs = now - position.openedAt;
-  if (ageMs >= position.exits.maxHoldMs) {
+  if (ageMs >= x.maxHoldMs) {
     return { reason: 'TIME_STOP', exitAt: now };
   }
 
-  // We assume we can sell roughly at bid.
-  const px = mark.bid;
-  if (px >= position.exits.takeProfitPrice) {
+  const end = Date.parse(position.endDate ?? '');
+  if (x.exitBeforeEndMs > 0 && Number.isFinite(end) && end - now <= x.exitBeforeEndMs) {
+    return { reason: 'MARKET_ENDING', exitAt: now };
+  }
+
+  if (x.maxExitSpread > 0 && mark.ask != null && mark.bid != null && mark.ask - mark.bid > x.maxExitSpread) {
+    return { reason: 'SPREAD_BLOWOUT', exitAt: now };
+  }
+
+  // By default we assume we can sell roughly at bid.
+  const px = triggerPrice(position, mark);
+  if (px >= x.takeProfitPrice) {
     return { reason: 'TAKE_PROFIT', exitAt: now };
   }
-  if (px <= position.exits.stopLossPrice) {
-    return { reason: 'STOP_LOSS', exitAt: now };
+
+  const step = x.scaleOut?.[position.fills?.filter((f) => f.reason === 'SCALE_OUT').length ?? 0];
+  if (step && px >= position.entry.avgPrice + step.at) {
+    return { reason: 'SCALE_OUT', exitAt: now, fraction: step.fraction };
+  }
+
+  const stop = currentStop(position, px);
+  if (px <= stop.price) {
+    return { reason: stop.kind, exitAt: now };
   }
 
   return null;
 }
+
+// Records a sale (a simulated or live fill) on the position and returns it, or null if
+// nothing filled. PnL is net of the exit fee and the matching share of the entry fee.
+function recordSale(position, fill, exitDecision, now) {
+  if (!fill) return null;
+  const entryFee = (position.entry.fee ?? 0) * (fill.shares / position.entry.shares);
+  const f = {
+    t: now,
+    reason: exitDecision.reason,
+    shares: fill.shares,
+    avgPrice: fill.avgPrice,
+    fee: fill.fee,
+    pnl: (fill.avgPrice - position.entry.avgPrice) * fill.shares - fill.fee - entryFee,
+    ...(fill.order ? { order: fill.order } : {}),
+  };
+  position.fills = [...(position.fills ?? []), f];
+  position.sharesOpen = openShares(position) - fill.shares;
+  return { ...f, partial: fill.partial, levels: fill.levels };
+}
+
+// How many shares an exit decision sells: a scale-out step, or everything still open.
+// `minSell` is the smallest sale the venue takes (live: the book's min_order_size). A step
+// below it, or one that would leave less than it open, sells everything instead.
+export function exitShares(position, exitDecision, minSell = 0) {
+  const open = openShares(position);
+  const step = exitDecision.fraction != null && exitDecision.fraction < 1 ? position.entry.shares * exitDecision.fraction : open;
+  return step >= minSell && open - step > Math.max(1e-6, minSell - 1e-9) ? step : open;
+}
+
+// Applies a sale to the position. Returns { fill, closed }: `closed` is the summary once
+// nothing sellable is left, null while shares remain (a scale-out, or a book too thin to take
+// the whole exit); `fill` is null when nothing sold. Shares under `minSell` left after a sale
+// can never be sold: the position closes with them as `unsold`.
+function settleExit(position, sold, exitDecision, now, minSell = 0) {
+  const fill = recordSale(position, sold, exitDecision, now);
+  if (!fill) return { fill: null, closed: null };
+  const left = openShares(position);
+  if (left > 1e-6 && left >= minSell - 1e-9) return { fill, closed: null };
+  const closed = closedSummary(position, exitDecision, now);
+  return { fill, closed: left > 1e-6 ? { ...closed, unsold: left } : closed };
+}
+
+// Applies an exit decision against `book` (see execution.js; `exec`: { feeBps, tickSize }).
+export function applyExit(position, book, exitDecision, now = Date.now(), exec = {}) {
+  return settleExit(position, simulateFill(book, 'sell', { shares: exitShares(position, exitDecision) }, exec), exitDecision, now);
+}
+
+// Sells everything still open; the closed summary, or null if the book couldn't take it all.
+export function closePosition(position, book, exitDecision, now = Date.now(), exec = {}) {
+  return applyExit(position, book, { ...exitDecision, fraction: undefined }, now, exec).closed;
+}
+
+// applyExit through an executor: simulated (createExecutor: latency, our own impact on the
+// book, fees and ticks) or live orders (live.js, whose minSell is the smallest order it sends).
+export async function executeExit(executor, position, book, exitDecision, now = Date.now()) {
+  const minSell = executor.minSell?.(book) ?? 0;
+  const sold = await executor.sell(position.tokenId, book, exitShares(position, exitDecision, minSell), now);
+  return settleExit(position, sold, exitDecision, now, minSell);
+}
+
+// Fills an entry for `op` (from findOpportunity) through an executor. Returns the op
+// with `chosen.entry` replaced by the simulated fill, or null if nothing filled.
+export async function executeEntry(executor, op, notional, now = Date.now()) {
+  const fill = await executor.buy(op.chosen.tokenId, op.chosen.book, notional, now);
+  if (!fill) return null;
+  const entry = { avgPrice: fill.avgPrice, shares: fill.shares, notional: fill.notional, fee: fill.fee, partial: fill.partial };
+  if (fill.order) entry.order = fill.order; // live orders (live.js): { id, type, price, dryRun }
+  return { ...op, chosen: { ...op.chosen, entry } };
+}
+
+// Summary of a fully exited position; shares, exitAvg, fees and pnl cover every fill.
+function closedSummary(position, exitDecision, now) {
+  const p = position;
+  const fills = p.fills;
+  const soldShares = fills.reduce((s, f) => s + f.shares, 0);
+  const exitAvg = fills.reduce((s, f) => s + f.avgPrice * f.shares, 0) / soldShares;
+  const pnl = fills.reduce((s, f) => s + f.pnl, 0);
+  const fees = (p.entry.fee ?? 0) + fills.reduce((s, f) => s + (f.fee ?? 0), 0);
+
+  return {
+    id: p.id,
+    openedAt: p.openedAt,
+    closedAt: now,
+    durationMs: now - p.openedAt,
+    marketId: p.marketId,
+    question: p.question,
+    url: p.url,
+    tokenId: p.tokenId,
+    outcome: p.outcome ?? null,
+    notional: p.notional,
+    sizing: p.sizing ?? null,
+    entryAvg: p.entry.avgPrice,
+    exitAvg,
+    shares: soldShares,
+    pnl,
+    pnlCents: Number((pnl * 100).toFixed(2)),
+    fees,
+    exitReason: exitDecision.reason,
+    fills,
+    // Entry conditions, so reports can bucket outcomes by what the scanner saw.
+    entrySpread: p.entry.spread ?? null,
+    entryMove: p.entry.move ?? null,
+    entryScore: p.entry.score ?? null,
+    exits: p.exits,
+    lastMark: p.lastMark,
+  };
+}
@@ -0,0 +1,131 @@
+// Execution model for simulated (daemon, paper, backtest) fills.
+//
+// A market order walks the book level by level and fills only what the book
+// can absorb, so a short book gives a partial fill instead of pricing the rest
+// at the touch. On top of the raw book it applies:
+//
+//   tick size   level prices are snapped to the market's tick (book.tick_size, else cfg.tickSize)
+//   taker fee   feeBps / 10000 * min(price, 1 - price) * shares per level (Polymarket's fee curve), in USDC
+//   latency     with latencyMs > 0 the order fills against the book seen latencyMs after the
+//               decision (the next recorded book in a backtest, a re-fetch live), not the one it was based on
+//   own impact  size we already took at a price level stays gone from later books for impactDecayMs
+
+import { sortedLevels } from './utils.js';
+
+export function takerFee(price, shares, feeBps = 0) {
+  return (feeBps / 10_000) * Math.min(price, 1 - price) * shares;
+}
+
+function snap(price, tick, side) {
+  if (!(tick > 0)) return price;
+  // Buys can only be worse (higher), sells lower; the epsilon absorbs float noise on prices already on tick.
+  const n = price / tick;
+  return Number(((side === 'buy' ? Math.ceil(n - 1e-9) : Math.floor(n + 1e-9)) * tick).toFixed(6));
+}
+
+// side: 'buy' spends up to `notional` USDC on asks, 'sell' sells up to `shares` into bids
+// (a buy can also be capped at `shares`, a sell at `notional`). Returns { side, avgPrice, shares, notional, fee, partial, levels } or null when nothing fills.
+// `notional` is the USDC that changes hands before fees; `levels` is what was taken ([{ price, size }]).
+export function simulateFill(book, side, { notional, shares }, { feeBps = 0, tickSize = 0 } = {}) {
+  const tick = Number(book?.tick_size) || tickSize;
+  const levels = sortedLevels(book, side).map((l) => ({ price: snap(l.price, tick, side), size: l.size }));
+
+  let leftUsd = notional ?? Infinity;
+  let leftShares = shares ?? Infinity;
+  let got = 0;
+  let cash = 0;
+  let fee = 0;
+  const taken = [];
+
+  for (const l of levels) {
+    if (l.price <= 0 || l.price >= 1) continue;
+    const take = Math.min(l.size, leftShares, leftUsd / l.price);
+    if (take <= 1e-9) break;
+    got += take;
+    cash += take * l.price;
+    fee += takerFee(l.price, take, feeBps);
+    taken.push({ price: l.price, size: take });
+    leftShares -= take;
+    leftUsd -= take * l.price;
+    if (leftShares <= 1e-9 || leftUsd <= 1e-6) break;
+  }
+
+  if (got <= 0) return null;
+  const partial = leftUsd > 1e-6 && leftShares > 1e-9;
+  return { side, avgPrice: cash / got, shares: got, notional: cash, fee, partial, levels: taken };
+}
+
+// Remembers the size our own fills took out of each token's book and hides it
+// from later snapshots until the book has had `decayMs` to refill.
+export function createImpact({ decayMs = 60_000 } = {}) {
+  const taken = new Map(); // `${tokenId}:${side}` -> [{ price, size, t }]
+
+  const live = (key, now) => {
+    const xs = (taken.get(key) ?? []).filter((x) => now - x.t < decayMs);
+    if (xs.length) taken.set(key, xs);
+    else taken.delete(key);
+    return xs;
+  };
+
+  return {
+    record(tokenId, side, levels, now = Date.now()) {
+      const key = `${tokenId}:${side}`;
+      taken.set(key, [...live(key, now), ...levels.map((l) => ({ price: l.price, size: l.size, t: now }))]);
+    },
+    // A copy of `book` with our recent fills removed from the levels they hit. Fills are recorded at
+    // tick-snapped prices, so each raw level is matched on its snapped price, best level first (two
+    // off-tick levels can snap to one price; a fill there took the better one first).
+    apply(tokenId, book, now = Date.now(), tickSize = 0) {
+      if (!book) return book;
+      const tick = Number(book.tick_size) || tickSize;
+      const strip = (levels, side) => {
+        const used = live(`${tokenId}:${side}`, now);
+        if (used.length === 0) return levels;
+        const left = new Map(); // snapped price -> size still to take out
+        for (const u of used) left.set(u.price, (left.get(u.price) ?? 0) + u.size);
+        const cut = new Map();
+        const best = [...(levels ?? [])].sort((a, b) => (side === 'buy' ? 1 : -1) * (Number(a.price) - Number(b.price)));
+        for (const l of best) {
+          const px = snap(Number(l.price), tick, side);
+          const gone = Math.min(left.get(px) ?? 0, Number(l.size));
+          if (gone <= 0) continue;
+          cut.set(l, gone);
+          left.set(px, left.get(px) - gone);
+        }
+        return (levels ?? [])
+          .map((l) => (cut.has(l) ? { ...l, size: String(Math.max(0, Number(l.size) - cut.get(l))) } : l))
+          .filter((l) => Number(l.size) > 0);
+      };
+      return { ...book, asks: strip(book.asks, 'buy'), bids: strip(book.bids, 'sell') };
+    },
+  };
+}
+
+// Ties the model to a caller. nextBook(tokenId, t) resolves to the book as of
+// time t (or null to keep the decision's book); it is only consulted when latencyMs > 0.
+export function createExecutor(cfg, { nextBook = null, impact = createImpact({ decayMs: cfg.impactDecayMs }) } = {}) {
+  const opts = { feeBps: cfg.feeBps ?? 0, tickSize: cfg.tickSize ?? 0 };
+
+  async function bookFor(tokenId, book, now) {
+    let b = book;
+    if (cfg.latencyMs > 0 && nextBook) b = (await nextBook(tokenId, now + cfg.latencyMs)) ?? book;
+    return impact.apply(tokenId, b, now, opts.tickSize);
+  }
+
+  return {
+    opts,
+    bookFor,
+    // Buys up to `notional` of a token. Returns the fill or null.
+    async buy(tokenId, book, notional, now = Date.now()) {
+      const fill = simulateFill(await bookFor(tokenId, book, now), 'buy', { notional }, opts);
+      if (fill) impact.record(tokenId, 'buy', fill.levels, now);
+      return fill;
+    },
+    // Sells up to `shares` of a token. Returns the fill or null.
+    async sell(tokenId, book, shares, now = Date.now()) {
+      const fill = simulateFill(await bookFor(tokenId, book, now), 'sell', { shares }, opts);
+      if (fill) impact.record(tokenId, 'sell', fill.levels, now);
+      return fill;
+    },
+  };
+}
@@ -0,0 +1,130 @@
+// Market filters ("watchlists"), saved by name with `npm run watchlist` and
+// applied with --watchlist <name> (repeatable). A list looks like:
+//
+//   { "tags": ["nba"], "excludeKeywords": ["preseason"], "markets": ["512345"], "maxEndHours": 48 }
+//
+// Include rules (tags, categories, events, keywords, regex, markets): a market
+// must match at least one, unless the list has none. Exclude rules: it must
+// match none. minEndHours/maxEndHours bound the time left to its endDate.
+// Ids in `markets` are pinned: fetched and scanned whatever their volume rank,
+// and let through regardless of the other rules and the volume/liquidity minimums.
+// With several lists a market passes if any list lets it through.
+
+const LISTS = ['tags', 'excludeTags', 'categories', 'excludeCategories', 'events', 'excludeEvents', 'keywords', 'excludeKeywords', 'regex', 'excludeRegex', 'markets'];
+const NUMBERS = ['minEndHours', 'maxEndHours'];
+export const FILTER_KEYS = [...LISTS, ...NUMBERS, 'note'];
+
+// "/^Will .* win/i" or a bare pattern (case-insensitive).
+function toRegExp(s) {
+  const m = /^\/(.*)\/([a-z]*)$/s.exec(s);
+  return m ? new RegExp(m[1], m[2]) : new RegExp(s, 'i');
+}
+
+// Validates a saved spec. Returns it normalized (every list an array of strings); throws on bad input.
+export function normalizeFilter(spec, name = 'watchlist') {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) throw new Error(`${name}: expected an object`);
+  const out = {};
+  for (const [k, v] of Object.entries(spec)) {
+    if (k === 'name') continue;
+    if (!FILTER_KEYS.includes(k)) throw new Error(`${name}: unknown key "${k}" (known: ${FILTER_KEYS.join(', ')})`);
+    if (k === 'note') out.note = String(v);
+    else if (NUMBERS.includes(k)) {
+      if (v == null) continue;
+      const n = Number(v);
+      if (!Number.isFinite(n) || n < 0) throw new Error(`${name}: ${k} must be a number >= 0, got ${JSON.stringify(v)}`);
+      out[k] = n;
+    } else {
+      const xs = (Array.isArray(v) ? v : [v]).map(String).filter((x) => x.trim() !== '');
+      if (k === 'regex' || k === 'excludeRegex') {
+        for (const x of xs) {
+          try {
+            toRegExp(x);
+          } catch (e) {
+            throw new Error(`${name}: ${k} ${e.message}`);
+          }
+        }
+      }
+      if (xs.length) out[k] = xs;
+    }
+  }
+  return out;
+}
+
+function compileFilter(spec) {
+  const lower = (k) => new Set((spec[k] ?? []).map((x) => x.toLowerCase()));
+  return {
+    name: spec.name ?? null,
+    tags: lower('tags'),
+    excludeTags: lower('excludeTags'),
+    categories: lower('categories'),
+    excludeCategories: lower('excludeCategories'),
+    events: lower('events'),
+    excludeEvents: lower('excludeEvents'),
+    keywords: [...lower('keywords')],
+    excludeKeywords: [...lower('excludeKeywords')],
+    regex: (spec.regex ?? []).map(toRegExp),
+    excludeRegex: (spec.excludeRegex ?? []).map(toRegExp),
+    markets: new Set(spec.markets ?? []),
+    minEndHours: spec.minEndHours ?? null,
+    maxEndHours: spec.maxEndHours ?? null,
+  };
+}
+
+// Lower-cased tag ids/slugs/labels, categories and event slugs of a Gamma market
+// (markets are fetched with include_tag=true; events carry their own tags).
+function facets(m) {
+  const tags = new Set();
+  for (const t of [...(m.tags ?? []), ...(m.events ?? []).flatMap((e) => e.tags ?? [])]) {
+    for (const x of typeof t === 'object' ? [t.id, t.slug, t.label] : [t]) if (x != null) tags.add(String(x).toLowerCase());
+  }
+  const categories = new Set([m.category, ...(m.events ?? []).map((e) => e.category)].filter(Boolean).map((x) => String(x).toLowerCase()));
+  const events = new Set((m.events ?? []).map((e) => e.slug).filter(Boolean).map((x) => String(x).toLowerCase()));
+  return { tags, categories, events, question: String(m.question ?? '').toLowerCase(), rawQuestion: String(m.question ?? '') };
+}
+
+// One lower-cased category per market, for the per-category exposure cap (risk.js): Gamma's
+// category, else the event's, else the first tag. null when the market carries none of them.
+export function marketCategory(m) {
+  const tag = [...(m?.tags ?? []), ...(m?.events ?? []).flatMap((e) => e.tags ?? [])][0];
+  const c = m?.category ?? m?.events?.find((e) => e.category)?.category ?? (typeof tag === 'object' ? (tag?.slug ?? tag?.label) : tag);
+  return c ? String(c).toLowerCase() : null;
+}
+
+const any = (set, values) => [...set].some((x) => values.has(x));
+
+function passes(f, m, fx, now) {
+  if (f.markets.has(String(m.id))) return true;
+
+  if (any(f.excludeTags, fx.tags) || any(f.excludeCategories, fx.categories) || any(f.excludeEvents, fx.events)) return false;
+  if (f.excludeKeywords.some((k) => fx.question.includes(k)) || f.excludeRegex.some((r) => r.test(fx.rawQuestion))) return false;
+
+  const hoursLeft = (Date.parse(m.endDate) - now) / 3600_000;
+  if (f.minEndHours != null && !(hoursLeft >= f.minEndHours)) return false;
+  if (f.maxEndHours != null && !(hoursLeft <= f.maxEndHours)) return false;
+
+  const hasInclude = f.tags.size || f.categories.size || f.events.size || f.keywords.length || f.regex.length || f.markets.size;
+  if (!hasInclude) return true;
+  return (
+    any(f.tags, fx.tags) ||
+    any(f.categories, fx.categories) ||
+    any(f.events, fx.events) ||
+    f.keywords.some((k) => fx.question.includes(k)) ||
+    f.regex.some((r) => r.test(fx.rawQuestion))
+  );
+}
+
+// specs: resolved watchlists ([{ name, ...spec }], see config.js). Returns
+// { pinned: Set<marketId>, match(m, now) -> names of the lists that let m through }.
+// With no lists every market passes and match() returns [].
+export function compileWatchlists(specs = []) {
+  const lists = (specs ?? []).map(compileFilter);
+  return {
+    active: lists.length > 0,
+    pinned: new Set(lists.flatMap((f) => [...f.markets])),
+    match(m, now = Date.now()) {
+      if (!lists.length) return [];
+      const fx = facets(m);
+      return lists.filter((f) => passes(f, m, fx, now)).map((f) => f.name ?? 'inline');
+    },
+  };
+}
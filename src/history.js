@@ -0,0 +1,77 @@
+// Alert history: every alert scan emitted (data/alerts.jsonl or the SQLite store).
+//
+//   npm run history                                  last 24h
+//   npm run history -- --from 2026-10-01 --to 2026-10-15 --market lakers
+//   npm run history -- --days 7 --json
+//
+// Prints one line per alert plus alerts per UTC day against maxAlertsPerDay.
+
+import { fmtCents, parseTime } from './utils.js';
+import { readAlerts } from './state.js';
+import { dayStart } from './alerts.js';
+import { ConfigError, loadConfig } from './config.js';
+
+const OPTIONS = {
+  from: { type: 'string', default: null },
+  to: { type: 'string', default: null },
+  days: { type: 'number', min: 0, default: 1 }, // when --from is not given
+  market: { type: 'string', default: null },
+  limit: { type: 'integer', min: 1, default: 200 },
+  json: { type: 'boolean', default: false },
+};
+
+// --market matches a market id exactly or a substring of the question.
+function matchesMarket(a, market) {
+  if (!market) return true;
+  return String(a.marketId) === market || (a.question ?? '').toLowerCase().includes(market.toLowerCase());
+}
+
+async function main() {
+  const { cfg, printOnly } = await loadConfig(process.argv, { command: 'history', options: OPTIONS });
+  if (printOnly) return;
+  const args = {
+    from: cfg.from == null ? Date.now() - cfg.days * 86_400_000 : parseTime(cfg.from),
+    to: cfg.to == null ? Infinity : parseTime(cfg.to, { endOfDay: true }),
+    market: cfg.market,
+    limit: cfg.limit,
+    json: cfg.json,
+    perDay: cfg.maxAlertsPerDay,
+  };
+  if (Number.isNaN(args.from) || Number.isNaN(args.to)) throw new ConfigError(['--from/--to must be ISO dates or epoch ms']);
+  const alerts = (await readAlerts({ from: args.from, to: args.to })).filter((a) => matchesMarket(a, args.market));
+
+  if (args.json) {
+    console.log(JSON.stringify(alerts, null, 2));
+    return;
+  }
+  if (alerts.length === 0) {
+    console.log(`No alerts since ${new Date(args.from).toISOString()}.`);
+    return;
+  }
+
+  const shown = alerts.slice(-args.limit);
+  if (shown.length < alerts.length) console.log(`(${alerts.length - shown.length} older alerts not shown, raise --limit)`);
+  for (const a of shown) {
+    const price = a.bid != null ? `${fmtCents(a.bid)} / ${fmtCents(a.ask)}` : 'n/a';
+    console.log(
+      `${new Date(a.t).toISOString()} | score ${a.score} | ${a.question}${a.outcome ? ` [${a.outcome}]` : ''} | ${price} | ${a.alertReason ?? 'NEW'}`
+    );
+  }
+
+  const perDay = new Map();
+  for (const a of alerts) {
+    const d = new Date(dayStart(a.t)).toISOString().slice(0, 10);
+    perDay.set(d, (perDay.get(d) ?? 0) + 1);
+  }
+  console.log('---');
+  for (const [d, n] of perDay) console.log(`${d}: ${n} alert${n === 1 ? '' : 's'}${args.perDay > 0 ? ` / ${args.perDay}` : ''}`);
+}
+
+main().catch((e) => {
+  if (e instanceof ConfigError) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,189 @@
+// Shared HTTP client for the public Polymarket APIs and the notifiers' POSTs:
+// per-host token-bucket rate limit and concurrency cap, request timeouts, retries
+// with exponential backoff on 429/5xx/network errors (honoring Retry-After, capped
+// at maxBackoffMs), an optional short-TTL response cache, and per-endpoint
+// request/error counters.
+
+import { setTimeout as delay } from 'node:timers/promises';
+
+export class HttpError extends Error {
+  constructor(status, url, retryAfterMs = null) {
+    super(`HTTP ${status} for ${url}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const DEFAULT_LIMITS = {
+  'clob.polymarket.com': { ratePerSec: 15, burst: 30, concurrency: 8 },
+  'gamma-api.polymarket.com': { ratePerSec: 10, burst: 20, concurrency: 4 },
+  '*': { ratePerSec: 10, burst: 10, concurrency: 4 },
+};
+
+function parseRetryAfter(v) {
+  if (v == null) return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// Token ids and other long numeric path segments would make one counter per token.
+function endpointOf(u) {
+  return u.host + u.pathname.replace(/\/\d{4,}(?=\/|$)/g, '/:id');
+}
+
+function createHostGate({ ratePerSec, burst, concurrency }) {
+  let tokens = burst;
+  let last = Date.now();
+  let active = 0;
+  const waiting = [];
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + ((now - last) / 1000) * ratePerSec);
+    last = now;
+  }
+
+  let pumping = false;
+  async function pump() {
+    if (pumping) return;
+    pumping = true;
+    while (waiting.length && active < concurrency) {
+      refill();
+      if (tokens < 1) {
+        await delay(Math.ceil(((1 - tokens) / ratePerSec) * 1000));
+        continue;
+      }
+      tokens -= 1;
+      active += 1;
+      waiting.shift()();
+    }
+    pumping = false;
+  }
+
+  return {
+    async acquire() {
+      await new Promise((resolve) => {
+        waiting.push(resolve);
+        pump();
+      });
+    },
+    release() {
+      active -= 1;
+      pump();
+    },
+  };
+}
+
+export function createHttpClient({
+  limits = DEFAULT_LIMITS,
+  timeoutMs = 10_000,
+  retries = 3,
+  backoffMs = 500,
+  maxBackoffMs = 15_000,
+  userAgent = 'polymarket-alert-system/0.1',
+} = {}) {
+  const gates = new Map();
+  const cache = new Map(); // url -> { t, value }
+  const stats = new Map(); // endpoint -> { requests, errors, retries, byStatus, lastError, lastErrorAt }
+
+  function gateFor(host) {
+    if (!gates.has(host)) gates.set(host, createHostGate(limits[host] ?? limits['*'] ?? DEFAULT_LIMITS['*']));
+    return gates.get(host);
+  }
+
+  function statFor(endpoint) {
+    if (!stats.has(endpoint)) stats.set(endpoint, { requests: 0, errors: 0, retries: 0, byStatus: {}, lastError: null, lastErrorAt: null });
+    return stats.get(endpoint);
+  }
+
+  async function attempt(url, u, { read, ...init }) {
+    const gate = gateFor(u.host);
+    await gate.acquire();
+    try {
+      const res = await fetch(url, {
+        ...init,
+        headers: { 'user-agent': userAgent, ...init?.headers },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) {
+        await res.body?.cancel();
+        throw new HttpError(res.status, url, parseRetryAfter(res.headers.get('retry-after')));
+      }
+      return await read(res);
+    } catch (e) {
+      if (e.name !== 'TimeoutError') throw e;
+      const err = new Error(`timeout after ${timeoutMs}ms for ${url}`);
+      err.name = 'TimeoutError';
+      throw err;
+    } finally {
+      gate.release();
+    }
+  }
+
+  // `read` turns the response into the result; `retries` / `backoffMs` override the client's.
+  async function request(url, { cacheTtlMs = 0, retries: maxRetries = retries, backoffMs: baseMs = backoffMs, ...init }) {
+    if (cacheTtlMs > 0) {
+      const hit = cache.get(url);
+      if (hit && Date.now() - hit.t < cacheTtlMs) return hit.value;
+    }
+
+    const u = new URL(url);
+    const st = statFor(endpointOf(u));
+
+    for (let i = 0; ; i++) {
+      st.requests += 1;
+      try {
+        const value = await attempt(url, u, init);
+        if (cacheTtlMs > 0) cache.set(url, { t: Date.now(), value });
+        return value;
+      } catch (e) {
+        const status = e instanceof HttpError ? e.status : e.name === 'TimeoutError' ? 'timeout' : 'network';
+        st.errors += 1;
+        st.byStatus[status] = (st.byStatus[status] ?? 0) + 1;
+        st.lastError = e.message;
+        st.lastErrorAt = Date.now();
+
+        // Other 4xx (bad token id, unknown market) won't get better on retry.
+        const retryable = !(e instanceof HttpError) || e.status === 429 || e.status >= 500;
+        if (!retryable || i >= maxRetries) throw e;
+
+        st.retries += 1;
+        const backoff = Math.min(maxBackoffMs, baseMs * 2 ** i) * (0.75 + Math.random() * 0.5);
+        // A server asking for minutes would stall the caller; past maxBackoffMs the retry just fails again.
+        await delay(Math.min(maxBackoffMs, e.retryAfterMs ?? backoff));
+      }
+    }
+  }
+
+  return {
+    getJson: (url, opts = {}) => request(url, { ...opts, read: (res) => res.json() }),
+    // POSTs `body` as JSON; resolves to the response text (webhooks answer with anything, or nothing).
+    postJson: (url, body, { headers, ...opts } = {}) =>
+      request(url, {
+        ...opts,
+        method: 'POST',
+        headers: { 'content-type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        read: (res) => res.text(),
+      }),
+    stats() {
+      return Object.fromEntries(stats);
+    },
+    clearCache() {
+      cache.clear();
+    },
+  };
+}
+
+// Process-wide client used by fetchJson().
+export const http = createHttpClient();
+
+export function summarizeErrors(stats = http.stats()) {
+  const parts = Object.entries(stats)
+    .filter(([, s]) => s.errors > 0)
+    .map(([ep, s]) => `${ep} ${Object.entries(s.byStatus).map(([k, n]) => `${k}×${n}`).join(',')}`);
+  return parts.length ? parts.join(' | ') : null;
+}
@@ -0,0 +1,240 @@
+// Live execution for the daemon (--live): entries and exits become CLOB orders instead of
+// simulated fills. Same interface as execution.js createExecutor (opts, bookFor, buy, sell),
+// so engine.js executeEntry / executeExit record whatever actually filled.
+//
+//   orderType marketable   FAK limit order at the touch ± liveSlippage: takes what is there, the rest is cancelled
+//   orderType limit        GTC at our side's touch (best bid for buys, best ask for sells), cancelled
+//                          after orderTimeoutMs; fills are whatever matched by then
+//
+// Prices are snapped to the book's tick_size and sizes rounded down to 0.01 shares; orders
+// below the book's min_order_size are not sent. Without --confirmLive nothing is sent: each
+// order is logged and printed as [DRY-RUN] and the simulated fill stands in for the real one.
+//
+// Every order is logged to the day's orders log (orders-YYYY-MM-DD, next to the trade logs):
+// ORDER when placed, ORDER_DONE with what filled, ORDER_ERROR when the CLOB refused it, and
+// ORDER_UNKNOWN when its answer got lost (timeout, dropped connection, 5xx). Such an order is
+// looked up by id before anything is returned; if the CLOB can't be asked, the call throws and
+// the next order for that token looks it up first, so an exit is never sent twice.
+
+import { bestBidAsk, fmtCents, sleep } from './utils.js';
+import { appendTradeLog } from './state.js';
+import { dayStart } from './alerts.js';
+import { simulateFill, takerFee } from './execution.js';
+import { ClobError, createClobClient, createSigner, readCredentials } from './clob.js';
+import { ConfigError } from './config.js';
+
+const POLL_MS = 500;
+
+export function ordersLogId(t = Date.now()) {
+  return `orders-${new Date(dayStart(t)).toISOString().slice(0, 10)}`;
+}
+
+function snapPrice(price, tick, side) {
+  const n = side === 'BUY' ? Math.floor(price / tick + 1e-9) : Math.ceil(price / tick - 1e-9);
+  return Number(Math.min(1 - tick, Math.max(tick, n * tick)).toFixed(6));
+}
+
+const floorSize = (x) => Math.floor(x * 100 + 1e-9) / 100;
+const round = (x) => Number(x.toFixed(6));
+
+// Price, size and CLOB order type for buying `notional` / selling `shares` against `book`, or
+// { skip } when there is nothing to send.
+export function planOrder(book, side, { notional, shares }, cfg) {
+  const tick = Number(book?.tick_size) || cfg.tickSize || 0.01;
+  const { bestBid, bestAsk } = bestBidAsk(book);
+  const touch = side === 'BUY' ? bestAsk : bestBid;
+  if (touch == null) return { skip: `no ${side === 'BUY' ? 'asks' : 'bids'}` };
+
+  let price;
+  let type;
+  if (cfg.orderType === 'limit') {
+    // Rest on our own side of the book; an empty side falls back to one tick inside the touch.
+    const own = side === 'BUY' ? bestBid ?? touch - tick : bestAsk ?? touch + tick;
+    price = snapPrice(own, tick, side);
+    type = 'GTC';
+  } else {
+    price = snapPrice(side === 'BUY' ? touch + cfg.liveSlippage : touch - cfg.liveSlippage, tick, side);
+    type = 'FAK';
+  }
+
+  const size = floorSize(side === 'BUY' ? notional / price : shares);
+  const minSize = Number(book?.min_order_size) || 0;
+  if (size <= 0 || size < minSize) return { skip: `${size} sh is below the minimum order size (${minSize})` };
+  return { price, size, type, tick, negRisk: Boolean(book?.neg_risk) };
+}
+
+// What the order would get from `book`: up to its size and cost, at prices no worse than its
+// limit. A GTC that doesn't cross would rest instead; the dry run fills it at the touch, as
+// the simulated daemon would.
+function dryFill(book, plan, opts) {
+  const buy = plan.side === 'BUY';
+  const side = buy ? 'asks' : 'bids';
+  const limit = plan.type === 'GTC' ? (buy ? 1 : 0) : plan.price;
+  const reachable = (book?.[side] ?? []).filter((l) => (buy ? Number(l.price) <= limit + 1e-9 : Number(l.price) >= limit - 1e-9));
+  return simulateFill({ ...book, [side]: reachable }, buy ? 'buy' : 'sell', { shares: plan.size, notional: buy ? plan.size * plan.price : undefined }, opts);
+}
+
+// A config file or env var can't switch real trading on: --confirmLive must be typed, next to --live.
+export function checkLiveFlags(cfg, argv = process.argv) {
+  if (cfg.confirmLive && !(cfg.live && argv.some((a) => a === '--confirmLive' || a.startsWith('--confirmLive=')))) {
+    throw new ConfigError(['--confirmLive only applies together with --live, and only on the command line']);
+  }
+}
+
+// `sim` (a createExecutor) prices dry runs. Live mode needs the POLY_* credentials (clob.js).
+export async function createLiveExecutor(cfg, { sim, dryRun = true, client = null } = {}) {
+  if (!dryRun && !client) {
+    const { creds, missing } = readCredentials();
+    if (missing.length) throw new ConfigError(missing.map((k) => `--live --confirmLive needs ${k} in the environment`));
+    let signer;
+    try {
+      signer = await createSigner(creds.privateKey);
+    } catch (e) {
+      throw new ConfigError([e.message]);
+    }
+    client = createClobClient({ creds, signer });
+  }
+
+  const log = (event) => appendTradeLog(ordersLogId(event.t), event);
+  const unresolved = new Map(); // tokenId -> { orderID, plan, base } of an order whose outcome is unknown
+
+  // Polls until nothing more can fill (or orderTimeoutMs), cancels what is left, and returns
+  // { shares, avgPrice, status, cancelled }.
+  async function track(placed, plan) {
+    const making = Number(placed.makingAmount ?? 0);
+    const taking = Number(placed.takingAmount ?? 0);
+    if (placed.status === 'matched' && making > 0 && taking > 0) {
+      const shares = plan.side === 'BUY' ? taking : making;
+      const usdc = plan.side === 'BUY' ? making : taking;
+      return { shares, avgPrice: round(usdc / shares), status: 'MATCHED', cancelled: false };
+    }
+
+    const deadline = Date.now() + (plan.type === 'GTC' ? cfg.orderTimeoutMs : Math.min(cfg.orderTimeoutMs, 5_000));
+    let order = null;
+    for (;;) {
+      try {
+        order = (await client.getOrder(placed.orderID)) ?? order;
+      } catch (e) {
+        console.error(`[live] order ${placed.orderID}: ${e.message}`);
+      }
+      const done = order && order.status !== 'LIVE' && order.status !== 'DELAYED';
+      if (done || Date.now() >= deadline) break;
+      await sleep(POLL_MS);
+    }
+
+    let cancelled = false;
+    if (!order || order.status === 'LIVE' || order.status === 'DELAYED') {
+      try {
+        await client.cancelOrder(placed.orderID);
+        cancelled = true;
+        order = (await client.getOrder(placed.orderID).catch(() => null)) ?? order;
+      } catch (e) {
+        console.error(`[live] cancel ${placed.orderID}: ${e.message}`);
+      }
+    }
+    // Resting orders fill at their own limit price; an order found by lookup is booked there too.
+    return { shares: Number(order?.size_matched ?? 0), avgPrice: Number(order?.price ?? plan.price), status: order?.status ?? 'UNKNOWN', cancelled };
+  }
+
+  // Waits for the order, logs ORDER_DONE and returns the fill, or null if nothing matched.
+  async function finish(placed, plan, base) {
+    const res = await track(placed, plan);
+    await log({ t: Date.now(), type: 'ORDER_DONE', ...base, orderId: placed.orderID, ...res });
+    if (!(res.shares > 0)) return null;
+
+    // Resting (maker) fills pay no taker fee.
+    const fee = plan.type === 'GTC' ? 0 : takerFee(res.avgPrice, res.shares, cfg.feeBps);
+    return {
+      side: plan.side === 'BUY' ? 'buy' : 'sell',
+      avgPrice: res.avgPrice,
+      shares: res.shares,
+      notional: res.shares * res.avgPrice,
+      fee,
+      partial: res.shares < plan.size - 1e-9,
+      levels: [{ price: res.avgPrice, size: res.shares }],
+      order: { id: placed.orderID, type: plan.type, price: plan.price, size: plan.size, dryRun: false },
+    };
+  }
+
+  // An order whose answer got lost: its fill, or null when the CLOB never took it (or nothing
+  // matched). Throws while the CLOB can't say.
+  async function resolve({ orderID, plan, base }) {
+    const deadline = Date.now() + Math.min(cfg.orderTimeoutMs, 5_000);
+    for (;;) {
+      let order = null;
+      try {
+        order = await client.getOrder(orderID);
+      } catch (e) {
+        if (!(e instanceof ClobError)) throw e;
+        if (e.status !== 404) {
+          if (Date.now() >= deadline) throw e;
+          await sleep(POLL_MS);
+          continue;
+        }
+      }
+      if (order) return finish({ orderID, status: order.status }, plan, base);
+      await log({ t: Date.now(), type: 'ORDER_DONE', ...base, orderId: orderID, shares: 0, status: 'NOT_FOUND', cancelled: false });
+      return null;
+    }
+  }
+
+  async function place(tokenId, book, side, want, now) {
+    const earlier = unresolved.get(tokenId);
+    if (earlier) {
+      const fill = await resolve(earlier);
+      unresolved.delete(tokenId);
+      // That order already did what this one would.
+      if (fill && earlier.plan.side === side) return fill;
+    }
+
+    const plan = { side, ...planOrder(book, side, want, cfg) };
+    const base = { tokenId, side, orderType: plan.type ?? null };
+    if (plan.skip) {
+      console.error(`[live] ${side} ${tokenId} not sent: ${plan.skip}`);
+      await log({ t: now, type: 'ORDER_ERROR', ...base, error: plan.skip });
+      return null;
+    }
+    const order = { type: plan.type, price: plan.price, size: plan.size };
+
+    if (dryRun) {
+      const fill = dryFill(await sim.bookFor(tokenId, book, now), plan, sim.opts);
+      console.log(`[DRY-RUN] ${side} ${plan.size} sh of ${tokenId} @ ${fmtCents(plan.price)} ${plan.type}${fill ? ` | simulated ${fill.shares.toFixed(2)} sh @ ${fmtCents(fill.avgPrice)}` : ' | nothing fills'}`);
+      await log({ t: now, type: 'ORDER', ...base, price: plan.price, size: plan.size, dryRun: true, simulated: fill ? { shares: fill.shares, avgPrice: fill.avgPrice } : null });
+      return fill && { ...fill, order: { id: null, ...order, dryRun: true } };
+    }
+
+    let placed;
+    try {
+      placed = await client.postOrder({ tokenId, side, price: plan.price, size: plan.size, type: plan.type, negRisk: plan.negRisk, feeRateBps: cfg.feeBps });
+    } catch (e) {
+      if (!(e instanceof ClobError)) throw e;
+      console.error(`[live] ${side} ${tokenId}: ${e.message}`);
+      if (!e.uncertain) {
+        await log({ t: now, type: 'ORDER_ERROR', ...base, price: plan.price, size: plan.size, error: e.message });
+        return null;
+      }
+      await log({ t: now, type: 'ORDER_UNKNOWN', ...base, price: plan.price, size: plan.size, orderId: e.orderID, error: e.message });
+      if (!e.orderID) throw new Error(`${side} ${tokenId}: the order may have been placed and has no id to look it up by; check the CLOB`);
+      const pending = { orderID: e.orderID, plan, base };
+      try {
+        return await resolve(pending);
+      } catch (err) {
+        unresolved.set(tokenId, pending);
+        throw new Error(`${side} ${tokenId}: order ${e.orderID} may have been placed and can't be looked up (${err.message}); the next order for this token checks it first`);
+      }
+    }
+    console.log(`[LIVE] ${side} ${plan.size} sh of ${tokenId} @ ${fmtCents(plan.price)} ${plan.type} | order ${placed.orderID} ${placed.status}`);
+    await log({ t: now, type: 'ORDER', ...base, price: plan.price, size: plan.size, dryRun: false, orderId: placed.orderID, status: placed.status });
+    return finish(placed, plan, base);
+  }
+
+  return {
+    opts: sim.opts,
+    // The book as seen by the executor; live orders go against the real one.
+    bookFor: async (tokenId, book, now) => (dryRun ? sim.bookFor(tokenId, book, now) : book),
+    // Sizes go out in whole 0.01 shares and no smaller than the book's min_order_size.
+    minSell: (book) => Math.max(0.01, Number(book?.min_order_size) || 0),
+    buy: (tokenId, book, notional, now = Date.now()) => place(tokenId, book, 'BUY', { notional }, now),
+    sell: (tokenId, book, shares, now = Date.now()) => place(tokenId, book, 'SELL', { shares }, now),
+  };
+}
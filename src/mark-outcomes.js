@@ -0,0 +1,42 @@
+// Re-marks alerted tokens at each outcomeHorizons step (see outcomes.js). scan already
+// does this at the end of every run; with scans from cron, run this alongside so the
+// short horizons are marked on time.
+//
+//   npm run outcomes                          mark whatever is due now
+//   npm run outcomes -- --watch               keep marking every --everyMs (default 30s)
+//   npm run outcomes -- --outcomeHorizons 5m,1h,1d
+//
+// npm run report -- --alerts summarizes the results.
+
+import { sleep } from './utils.js';
+import { trackOutcomes } from './outcomes.js';
+import { ConfigError, loadConfig } from './config.js';
+
+const OPTIONS = {
+  watch: { type: 'boolean', default: false },
+  everyMs: { type: 'integer', min: 1000, default: 30_000 },
+};
+
+async function main() {
+  const { cfg, printOnly } = await loadConfig(process.argv, { command: 'outcomes', options: OPTIONS });
+  if (printOnly) return;
+
+  for (;;) {
+    const rows = await trackOutcomes(cfg);
+    const missed = rows.filter((o) => o.missed).length;
+    if (rows.length || !cfg.watch) {
+      console.log(`${new Date().toISOString()} marked ${rows.length - missed} alert outcome(s)${missed ? `, ${missed} missed (too late)` : ''}`);
+    }
+    if (!cfg.watch) return;
+    await sleep(cfg.everyMs);
+  }
+}
+
+main().catch((err) => {
+  if (err instanceof ConfigError) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,247 @@
+// Streaming market data: keeps local order books for subscribed tokens in sync
+// with the CLOB market WebSocket (`book` snapshots + `price_change` deltas).
+//
+// The stream resyncs a token from REST whenever it can't trust its local copy:
+// after (re)connecting, when a delta arrives for a book it never saw, when the
+// server's best bid/ask disagree with ours after a delta (a missed message),
+// and when a token has been silent for `staleMs`. While disconnected, the
+// stale check keeps REST-polling every subscribed token, so callers always
+// have a book to read. The WebSocket doesn't send tick_size / min_order_size /
+// neg_risk: they come from the REST reads (and `tick_size_change` events) and
+// stay on the book across stream snapshots.
+//
+//   const stream = createMarketStream();
+//   stream.subscribe([tokenId]);
+//   stream.on('update', (tokenId) => ... stream.book(tokenId) ...);
+
+import { EventEmitter } from 'node:events';
+import { bestBidAsk } from './utils.js';
+import { restSource } from './engine.js';
+import { openWebSocket } from './ws.js';
+
+export const WS_MARKET_URL = 'wss://ws-subscriptions-clob.polymarket.com/ws/market';
+
+function levelsToMap(levels) {
+  const m = new Map();
+  for (const l of levels ?? []) {
+    const size = Number(l.size);
+    if (Number.isFinite(size) && size > 0) m.set(String(l.price), size);
+  }
+  return m;
+}
+
+function mapToLevels(m) {
+  return [...m.entries()].map(([price, size]) => ({ price, size: String(size) }));
+}
+
+export function createMarketStream({
+  url = WS_MARKET_URL,
+  source = restSource,
+  staleMs = 60_000,
+  pingMs = 10_000,
+  maxBackoffMs = 30_000,
+} = {}) {
+  const emitter = new EventEmitter();
+  const books = new Map(); // tokenId -> { bids: Map<price, size>, asks: Map<price, size>, t }
+  const wanted = new Set();
+  const resyncing = new Map();
+
+  let conn = null;
+  let closed = false;
+  let attempt = 0;
+  let pingTimer = null;
+  let connectedBefore = false;
+
+  function setBook(tokenId, bids, asks, via, meta = books.get(tokenId)?.meta ?? {}) {
+    books.set(tokenId, { bids: levelsToMap(bids), asks: levelsToMap(asks), t: Date.now(), via, meta });
+    emitter.emit('update', tokenId);
+  }
+
+  function resync(tokenId, why) {
+    if (resyncing.has(tokenId)) return resyncing.get(tokenId);
+    emitter.emit('resync', tokenId, why);
+    const p = source
+      .book(tokenId)
+      .then((b) => {
+        if (!wanted.has(tokenId)) return;
+        const meta = Object.fromEntries(['tick_size', 'min_order_size', 'neg_risk'].filter((k) => b?.[k] != null).map((k) => [k, b[k]]));
+        setBook(tokenId, b?.bids, b?.asks, 'rest', meta);
+      })
+      .catch((e) => emitter.emit('warn', `resync ${tokenId} failed: ${e.message}`))
+      .finally(() => resyncing.delete(tokenId));
+    resyncing.set(tokenId, p);
+    return p;
+  }
+
+  function applyChange(tokenId, side, price, size) {
+    const b = books.get(tokenId);
+    const levels = String(side).toUpperCase() === 'BUY' ? b.bids : b.asks;
+    const s = Number(size);
+    if (!Number.isFinite(s) || s <= 0) levels.delete(String(price));
+    else levels.set(String(price), s);
+  }
+
+  // The server reports its best bid/ask after each change; if ours differs we missed a delta.
+  function checkTop(tokenId, bestBid, bestAsk) {
+    if (bestBid == null && bestAsk == null) return true;
+    const ours = bestBidAsk(emitter.book(tokenId));
+    const same = (a, b) => b == null || (a == null ? Number(b) === 0 : Math.abs(a - Number(b)) < 1e-9);
+    return same(ours.bestBid, bestBid) && same(ours.bestAsk, bestAsk);
+  }
+
+  function onEvent(ev) {
+    const type = ev?.event_type;
+    if (type === 'book') {
+      const tokenId = String(ev.asset_id);
+      if (wanted.has(tokenId)) setBook(tokenId, ev.bids ?? ev.buys, ev.asks ?? ev.sells, 'ws');
+      return;
+    }
+    if (type === 'tick_size_change') {
+      const b = books.get(String(ev.asset_id));
+      if (b) b.meta = { ...b.meta, tick_size: ev.new_tick_size };
+      return;
+    }
+    if (type !== 'price_change') return;
+
+    // Newer payloads: { price_changes: [{ asset_id, price, size, side, best_bid, best_ask }] }
+    // Older payloads: { asset_id, changes: [{ price, size, side }] }
+    const changes = ev.price_changes ?? (ev.changes ?? []).map((c) => ({ ...c, asset_id: ev.asset_id }));
+    const touched = new Map();
+    for (const c of changes) {
+      const tokenId = String(c.asset_id);
+      if (!wanted.has(tokenId)) continue;
+      if (!books.has(tokenId)) {
+        resync(tokenId, 'delta before snapshot');
+        continue;
+      }
+      applyChange(tokenId, c.side, c.price, c.size);
+      touched.set(tokenId, c);
+    }
+
+    for (const [tokenId, last] of touched) {
+      if (!checkTop(tokenId, last.best_bid, last.best_ask)) {
+        resync(tokenId, 'best bid/ask mismatch');
+        continue;
+      }
+      books.get(tokenId).t = Date.now();
+      emitter.emit('update', tokenId);
+    }
+  }
+
+  function send(msg) {
+    if (conn && !conn.closed) conn.send(JSON.stringify(msg));
+  }
+
+  async function connect() {
+    if (closed) return;
+    try {
+      conn = await openWebSocket(url);
+    } catch (e) {
+      emitter.emit('warn', `connect failed: ${e.message}`);
+      return scheduleReconnect();
+    }
+
+    attempt = 0;
+    emitter.emit('status', 'connected');
+    conn.send(JSON.stringify({ type: 'market', assets_ids: [...wanted] }));
+    // Books received before the drop may have missed deltas.
+    if (connectedBefore) for (const tokenId of wanted) resync(tokenId, 'reconnect');
+    connectedBefore = true;
+
+    pingTimer = setInterval(() => {
+      try {
+        conn.send('PING');
+      } catch {
+        // close handler takes care of it
+      }
+    }, pingMs);
+
+    conn.on('message', (text) => {
+      if (text === 'PONG') return;
+      let msg;
+      try {
+        msg = JSON.parse(text);
+      } catch {
+        return;
+      }
+      for (const ev of Array.isArray(msg) ? msg : [msg]) onEvent(ev);
+    });
+    conn.on('error', (e) => emitter.emit('warn', `socket error: ${e.message}`));
+    conn.on('close', () => {
+      clearInterval(pingTimer);
+      emitter.emit('status', 'disconnected');
+      scheduleReconnect();
+    });
+  }
+
+  function scheduleReconnect() {
+    if (closed) return;
+    const delay = Math.min(maxBackoffMs, 500 * 2 ** attempt++);
+    setTimeout(connect, delay).unref();
+  }
+
+  // Polling fallback: anything silent for staleMs (or never seen) is re-read from REST.
+  const staleTimer = setInterval(() => {
+    const now = Date.now();
+    for (const tokenId of wanted) {
+      const b = books.get(tokenId);
+      if (!b || now - b.t >= staleMs) resync(tokenId, 'stale');
+    }
+  }, Math.max(1_000, Math.floor(staleMs / 2)));
+  staleTimer.unref();
+
+  Object.assign(emitter, {
+    subscribe(tokenIds) {
+      const fresh = tokenIds.map(String).filter((t) => !wanted.has(t));
+      if (fresh.length === 0) return;
+      for (const t of fresh) {
+        wanted.add(t);
+        resync(t, 'subscribe');
+      }
+      send({ assets_ids: fresh, operation: 'subscribe' });
+    },
+
+    unsubscribe(tokenIds) {
+      const gone = tokenIds.map(String).filter((t) => wanted.delete(t));
+      for (const t of gone) books.delete(t);
+      if (gone.length) send({ assets_ids: gone, operation: 'unsubscribe' });
+    },
+
+    subscribed() {
+      return [...wanted];
+    },
+
+    // REST-shaped snapshot ({ bids, asks } of { price, size }, plus tick_size etc. once known) or null.
+    book(tokenId) {
+      const b = books.get(String(tokenId));
+      return b ? { bids: mapToLevels(b.bids), asks: mapToLevels(b.asks), t: b.t, ...b.meta } : null;
+    },
+
+    isFresh(tokenId) {
+      const b = books.get(String(tokenId));
+      return !!b && Date.now() - b.t < staleMs;
+    },
+
+    close() {
+      closed = true;
+      clearInterval(staleTimer);
+      clearInterval(pingTimer);
+      conn?.close();
+    },
+  });
+
+  connect();
+  return emitter;
+}
+
+// Engine source that serves subscribed tokens from the stream's local books and
+// falls back to `source` (REST) for everything else or when the stream is stale.
+export function streamSource(stream, source = restSource) {
+  return {
+    ...source,
+    async book(tokenId) {
+      if (stream.isFresh(tokenId)) return stream.book(tokenId);
+      return source.book(tokenId);
+    },
+  };
+}
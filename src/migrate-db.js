@@ -0,0 +1,128 @@
+// Imports the JSON/JSONL files under data/ into the SQLite store, so an existing
+// install can switch to STATE_BACKEND=sqlite. Safe to re-run: rows are upserted
+// and each trade's events are replaced, not appended twice.
+
+import fs from 'node:fs/promises';
+import * as db from './db.js';
+import { upgradeState } from './state.js';
+
+function parseArgs(argv) {
+  const args = { db: db.DB_FILE, snapshotFile: 'data/snapshots.json' };
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) continue;
+    const [k, v] = a.slice(2).split('=');
+    const next = v ?? argv[i + 1];
+    const read = () => (v ? v : (i++, next));
+
+    if (k === 'db') args.db = String(read());
+    else if (k === 'snapshotFile') args.snapshotFile = String(read());
+  }
+  return args;
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+
+async function readJsonl(file) {
+  const raw = await fs.readFile(file, 'utf8').catch(() => '');
+  return raw
+    .split('\n')
+    .filter((l) => l.trim())
+    .flatMap((l) => {
+      try {
+        return [JSON.parse(l)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+async function listDir(dir, ext) {
+  const files = await fs.readdir(dir).catch(() => []);
+  return files.filter((f) => f.endsWith(ext)).map((f) => f.slice(0, -ext.length));
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const d = db.openDb(args.db);
+  const counts = { positions: 0, snapshots: 0, trades: 0, events: 0, closed: 0, alerts: 0, alertOutcomes: 0, watchlists: 0, priceSeries: 0 };
+
+  const raw = await readJson('data/state.json', null);
+  const state = raw ? upgradeState(raw) : null;
+  const scanSnaps = await readJson(args.snapshotFile, null);
+  const lastClosed = await readJson('data/last_closed.json', null);
+
+  const trades = [];
+  for (const id of await listDir('data/trades', '.jsonl')) trades.push([id, await readJsonl(`data/trades/${id}.jsonl`)]);
+  const closed = [];
+  for (const id of await listDir('data/closed', '.json')) {
+    const c = await readJson(`data/closed/${id}.json`, null);
+    if (c) closed.push([id, c]);
+  }
+  const alerts = await readJsonl('data/alerts.jsonl');
+  const alertOutcomes = await readJsonl('data/alert-outcomes.jsonl');
+  const watchlists = await readJson('data/watchlists.json', {});
+  const prices = await readJson('data/prices.json', {});
+  const haveAlerts = d.prepare('SELECT COUNT(*) AS n FROM alerts').get().n > 0;
+
+  db.tx(d, () => {
+    if (state) {
+      const { positions, snapshots, ...doc } = state;
+      db.putMeta(d, 'state', doc);
+      db.putOpenPositions(d, positions);
+      db.putSnapshots(d, 'state', snapshots.byToken);
+      counts.positions = positions.length;
+      counts.snapshots += Object.keys(snapshots.byToken).length;
+    }
+    if (scanSnaps?.byToken) {
+      db.putSnapshots(d, args.snapshotFile, scanSnaps.byToken);
+      counts.snapshots += Object.keys(scanSnaps.byToken).length;
+    }
+
+    for (const [id, events] of trades) {
+      d.prepare('DELETE FROM trade_events WHERE trade_id = ?').run(id);
+      for (const e of events) db.appendTradeEvent(d, id, e);
+      counts.trades += 1;
+      counts.events += events.length;
+    }
+    for (const [id, c] of closed) {
+      db.putClosed(d, id, c);
+      counts.closed += 1;
+    }
+    if (lastClosed) db.putMeta(d, 'last_closed', lastClosed);
+    for (const [name, spec] of Object.entries(watchlists)) {
+      db.putWatchlist(d, name, spec);
+      counts.watchlists += 1;
+    }
+
+    if (prices.byToken) {
+      db.putPriceSeries(d, prices.byToken);
+      counts.priceSeries = Object.keys(prices.byToken).length;
+    }
+
+    // Keyed by alert and horizon, so re-imports are ignored.
+    for (const o of alertOutcomes) db.insertAlertOutcome(d, o);
+    counts.alertOutcomes = alertOutcomes.length;
+
+    // Alerts have no natural key; only import them into an empty table.
+    if (!haveAlerts) {
+      for (const { t, ...row } of alerts) db.insertAlert(d, t, row);
+      counts.alerts = alerts.length;
+    }
+  });
+
+  console.log(`Imported into ${args.db}: ${Object.entries(counts).map(([k, n]) => `${n} ${k}`).join(', ')}`);
+  if (haveAlerts && alerts.length) console.log('alerts table was not empty; data/alerts.jsonl skipped');
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,235 @@
+// Local stand-in for the CLOB's order endpoints, to exercise live.js / clob.js without
+// real money. Point the daemon at it with CLOB_BASE:
+//
+//   npm run mock:clob -- --port 8788 [--books books.json] [--secret <base64>] [--restFill 5]
+//                        [--loseReplies N] [--dropOrders N]
+//   CLOB_BASE=http://127.0.0.1:8788 POLY_PRIVATE_KEY=... POLY_API_KEY=k POLY_API_SECRET=c2VjcmV0 \
+//     POLY_API_PASSPHRASE=p npm run daemon -- --live --confirmLive
+//
+//   GET    /book?token_id=     the token's book (--books: { "<tokenId>": { bids, asks, ... } }, else a default
+//                              book around 50¢); size taken by our orders stays gone
+//   POST   /order              FAK / FOK match against the book at once; GTC matches what crosses and
+//                              rests the rest, which fills --restFill shares per status poll (default 0)
+//   GET    /data/order/:id     order status: LIVE, MATCHED or CANCELED with size_matched
+//   DELETE /order              { orderID }: cancels what is still resting
+//
+// Requests without the L2 headers get 401; with --secret their HMAC is checked too.
+// Signatures on the orders themselves are not verified.
+//
+// Order ids are the sha256 of salt:maker:tokenId:makerAmount:takerAmount rather than the
+// EIP-712 hash (node:crypto has no keccak), so a stub signer's orderId() must do the same.
+// --loseReplies N places the next N orders but drops the connection instead of answering;
+// --dropOrders N drops the next N order POSTs without placing them.
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import { ConfigError, loadConfig } from './config.js';
+
+const OPTIONS = {
+  port: { type: 'integer', min: 0, max: 65535, default: 8788 },
+  host: { type: 'string', default: '127.0.0.1' },
+  books: { type: 'string', default: null },
+  secret: { type: 'string', default: null },
+  restFill: { type: 'number', min: 0, default: 0 },
+  loseReplies: { type: 'integer', min: 0, default: 0 },
+  dropOrders: { type: 'integer', min: 0, default: 0 },
+};
+
+const DEFAULT_BOOK = {
+  bids: [
+    { price: '0.49', size: '500' },
+    { price: '0.48', size: '1000' },
+  ],
+  asks: [
+    { price: '0.51', size: '500' },
+    { price: '0.52', size: '1000' },
+  ],
+  tick_size: '0.01',
+  min_order_size: '5',
+  neg_risk: false,
+};
+
+const round = (x, d = 6) => Number(x.toFixed(d));
+
+const orderId = (o) => `0x${crypto.createHash('sha256').update(`${o.salt}:${o.maker}:${o.tokenId}:${o.makerAmount}:${o.takerAmount}`).digest('hex')}`;
+
+function createExchange(seed, restFill) {
+  const books = new Map();
+  const orders = new Map();
+
+  const book = (tokenId) => {
+    if (!books.has(tokenId)) books.set(tokenId, structuredClone({ ...DEFAULT_BOOK, ...seed[tokenId] }));
+    return books.get(tokenId);
+  };
+
+  // Takes up to `size` shares at prices no worse than `limit` from the opposite side.
+  function match(b, side, limit, size) {
+    const levels = side === 'BUY' ? b.asks : b.bids;
+    const better = side === 'BUY' ? (p) => p <= limit + 1e-9 : (p) => p >= limit - 1e-9;
+    levels.sort((x, y) => (side === 'BUY' ? x.price - y.price : y.price - x.price));
+    let shares = 0;
+    let usdc = 0;
+    for (const l of levels) {
+      const px = Number(l.price);
+      if (!better(px) || shares >= size - 1e-9) break;
+      const take = Math.min(Number(l.size), size - shares);
+      shares += take;
+      usdc += take * px;
+      l.size = String(round(Number(l.size) - take));
+    }
+    const left = levels.filter((l) => Number(l.size) > 1e-9);
+    if (side === 'BUY') b.asks = left;
+    else b.bids = left;
+    return { shares: round(shares), usdc: round(usdc) };
+  }
+
+  return {
+    book: (tokenId) => ({ asset_id: tokenId, timestamp: String(Date.now()), ...book(tokenId) }),
+
+    place({ order, orderType }) {
+      const side = order?.side;
+      if (side !== 'BUY' && side !== 'SELL') return { success: false, errorMsg: 'invalid order side' };
+      const maker = Number(order.makerAmount) / 1e6;
+      const taker = Number(order.takerAmount) / 1e6;
+      if (!(maker > 0 && taker > 0)) return { success: false, errorMsg: 'invalid order amounts' };
+      const size = side === 'BUY' ? taker : maker;
+      const price = round(side === 'BUY' ? maker / taker : taker / maker, 4);
+      const id = orderId(order);
+      if (orders.has(id)) return { success: false, errorMsg: 'order already placed' };
+      const b = book(String(order.tokenId));
+      if (size < Number(b.min_order_size ?? 0)) return { success: false, errorMsg: `size ${size} below minimum ${b.min_order_size}` };
+
+      if (orderType === 'FOK' && match(structuredClone(b), side, price, size).shares < size - 1e-9) {
+        return { success: false, errorMsg: 'FOK order not filled' };
+      }
+      const m = match(b, side, price, size);
+      const rests = orderType === 'GTC' && m.shares < size - 1e-9;
+      orders.set(id, {
+        id,
+        status: rests ? 'LIVE' : m.shares > 0 ? 'MATCHED' : 'CANCELED',
+        side,
+        asset_id: String(order.tokenId),
+        original_size: String(size),
+        size_matched: String(m.shares),
+        price: String(price),
+        order_type: orderType,
+        created_at: Math.floor(Date.now() / 1000),
+      });
+      const [making, taking] = side === 'BUY' ? [m.usdc, m.shares] : [m.shares, m.usdc];
+      return {
+        success: true,
+        errorMsg: '',
+        orderID: id,
+        status: rests ? 'live' : m.shares > 0 ? 'matched' : 'unmatched',
+        makingAmount: String(making),
+        takingAmount: String(taking),
+      };
+    },
+
+    // Each look at a resting order lets it fill a little more (--restFill).
+    status(id) {
+      const o = orders.get(id);
+      if (o?.status === 'LIVE' && restFill > 0) {
+        const matched = Math.min(Number(o.original_size), Number(o.size_matched) + restFill);
+        o.size_matched = String(round(matched));
+        if (matched >= Number(o.original_size) - 1e-9) o.status = 'MATCHED';
+      }
+      return o ?? null;
+    },
+
+    cancel(id) {
+      const o = orders.get(id);
+      if (!o) return { canceled: [], not_canceled: { [id]: 'order not found' } };
+      if (o.status !== 'LIVE') return { canceled: [], not_canceled: { [id]: `order is ${o.status}` } };
+      o.status = 'CANCELED';
+      return { canceled: [id], not_canceled: {} };
+    },
+  };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let buf = '';
+    req.on('data', (d) => (buf += d));
+    req.on('end', () => resolve(buf));
+    req.on('error', reject);
+  });
+}
+
+// null when the L2 headers are present (and, with a secret, their HMAC matches), else the reason.
+function authError(req, path, body, secret) {
+  const h = req.headers;
+  const missing = ['poly_address', 'poly_signature', 'poly_timestamp', 'poly_api_key', 'poly_passphrase'].filter((k) => !h[k]);
+  if (missing.length) return `missing ${missing.map((k) => k.toUpperCase()).join(', ')}`;
+  if (!secret) return null;
+  const want = crypto
+    .createHmac('sha256', Buffer.from(secret, 'base64'))
+    .update(`${h.poly_timestamp}${req.method}${path}${body}`)
+    .digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+  return want === h.poly_signature ? null : 'bad POLY_SIGNATURE';
+}
+
+async function main() {
+  const { cfg: args, printOnly } = await loadConfig(process.argv, { command: 'mock-clob', options: OPTIONS });
+  if (printOnly) return;
+  const seed = args.books ? JSON.parse(await fs.readFile(args.books, 'utf8')) : {};
+  const ex = createExchange(seed, args.restFill);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      const body = await readBody(req);
+      console.log(`${new Date().toISOString()} ${req.method} ${url.pathname}${url.search}${body ? ` ${body}` : ''}`);
+
+      if (req.method === 'GET' && url.pathname === '/book') {
+        const tokenId = url.searchParams.get('token_id');
+        return tokenId ? sendJson(res, 200, ex.book(tokenId)) : sendJson(res, 400, { error: 'token_id required' });
+      }
+
+      const route = req.method === 'POST' && url.pathname === '/order' ? 'post' : req.method === 'DELETE' && url.pathname === '/order' ? 'cancel' : req.method === 'GET' && url.pathname.startsWith('/data/order/') ? 'get' : null;
+      if (!route) return sendJson(res, 404, { error: 'not found' });
+      const denied = authError(req, url.pathname, body, args.secret);
+      if (denied) return sendJson(res, 401, { error: denied });
+
+      if (route === 'get') {
+        const o = ex.status(decodeURIComponent(url.pathname.slice('/data/order/'.length)));
+        return o ? sendJson(res, 200, o) : sendJson(res, 404, { error: 'order not found' });
+      }
+      const payload = body ? JSON.parse(body) : {};
+      if (route === 'cancel') return sendJson(res, 200, ex.cancel(payload.orderID));
+      if (args.dropOrders > 0) {
+        args.dropOrders -= 1;
+        return req.socket.destroy();
+      }
+      const placed = ex.place(payload);
+      if (args.loseReplies > 0) {
+        args.loseReplies -= 1;
+        return req.socket.destroy();
+      }
+      return sendJson(res, placed.success ? 200 : 400, placed);
+    } catch (e) {
+      return sendJson(res, 400, { error: e.message });
+    }
+  });
+
+  server.listen(args.port, args.host, () => {
+    console.log(`mock CLOB on http://${args.host}:${server.address().port}`);
+  });
+}
+
+main().catch((e) => {
+  if (e instanceof ConfigError) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  console.error(e);
+  process.exit(1);
+});
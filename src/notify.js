@@ -0,0 +1,218 @@
+// Notifier fan-out: Telegram, Discord, Slack, SMTP email and generic JSON webhooks.
+//
+// Channels live in data/notifiers.json (override with NOTIFIERS_FILE):
+//
+//   {
+//     "dedupeMs": 3600000,
+//     "channels": [
+//       { "name": "tg", "type": "telegram", "token": "123:abc", "chatId": "-100..", "events": ["ALERT", "CLOSE"] },
+//       { "name": "dc", "type": "discord", "url": "https://discord.com/api/webhooks/..." },
+//       { "name": "sl", "type": "slack", "url": "https://hooks.slack.com/services/..." },
+//       { "name": "hook", "type": "webhook", "url": "http://127.0.0.1:8787/events", "headers": { "x-token": ".." } },
+//       { "name": "mail", "type": "email", "host": "smtp.example.com", "port": 465, "secure": true,
+//         "user": "..", "pass": "..", "from": "bot@example.com", "to": ["me@example.com"] }
+//     ]
+//   }
+//
+// Events are { type: 'ALERT' | 'OPEN' | 'CLOSE' | 'BLOCK' | 'ARB' | 'ERROR', key, text, data }.
+// `text` is the default message; a channel can override it per event type with
+// `templates: { CLOSE: "{{question}} PnL ${{pnl}}" }` ({{path}} reads from data).
+// A channel without `events` receives everything. The same event key is sent to
+// a channel at most once per `dedupeMs`. Sending never throws into the caller.
+
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import path from 'node:path';
+import tls from 'node:tls';
+import { createHttpClient } from './http.js';
+import { sleep } from './utils.js';
+
+const CONFIG_FILE = process.env.NOTIFIERS_FILE ?? 'data/notifiers.json';
+const DEDUPE_FILE = 'data/notify-dedupe.json';
+
+async function readJson(file, fallback) {
+  try {
+    const raw = await fs.readFile(file, 'utf8');
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data, null, 2));
+}
+
+export function render(template, vars) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+    const v = key.split('.').reduce((o, k) => o?.[k], vars);
+    if (v == null) return '';
+    return typeof v === 'number' && !Number.isInteger(v) ? v.toFixed(4).replace(/0+$/, '') : String(v);
+  });
+}
+
+// Its own client, so notifier failures stay out of the API error counts scan prints.
+const http = createHttpClient();
+
+// Minimal SMTP client: implicit TLS (secure) or STARTTLS when offered, AUTH LOGIN.
+function sendMail({ host, port, secure = false, user, pass, from, to }, subject, text) {
+  const recipients = Array.isArray(to) ? to : [to];
+
+  return new Promise((resolve, reject) => {
+    let socket = secure ? tls.connect({ host, port: port ?? 465, servername: host }) : net.connect({ host, port: port ?? 587 });
+    let buf = '';
+    let waiter = null;
+
+    const onData = (d) => {
+      buf += d.toString('utf8');
+      // A reply is complete when its last line is "NNN text" (not "NNN-text").
+      const m = buf.match(/(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/);
+      if (m && waiter) {
+        const reply = { code: Number(m[1]), text: buf };
+        buf = '';
+        const w = waiter;
+        waiter = null;
+        w(reply);
+      }
+    };
+
+    const attach = (s) => {
+      s.on('data', onData);
+      s.on('error', reject);
+      s.setTimeout(30_000, () => s.destroy(new Error('SMTP timeout')));
+    };
+    attach(socket);
+
+    const reply = () => new Promise((r) => (waiter = r));
+    const cmd = async (line, expect) => {
+      if (line != null) socket.write(line + '\r\n');
+      const r = await reply();
+      if (!expect.includes(Math.floor(r.code / 100) * 100) && !expect.includes(r.code)) {
+        throw new Error(`SMTP ${r.code} after ${line?.split(' ')[0] ?? 'connect'}: ${r.text.trim()}`);
+      }
+      return r;
+    };
+
+    (async () => {
+      await cmd(null, [200]);
+      let ehlo = await cmd('EHLO polymarket-alert-system', [200]);
+      if (!secure && /STARTTLS/i.test(ehlo.text)) {
+        await cmd('STARTTLS', [200]);
+        socket.removeListener('data', onData);
+        socket = tls.connect({ socket, servername: host });
+        attach(socket);
+        await new Promise((r) => socket.once('secureConnect', r));
+        ehlo = await cmd('EHLO polymarket-alert-system', [200]);
+      }
+      if (user) {
+        await cmd('AUTH LOGIN', [334]);
+        await cmd(Buffer.from(user).toString('base64'), [334]);
+        await cmd(Buffer.from(pass ?? '').toString('base64'), [235]);
+      }
+      await cmd(`MAIL FROM:<${from}>`, [200]);
+      for (const rcpt of recipients) await cmd(`RCPT TO:<${rcpt}>`, [200]);
+      await cmd('DATA', [354]);
+      const body = [
+        `From: ${from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        // Dot-stuffing per RFC 5321.
+        text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..'),
+      ].join('\r\n');
+      await cmd(`${body}\r\n.`, [200]);
+      socket.write('QUIT\r\n');
+      socket.end();
+    })().then(resolve, (e) => {
+      socket.destroy();
+      reject(e);
+    });
+  });
+}
+
+// SMTP isn't HTTP, so it gets the same attempts and backoff by hand.
+async function sendMailRetrying(ch, subject, text, { retries, backoffMs }) {
+  for (let i = 0; ; i++) {
+    try {
+      return await sendMail(ch, subject, text);
+    } catch (e) {
+      if (i >= retries) throw e;
+      await sleep(backoffMs * 2 ** i);
+    }
+  }
+}
+
+// `retry`: { retries, backoffMs } for http.postJson.
+const adapters = {
+  telegram: (ch, text, event, retry) =>
+    http.postJson(`${ch.apiBase ?? 'https://api.telegram.org'}/bot${ch.token}/sendMessage`, { chat_id: ch.chatId, text, disable_web_page_preview: true }, retry),
+  discord: (ch, text, event, retry) => http.postJson(ch.url, { content: text.slice(0, 2000) }, retry),
+  slack: (ch, text, event, retry) => http.postJson(ch.url, { text }, retry),
+  webhook: (ch, text, event, retry) =>
+    http.postJson(ch.url, { type: event.type, key: event.key, text, data: event.data ?? null, t: Date.now() }, { ...retry, headers: ch.headers }),
+  email: (ch, text, event, retry) => sendMailRetrying(ch, `[polymarket] ${event.type} ${text.split('\n')[0]}`.slice(0, 200), text, retry),
+};
+
+export async function loadNotifiers(file = CONFIG_FILE) {
+  const cfg = await readJson(file, null);
+  return { dedupeMs: cfg?.dedupeMs ?? 3600_000, retry: cfg?.retry ?? {}, channels: cfg?.channels ?? [] };
+}
+
+// One delivery at a time in this process: parallel callers (the daemon's monitor() promises)
+// would otherwise each rewrite the dedupe file from their own stale copy and let repeats through.
+let queue = Promise.resolve();
+
+export function notify(events, file = CONFIG_FILE) {
+  const run = queue.then(() => deliver(events, file));
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function deliver(events, file) {
+  const list = Array.isArray(events) ? events : [events];
+  const cfg = await loadNotifiers(file);
+  if (cfg.channels.length === 0 || list.length === 0) return;
+  // notifiers.json `retry`: { attempts: 4, baseMs: 500 }, attempts counting the first try.
+  const retry = { retries: Math.max(0, (cfg.retry.attempts ?? 4) - 1), backoffMs: cfg.retry.baseMs ?? 500 };
+
+  const now = Date.now();
+  const seen = await readJson(DEDUPE_FILE, {});
+  for (const [k, t] of Object.entries(seen)) if (now - t > cfg.dedupeMs) delete seen[k];
+
+  const jobs = [];
+  for (const [idx, ch] of cfg.channels.entries()) {
+    const name = ch.name ?? `${ch.type}${idx}`;
+    const send = adapters[ch.type];
+    if (!send) {
+      console.error(`[notify] ${name}: unknown channel type ${ch.type}`);
+      continue;
+    }
+
+    for (const ev of list) {
+      if (ch.events && !ch.events.includes(ev.type)) continue;
+      const dedupeKey = `${name}:${ev.key ?? ev.text}`;
+      if (seen[dedupeKey]) continue;
+
+      const tpl = ch.templates?.[ev.type];
+      const text = tpl ? render(tpl, { ...ev.data, type: ev.type, text: ev.text }) : ev.text;
+
+      jobs.push(
+        send(ch, text, ev, retry).then(
+          () => {
+            seen[dedupeKey] = now;
+          },
+          (e) => console.error(`[notify] ${name} ${ev.type}: ${e.message}`)
+        )
+      );
+    }
+  }
+
+  await Promise.all(jobs);
+  // Other processes (scan from cron, the daemon) share the file: keep what they sent meanwhile.
+  const latest = await readJson(DEDUPE_FILE, {});
+  for (const [k, t] of Object.entries(latest)) if (now - t <= cfg.dedupeMs && !(seen[k] >= t)) seen[k] = t;
+  await writeJson(DEDUPE_FILE, seen);
+}
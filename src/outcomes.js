@@ -0,0 +1,85 @@
+// Forward returns of scan alerts. Every recorded alert is re-marked once per
+// horizon in cfg.outcomeHorizons: the token's book is read again and its bid,
+// ask and mid stored with the alert (state.js recordAlertOutcomes). Against the
+// alert-time quote that gives
+//
+//   ret     bid at the horizon - ask at alert time  (buy the alert, sell into the book)
+//   retMid  mid at the horizon - mid at alert time  (the move, spread aside)
+//
+// and a hit is ret > 0. A mark that comes due more than half a horizon late is
+// stored as `missed` instead, so a 5m number never quietly holds a 12m price.
+
+import { bestBidAsk, fmtDuration } from './utils.js';
+import { readAlertOutcomes, readAlerts, recordAlertOutcomes } from './state.js';
+import { alertId } from './alerts.js';
+import { restSource } from './engine.js';
+
+// Alerts older than this can't have a horizon left to mark.
+function markSince(horizons, now) {
+  return now - Math.max(...horizons) * 1.5;
+}
+
+// Marks every (alert, horizon) pair that is due and not stored yet. Returns the outcomes recorded.
+export async function trackOutcomes(cfg, { source = restSource, now = Date.now() } = {}) {
+  const horizons = cfg.outcomeHorizons ?? [];
+  if (horizons.length === 0) return [];
+  const from = markSince(horizons, now);
+  const alerts = await readAlerts({ from });
+  if (alerts.length === 0) return [];
+  const done = new Set((await readAlertOutcomes({ from })).map((o) => `${o.alertId}:${o.horizonMs}`));
+
+  const books = new Map();
+  const bookFor = (tokenId) => {
+    if (!books.has(tokenId)) books.set(tokenId, source.book(tokenId).catch(() => null));
+    return books.get(tokenId);
+  };
+
+  const rows = [];
+  for (const a of alerts) {
+    if (a.tokenId == null) continue;
+    for (const h of horizons) {
+      const id = alertId(a);
+      const lateMs = now - (a.t + h);
+      if (lateMs < 0 || done.has(`${id}:${h}`)) continue;
+      const base = { alertId: id, alertT: a.t, marketId: a.marketId, tokenId: a.tokenId, horizonMs: h, horizon: fmtDuration(h), t: now, lateMs };
+      if (lateMs > h / 2) {
+        rows.push({ ...base, missed: true });
+        continue;
+      }
+      const { bestBid, bestAsk } = bestBidAsk(await bookFor(String(a.tokenId)));
+      if (bestBid == null && bestAsk == null) continue; // no book right now; the next run retries
+      const mid = bestBid != null && bestAsk != null ? (bestBid + bestAsk) / 2 : null;
+      rows.push({ ...base, bid: bestBid, ask: bestAsk, mid });
+    }
+  }
+  await recordAlertOutcomes(rows);
+  return rows;
+}
+
+// One sample per marked (alert, horizon): { alert, horizonMs, ret, retMid, hit }, plus per-horizon
+// counts of marks that were missed and alerts still waiting for theirs.
+export function joinOutcomes(alerts, outcomes, now = Date.now()) {
+  const byKey = new Map(outcomes.map((o) => [`${o.alertId}:${o.horizonMs}`, o]));
+  const horizons = [...new Set(outcomes.map((o) => o.horizonMs))].sort((a, b) => a - b);
+  const samples = [];
+  const missed = {};
+  const pending = {};
+  for (const a of alerts) {
+    const id = alertId(a);
+    for (const h of horizons) {
+      const o = byKey.get(`${id}:${h}`);
+      if (!o) {
+        if (a.t + h * 1.5 > now) pending[h] = (pending[h] ?? 0) + 1;
+        else missed[h] = (missed[h] ?? 0) + 1;
+      } else if (o.missed) {
+        missed[h] = (missed[h] ?? 0) + 1;
+      } else if (o.bid != null && a.ask != null) {
+        const retMid = o.mid != null && a.mid != null ? o.mid - a.mid : null;
+        samples.push({ alert: a, horizonMs: h, ret: o.bid - a.ask, retMid, hit: o.bid > a.ask });
+      } else {
+        missed[h] = (missed[h] ?? 0) + 1; // one-sided book: no executable price
+      }
+    }
+  }
+  return { horizons, samples, missed, pending };
+}
@@ -1,10 +1,23 @@
-// Extremely simple paper trading harness for the MVP.
+// Paper trading ledger.
 //
-// It does NOT execute real trades. It just keeps a virtual portfolio and
-// can be extended later to auto-enter on alerts and auto-exit on rules.
+// It does NOT execute real trades. It keeps a virtual portfolio in
+// data/paper.json and prices every fill against live CLOB books with the same
+// execution model the daemon uses (execution.js: depth, fees, ticks, latency),
+// so paper PnL is directly comparable to the daemon's closed summaries. A sell
+// the book can't fully absorb leaves the rest open; close it again later.
+//
+//   paper                          show the ledger (no network)
+//   paper open --token <id>        buy --notional USD of a token at the book
+//   paper open --alert <file|->    open from a `scan --json` row (--pick N, default 0)
+//   paper mark                     mark all open positions to the current books
+//   paper close --id <id> | --all  sell at the book and realize PnL
 
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { CLOB_BASE, GAMMA_BASE, bestBidAsk, fetchJson, fmtCents, safeParseJsonArray, sleep } from './utils.js';
+import { buildPosition, executeEntry, executeExit, openShares } from './engine.js';
+import { createExecutor } from './execution.js';
+import { ConfigError, loadConfig } from './config.js';
 
 const STATE_FILE = 'data/paper.json';
 
@@ -26,21 +39,180 @@ async function writeJson(file, data) {
   await fs.writeFile(file, JSON.stringify(data, null, 2));
 }
 
-function parseArgs(argv) {
-  const args = { bankroll: 1000 };
-  for (let i = 2; i < argv.length; i++) {
-    const a = argv[i];
-    if (!a.startsWith('--')) continue;
-    const [k, v] = a.slice(2).split('=');
-    const next = v ?? argv[i + 1];
-    const read = () => (v ? v : (i++, next));
-    if (k === 'bankroll') args.bankroll = Number(read());
+const OPTIONS = {
+  token: { type: 'string', default: null },
+  alert: { type: 'string', default: null },
+  pick: { type: 'integer', min: 0, default: 0 },
+  id: { type: 'string', default: null },
+  all: { type: 'boolean', default: false },
+};
+
+async function readStdin() {
+  const chunks = [];
+  for await (const c of process.stdin) chunks.push(c);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function readAlertRow(src, pick) {
+  const raw = src === '-' ? await readStdin() : await fs.readFile(src, 'utf8');
+  const v = JSON.parse(raw);
+  const row = Array.isArray(v) ? v[pick] : v;
+  if (!row?.tokenId) throw new Error(`no alert row with a token at index ${pick}`);
+  return row;
+}
+
+async function lookupMarket(tokenId) {
+  try {
+    const ms = await fetchJson(`${GAMMA_BASE}/markets?clob_token_ids=${tokenId}`);
+    return ms?.[0] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+// The outcome name a token buys in a Gamma market ("Yes", "Lakers", ...).
+function outcomeOf(market, tokenId) {
+  const i = safeParseJsonArray(market?.clobTokenIds).map(String).indexOf(String(tokenId));
+  return i === -1 ? null : (safeParseJsonArray(market.outcomes)[i] ?? null);
+}
+
+function fetchBook(tokenId) {
+  return fetchJson(`${CLOB_BASE}/book?token_id=${tokenId}`);
+}
+
+// --latencyMs: fill against the book re-fetched that long after the one we decided on.
+function executorFor(args) {
+  return createExecutor(args, {
+    nextBook: async (tokenId, at) => {
+      await sleep(Math.max(0, at - Date.now()));
+      return fetchBook(tokenId).catch(() => null);
+    },
+  });
+}
+
+async function open(state, args) {
+  const row = args.alert ? await readAlertRow(args.alert, args.pick) : null;
+  const tokenId = row?.tokenId ?? args.token;
+  if (!tokenId) throw new Error('usage: paper open --token <id> | --alert <file|->');
+  if (state.positions.some((p) => p.tokenId === String(tokenId))) throw new Error(`already holding ${tokenId}`);
+  if (args.notional > state.cash) throw new Error(`insufficient cash: $${state.cash.toFixed(2)} < $${args.notional}`);
+
+  const market = row ? { id: row.marketId, question: row.question, slug: null } : await lookupMarket(tokenId);
+  const book = await fetchBook(tokenId);
+  const { bestBid, bestAsk } = bestBidAsk(book);
+  if (bestBid == null || bestAsk == null) throw new Error(`no two-sided book for ${tokenId}`);
+
+  const quote = {
+    market: { id: market?.id ?? null, question: market?.question ?? `token ${tokenId}` },
+    url: row?.url ?? (market?.slug ? `https://polymarket.com/market/${market.slug}` : null),
+    score: row?.score ?? null,
+    reason: row ? `scan alert score ${row.score}` : 'manual',
+    chosen: {
+      tokenId: String(tokenId),
+      outcome: row?.outcome ?? outcomeOf(market, tokenId),
+      mid: (bestBid + bestAsk) / 2,
+      bid: bestBid,
+      ask: bestAsk,
+      spread: bestAsk - bestBid,
+      book,
+    },
+  };
+  const op = await executeEntry(executorFor(args), quote, args.notional);
+  if (!op) throw new Error(`no asks to buy ${tokenId}`);
+  const { entry } = op.chosen;
+  // The taker fee comes out of cash too, and is only known once the fill has walked the book.
+  if (entry.notional + entry.fee > state.cash) {
+    throw new Error(`insufficient cash: $${state.cash.toFixed(2)} < $${entry.notional.toFixed(2)} + fee $${entry.fee.toFixed(2)}`);
+  }
+  const position = buildPosition(op, args);
+  state.positions.push(position);
+  state.cash -= entry.notional + entry.fee;
+
+  console.log(
+    `[OPEN] ${position.question}${position.outcome ? ` [${position.outcome}]` : ''}${op.score != null ? ` | score ${op.score}` : ''} | ${entry.shares.toFixed(2)} sh @ ${fmtCents(entry.avgPrice)} | $${entry.notional.toFixed(2)} + fee $${entry.fee.toFixed(2)}${entry.partial ? ' (partial fill: book too thin)' : ''}`
+  );
+}
+
+async function mark(state) {
+  await Promise.all(
+    state.positions.map(async (p) => {
+      let book;
+      try {
+        book = await fetchBook(p.tokenId);
+      } catch (e) {
+        console.error(`[mark] ${p.id}: ${e.message}`);
+        return;
+      }
+      const { bestBid, bestAsk } = bestBidAsk(book);
+      if (bestBid == null || bestAsk == null) return;
+      p.lastMark = { t: Date.now(), mid: (bestBid + bestAsk) / 2, bid: bestBid, ask: bestAsk };
+    })
+  );
+}
+
+async function close(state, args) {
+  const targets = args.all ? [...state.positions] : state.positions.filter((p) => p.id === args.id);
+  if (targets.length === 0) throw new Error('usage: paper close --id <positionId> | --all');
+
+  const executor = executorFor(args);
+  for (const p of targets) {
+    const book = await fetchBook(p.tokenId);
+    const { bestBid, bestAsk } = bestBidAsk(book);
+    if (bestBid == null) {
+      console.error(`[close] ${p.id}: no bids, left open`);
+      continue;
+    }
+    p.lastMark = { t: Date.now(), mid: bestAsk != null ? (bestBid + bestAsk) / 2 : bestBid, bid: bestBid, ask: bestAsk };
+
+    const { fill, closed } = await executeExit(executor, p, book, { reason: 'MANUAL' });
+    if (!fill) {
+      console.error(`[close] ${p.id}: nothing filled, left open`);
+      continue;
+    }
+    state.cash += fill.avgPrice * fill.shares - fill.fee;
+    state.pnl += fill.pnl;
+    if (!closed) {
+      console.log(`[PARTIAL] ${p.question} | sold ${fill.shares.toFixed(2)} sh @ ${fmtCents(fill.avgPrice)} | ${openShares(p).toFixed(2)} sh left (book too thin)`);
+      continue;
+    }
+    state.closed.push(closed);
+    state.positions = state.positions.filter((x) => x.id !== p.id);
+
+    console.log(
+      `[CLOSED] ${closed.question} | entry ${fmtCents(closed.entryAvg)} -> exit ${fmtCents(closed.exitAvg)} | PnL $${closed.pnl.toFixed(2)}`
+    );
   }
-  return args;
+}
+
+function show(state) {
+  let unrealized = 0;
+  let marketValue = 0;
+
+  console.log(`Paper ledger — bankroll $${state.bankroll.toFixed(2)} | cash $${state.cash.toFixed(2)}`);
+  for (const p of state.positions) {
+    // Mark at bid: that's what we could sell at.
+    const shares = openShares(p);
+    const value = p.lastMark.bid * shares;
+    const upnl = value - p.entry.avgPrice * shares;
+    unrealized += upnl;
+    marketValue += value;
+    const age = ((Date.now() - p.lastMark.t) / 60000).toFixed(0);
+    console.log(
+      `  ${p.id} | ${p.question}${p.outcome ? ` [${p.outcome}]` : ''} | ${shares.toFixed(2)} sh @ ${fmtCents(p.entry.avgPrice)} | bid ${fmtCents(p.lastMark.bid)} (${age}m ago) | uPnL $${upnl.toFixed(2)}`
+    );
+  }
+
+  const equity = state.cash + marketValue;
+  console.log(
+    `Realized $${state.pnl.toFixed(2)} | Unrealized $${unrealized.toFixed(2)} | Equity $${equity.toFixed(2)} (${(((equity - state.bankroll) / state.bankroll) * 100).toFixed(2)}% vs bankroll)`
+  );
 }
 
 async function main() {
-  const args = parseArgs(process.argv);
+  // Paper tickets default to $100 rather than the daemon's notional.
+  const { cfg: args, positional, printOnly } = await loadConfig(process.argv, { command: 'paper', options: { ...OPTIONS, notional: { type: 'number', min: 1, default: 100 } } });
+  if (printOnly) return;
+  args.cmd = positional[0] ?? 'show';
 
   const state = await readJson(STATE_FILE, {
     createdAt: new Date().toISOString(),
@@ -49,14 +221,23 @@ async function main() {
     positions: [],
     pnl: 0,
   });
+  state.closed ??= [];
 
-  console.log('Paper trading state (MVP scaffold)');
-  console.log(JSON.stringify(state, null, 2));
+  if (args.cmd === 'open') await open(state, args);
+  else if (args.cmd === 'mark') await mark(state);
+  else if (args.cmd === 'close') await close(state, args);
+  else if (args.cmd !== 'show') throw new Error(`unknown command: ${args.cmd} (show | open | mark | close)`);
+
+  show(state);
 
   await writeJson(STATE_FILE, state);
 }
 
 main().catch((err) => {
+  if (err instanceof ConfigError) {
+    console.error(err.message);
+    process.exit(2);
+  }
   console.error(err);
   process.exit(1);
 });
@@ -0,0 +1,123 @@
+// Rolling per-token price series, so a "move" covers a fixed window (moveWindowMs)
+// rather than however long ago the previous run left its snapshot.
+//
+// Each sample is { t, mid, volume }, where volume is the market's cumulative
+// traded volume (Gamma volumeNum) when known. The newest FINE_MS of a series keeps
+// one sample per FINE_SLOT_MS; older samples are thinned to one per COARSE_SLOT_MS,
+// and nothing older than KEEP_MS is kept. Per window (WINDOWS) we report
+//
+//   change      mid now - mid at the start of the window
+//   volatility  realized: sqrt(sum of squared mid changes between samples), in price units
+//   vwap        mids weighted by the volume traded between samples (null without volume data)
+//
+// all null until the series reaches back to the start of the window (within half a window).
+// Series are loaded from and flushed to the state store (data/prices.json or SQLite).
+
+import { readPriceHistory, writePriceHistory } from './state.js';
+
+export const WINDOWS = { '5m': 5 * 60_000, '15m': 15 * 60_000, '1h': 3600_000, '24h': 24 * 3600_000 };
+
+const KEEP_MS = 25 * 3600_000;
+const FINE_MS = 2 * 3600_000;
+const FINE_SLOT_MS = 30_000;
+const COARSE_SLOT_MS = 5 * 60_000;
+
+// Sorted by t; keeps the last sample per slot.
+export function compactSeries(samples, now) {
+  const slot = (s) => (s.t < now - FINE_MS ? `c${Math.floor(s.t / COARSE_SLOT_MS)}` : `f${Math.floor(s.t / FINE_SLOT_MS)}`);
+  const out = [];
+  let lastSlot = null;
+  for (const s of [...samples].sort((a, b) => a.t - b.t)) {
+    if (s.t < now - KEEP_MS) continue;
+    if (slot(s) === lastSlot) out[out.length - 1] = s;
+    else out.push(s);
+    lastSlot = slot(s);
+  }
+  return out;
+}
+
+// { change, volatility, vwap } over the `windowMs` ending at the newest sample, or null.
+export function windowStats(samples, windowMs) {
+  const last = samples.at(-1);
+  if (!last) return null;
+  const target = last.t - windowMs;
+  let start = -1;
+  for (let i = samples.length - 1; i >= 0; i--) {
+    if (samples[i].t <= target) {
+      start = i;
+      break;
+    }
+  }
+  if (start === -1 || target - samples[start].t > windowMs / 2) return null;
+
+  let sq = 0;
+  let traded = 0;
+  let weighted = 0;
+  for (let i = start + 1; i < samples.length; i++) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    sq += (b.mid - a.mid) ** 2;
+    if (a.volume != null && b.volume != null && b.volume > a.volume) {
+      traded += b.volume - a.volume;
+      weighted += ((a.mid + b.mid) / 2) * (b.volume - a.volume);
+    }
+  }
+  return { change: last.mid - samples[start].mid, volatility: Math.sqrt(sq), vwap: traded > 0 ? weighted / traded : null };
+}
+
+const toDisk = (s) => [s.t, s.mid, s.volume];
+const fromDisk = ([t, mid, volume = null]) => ({ t, mid, volume });
+
+// byToken: { [tokenId]: [[t, mid, volume], ...] } as stored.
+export function createPriceHistory(byToken = {}) {
+  const series = new Map(Object.entries(byToken).map(([id, rows]) => [id, rows.map(fromDisk)]));
+  const touched = new Set();
+  const backfilled = new Set();
+
+  const get = (tokenId) => series.get(String(tokenId)) ?? [];
+  const merge = (tokenId, samples, now) => {
+    const id = String(tokenId);
+    series.set(id, compactSeries([...get(id), ...samples], now));
+    touched.add(id);
+  };
+
+  return {
+    add(tokenId, { t, mid, volume = null }) {
+      merge(tokenId, [{ t, mid, volume: Number.isFinite(volume) ? volume : null }], t);
+    },
+    merge,
+    series: get,
+    // { '5m': { change, volatility, vwap } | null, ... } as of the newest sample.
+    stats(tokenId) {
+      const s = get(tokenId);
+      return Object.fromEntries(Object.entries(WINDOWS).map(([k, w]) => [k, windowStats(s, w)]));
+    },
+    change(tokenId, windowMs) {
+      return windowStats(get(tokenId), windowMs)?.change ?? null;
+    },
+    // A series too short for `windowMs` that hasn't been backfilled yet in this process.
+    needsBackfill(tokenId, windowMs) {
+      return !backfilled.has(String(tokenId)) && windowStats(get(tokenId), windowMs) == null;
+    },
+    markBackfilled(tokenId) {
+      backfilled.add(String(tokenId));
+    },
+    // Writes the series this process touched, merged with what other processes stored meanwhile.
+    async flush(now = Date.now()) {
+      if (touched.size === 0) return;
+      const ids = [...touched];
+      touched.clear();
+      const stored = await readPriceHistory(ids);
+      const out = {};
+      for (const id of ids) {
+        series.set(id, compactSeries([...(stored[id] ?? []).map(fromDisk), ...get(id)], now));
+        out[id] = get(id).map(toDisk);
+      }
+      await writePriceHistory(out, { before: now - KEEP_MS });
+    },
+  };
+}
+
+export async function loadPriceHistory() {
+  return createPriceHistory(await readPriceHistory());
+}
@@ -0,0 +1,43 @@
+// Order book recorder: on every poll, fetch the market list and the full /book
+// response for every candidate token (the same candidates scanMarkets looks
+// at) and append them to the tape. Read it back with readTape().
+
+import { sleep } from './utils.js';
+import { restSource, scanMarkets } from './engine.js';
+import { TAPE_DIR, createTapeWriter, recordingSource } from './tape.js';
+import { ConfigError, loadConfig } from './config.js';
+
+const OPTIONS = {
+  dir: { type: 'string', default: TAPE_DIR },
+  maxMb: { type: 'number', min: 1, default: 64 },
+  retentionDays: { type: 'number', min: 0, default: 14 },
+  once: { type: 'boolean', default: false },
+};
+
+async function main() {
+  const { cfg: args, printOnly } = await loadConfig(process.argv, { command: 'record', options: OPTIONS });
+  if (printOnly) return;
+  const tape = createTapeWriter({ dir: args.dir, maxBytes: args.maxMb * 1024 * 1024, retentionDays: args.retentionDays });
+  const source = recordingSource(restSource, tape);
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    try {
+      await scanMarkets(args, { source });
+    } catch (e) {
+      console.error(`[record] ${e.message}`);
+    }
+    await tape.flush();
+    if (args.once) return;
+    await sleep(args.pollMs);
+  }
+}
+
+main().catch((e) => {
+  if (e instanceof ConfigError) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,347 @@
+// Performance report over every closed trade (data/closed/*.json or the SQLite
+// store): cumulative PnL, win rate, profit factor, max drawdown, hold time, and
+// PnL broken down by exit reason and by the entry spread / move / score the
+// scanner saw, so we can tell whether the score predicts outcomes.
+//
+// --alerts reports on scan alerts instead: hit rate and average forward return at
+// each outcome horizon (outcomes.js), by score bucket and by each score component.
+//
+//   npm run report -- --from 2026-10-01 --to 2026-10-15 --market 512345
+//   npm run report -- --format csv > report.csv
+//   npm run report -- --alerts --from 2026-10-01
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fmtDuration, parseTime } from './utils.js';
+import { listClosedSummaries, readAlertOutcomes, readAlerts, readTradeLog } from './state.js';
+import { joinOutcomes } from './outcomes.js';
+import { ConfigError, loadConfig } from './config.js';
+
+// Bucket edges (lower bound inclusive). Spread and move are in price units (0.01 = 1c).
+const BUCKETS = {
+  spread: [0, 0.005, 0.01, 0.02],
+  move: [0, 0.02, 0.05, 0.1],
+  score: [0, 25, 50, 75],
+};
+
+const OPTIONS = {
+  from: { type: 'string', default: null },
+  to: { type: 'string', default: null },
+  market: { type: 'string', default: null },
+  format: { type: 'string', values: ['text', 'csv', 'json'], default: 'text' },
+  json: { type: 'boolean', default: false }, // same as --format json
+  csv: { type: 'boolean', default: false }, // same as --format csv
+  out: { type: 'string', default: null },
+  alerts: { type: 'boolean', default: false },
+};
+
+// --market matches a market id exactly or a substring of the question.
+function matchesMarket(c, market) {
+  if (!market) return true;
+  return String(c.marketId) === market || (c.question ?? '').toLowerCase().includes(market.toLowerCase());
+}
+
+// Summaries written before entry fields were recorded: take the spread from the OPEN log line.
+async function withEntryFields(c) {
+  if (c.entrySpread != null) return c;
+  const open = (await readTradeLog(c.id).catch(() => [])).find((e) => e.type === 'OPEN');
+  return { ...c, entrySpread: open?.entry?.spread ?? null, entryMove: open?.entry?.move ?? null, entryScore: open?.entry?.score ?? null };
+}
+
+function bucketLabel(edges, v, fmt) {
+  if (v == null || !Number.isFinite(v)) return 'unknown';
+  let i = edges.length - 1;
+  while (i > 0 && v < edges[i]) i--;
+  return i === edges.length - 1 ? `≥${fmt(edges[i])}` : `${fmt(edges[i])}–${fmt(edges[i + 1])}`;
+}
+
+function group(trades, keyOf, order = null) {
+  const out = {};
+  for (const c of trades) {
+    const g = (out[keyOf(c)] ??= { trades: 0, wins: 0, pnl: 0 });
+    g.trades += 1;
+    if (c.pnl > 0) g.wins += 1;
+    g.pnl += c.pnl;
+  }
+  for (const g of Object.values(out)) {
+    g.winRate = g.wins / g.trades;
+    g.avgPnl = g.pnl / g.trades;
+  }
+  if (!order) return out;
+  return Object.fromEntries(Object.entries(out).sort(([a], [b]) => order.indexOf(a) - order.indexOf(b)));
+}
+
+function labels(edges, fmt) {
+  return [...edges.map((e) => bucketLabel(edges, e, fmt)), 'unknown'];
+}
+
+function analyze(trades) {
+  let cum = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  const cumulative = trades.map((c) => {
+    cum += c.pnl;
+    peak = Math.max(peak, cum);
+    maxDrawdown = Math.max(maxDrawdown, peak - cum);
+    return { t: c.closedAt, id: c.id, pnl: cum };
+  });
+
+  const wins = trades.filter((c) => c.pnl > 0);
+  const grossProfit = wins.reduce((s, c) => s + c.pnl, 0);
+  const grossLoss = -trades.filter((c) => c.pnl < 0).reduce((s, c) => s + c.pnl, 0);
+  const holds = trades.map((c) => c.durationMs ?? c.closedAt - c.openedAt).filter(Number.isFinite);
+
+  const cents = (v) => `${(v * 100).toFixed(1)}c`;
+  const num = (v) => String(v);
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    winRate: trades.length ? wins.length / trades.length : 0,
+    totalPnl: cum,
+    avgPnl: trades.length ? cum / trades.length : 0,
+    grossProfit,
+    grossLoss,
+    // No losing trades: report null rather than Infinity so JSON stays valid.
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    maxDrawdown,
+    avgHoldMs: holds.length ? holds.reduce((s, v) => s + v, 0) / holds.length : null,
+    firstClosedAt: trades[0]?.closedAt ?? null,
+    lastClosedAt: trades.at(-1)?.closedAt ?? null,
+    byExitReason: group(trades, (c) => c.exitReason ?? 'unknown'),
+    bySpread: group(trades, (c) => bucketLabel(BUCKETS.spread, c.entrySpread, cents), labels(BUCKETS.spread, cents)),
+    byMove: group(trades, (c) => bucketLabel(BUCKETS.move, c.entryMove == null ? null : Math.abs(c.entryMove), cents), labels(BUCKETS.move, cents)),
+    byScore: group(trades, (c) => bucketLabel(BUCKETS.score, c.entryScore, num), labels(BUCKETS.score, num)),
+    cumulative,
+  };
+}
+
+const SECTIONS = [
+  ['byExitReason', 'exit reason'],
+  ['bySpread', 'entry spread'],
+  ['byMove', 'entry move'],
+  ['byScore', 'entry score'],
+];
+
+function toText(r, args) {
+  const range = `${Number.isFinite(args.from) && args.from > 0 ? new Date(args.from).toISOString() : '…'} → ${Number.isFinite(args.to) ? new Date(args.to).toISOString() : '…'}`;
+  const lines = [
+    `Closed-trade report — ${range}${args.market ? ` | market ${args.market}` : ''}`,
+    `Trades ${r.trades} | Wins ${r.wins} | Win rate ${(r.winRate * 100).toFixed(1)}% | Total PnL $${r.totalPnl.toFixed(2)} | Avg PnL $${r.avgPnl.toFixed(2)}`,
+    `Profit factor ${r.profitFactor == null ? 'n/a' : r.profitFactor.toFixed(2)} (gross +$${r.grossProfit.toFixed(2)} / -$${r.grossLoss.toFixed(2)}) | Max drawdown $${r.maxDrawdown.toFixed(2)} | Avg hold ${r.avgHoldMs == null ? 'n/a' : `${(r.avgHoldMs / 60000).toFixed(1)}m`}`,
+  ];
+  for (const [key, title] of SECTIONS) {
+    lines.push('', `By ${title}:`);
+    for (const [k, g] of Object.entries(r[key])) {
+      lines.push(`  ${k.padEnd(14)} ${String(g.trades).padStart(4)} trades | win ${(g.winRate * 100).toFixed(0).padStart(3)}% | PnL $${g.pnl.toFixed(2).padStart(9)} | avg $${g.avgPnl.toFixed(2)}`);
+    }
+  }
+  if (r.cumulative.length) {
+    lines.push('', 'Cumulative PnL:');
+    for (const p of r.cumulative) lines.push(`  ${new Date(p.t).toISOString()}  ${p.id}  $${p.pnl.toFixed(2)}`);
+  }
+  return lines.join('\n');
+}
+
+function csvCell(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Long format: one row per (section, bucket), with the overall totals first.
+function toCsv(r) {
+  const rows = [['section', 'bucket', 'trades', 'wins', 'win_rate', 'pnl', 'avg_pnl', 'profit_factor', 'max_drawdown', 'avg_hold_ms']];
+  rows.push(['total', 'all', r.trades, r.wins, r.winRate, r.totalPnl, r.avgPnl, r.profitFactor, r.maxDrawdown, r.avgHoldMs]);
+  for (const [key, title] of SECTIONS) {
+    for (const [k, g] of Object.entries(r[key])) rows.push([title, k, g.trades, g.wins, g.winRate, g.pnl, g.avgPnl]);
+  }
+  return rows.map((row) => row.map(csvCell).join(',')).join('\n');
+}
+
+// --alerts. Samples come from joinOutcomes: { alert, horizonMs, ret, retMid, hit }.
+function outcomeStats(samples) {
+  const mids = samples.filter((x) => x.retMid != null);
+  const hits = samples.filter((x) => x.hit).length;
+  return {
+    marks: samples.length,
+    hits,
+    hitRate: samples.length ? hits / samples.length : null,
+    avgRet: samples.length ? samples.reduce((s, x) => s + x.ret, 0) / samples.length : null,
+    avgRetMid: mids.length ? mids.reduce((s, x) => s + x.retMid, 0) / mids.length : null,
+  };
+}
+
+function groupOutcomes(samples, keyOf, order = null) {
+  const by = {};
+  for (const x of samples) (by[keyOf(x)] ??= []).push(x);
+  const keys = Object.keys(by);
+  if (order) keys.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+  return Object.fromEntries(keys.map((k) => [k, outcomeStats(by[k])]));
+}
+
+function correlation(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = xs.reduce((s, v) => s + v, 0) / n;
+  const my = ys.reduce((s, v) => s + v, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// Components are weight × signal value, so their ranges differ per strategy: split each at its own
+// terciles rather than at fixed edges. `corr` is the correlation of the component with the return.
+function byComponent(samples) {
+  const names = [...new Set(samples.flatMap((x) => Object.keys(x.alert.components ?? {})))].sort();
+  const out = {};
+  for (const name of names) {
+    const withIt = samples.filter((x) => Number.isFinite(x.alert.components?.[name]));
+    const vals = withIt.map((x) => x.alert.components[name]).sort((a, b) => a - b);
+    const lo = vals[Math.floor(vals.length / 3)];
+    const hi = vals[Math.floor((vals.length * 2) / 3)];
+    const same = vals[0] === vals.at(-1); // e.g. a signal that was at its cap for every alert
+    const order = same ? [`=${lo.toFixed(1)}`, 'n/a'] : [`low <${lo.toFixed(1)}`, `mid`, `high ≥${hi.toFixed(1)}`, 'n/a'];
+    const keyOf = (x) => {
+      const v = x.alert.components?.[name];
+      if (!Number.isFinite(v)) return 'n/a';
+      if (same) return order[0];
+      return v < lo ? order[0] : v < hi ? order[1] : order[2];
+    };
+    out[name] = {
+      corr: same ? null : correlation(
+        withIt.map((x) => x.alert.components[name]),
+        withIt.map((x) => x.ret)
+      ),
+      buckets: groupOutcomes(samples, keyOf, order),
+    };
+  }
+  return out;
+}
+
+function analyzeAlerts(alerts, outcomes) {
+  const num = (v) => String(v);
+  const { horizons, samples, missed, pending } = joinOutcomes(alerts, outcomes);
+  return {
+    alerts: alerts.length,
+    horizons: horizons.map((h) => {
+      const at = samples.filter((x) => x.horizonMs === h);
+      return {
+        horizon: fmtDuration(h),
+        horizonMs: h,
+        ...outcomeStats(at),
+        missed: missed[h] ?? 0,
+        pending: pending[h] ?? 0,
+        byScore: groupOutcomes(at, (x) => bucketLabel(BUCKETS.score, x.alert.score, num), labels(BUCKETS.score, num)),
+        byComponent: byComponent(at),
+      };
+    }),
+  };
+}
+
+function alertsToText(r, args) {
+  const range = `${Number.isFinite(args.from) && args.from > 0 ? new Date(args.from).toISOString() : '…'} → ${Number.isFinite(args.to) ? new Date(args.to).toISOString() : '…'}`;
+  const pct = (v) => (v == null ? '  n/a' : `${(v * 100).toFixed(0).padStart(4)}%`);
+  const cents = (v) => (v == null ? 'n/a' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(2)}c`);
+  const line = (k, g, width = 14) => `${k.padEnd(width)} ${String(g.marks).padStart(4)} marks | hit ${pct(g.hitRate)} | ret ${cents(g.avgRet).padStart(7)} | mid ${cents(g.avgRetMid)}`;
+  const lines = [
+    `Alert outcome report — ${range}${args.market ? ` | market ${args.market}` : ''}`,
+    `Alerts ${r.alerts} | hit = bid at the horizon above the ask at alert time; ret = that difference, mid = the mid-to-mid move`,
+  ];
+  for (const h of r.horizons) {
+    lines.push('', `After ${h.horizon}: ${line('', h, 0).trim()}${h.missed ? ` | ${h.missed} missed` : ''}${h.pending ? ` | ${h.pending} pending` : ''}`);
+    lines.push('  By score:');
+    for (const [k, g] of Object.entries(h.byScore)) lines.push(`    ${line(k, g)}`);
+    lines.push('  By component (corr = correlation with ret):');
+    for (const [name, c] of Object.entries(h.byComponent)) {
+      lines.push(`    ${name} corr ${c.corr == null ? 'n/a' : c.corr.toFixed(2)}`);
+      for (const [k, g] of Object.entries(c.buckets)) lines.push(`      ${line(k, g)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+function alertsToCsv(r) {
+  const rows = [['horizon', 'section', 'bucket', 'marks', 'hits', 'hit_rate', 'avg_ret', 'avg_ret_mid', 'corr', 'missed', 'pending']];
+  const row = (h, section, bucket, g, extra = []) => [h.horizon, section, bucket, g.marks, g.hits, g.hitRate, g.avgRet, g.avgRetMid, ...extra];
+  for (const h of r.horizons) {
+    rows.push(row(h, 'total', 'all', h, [null, h.missed, h.pending]));
+    for (const [k, g] of Object.entries(h.byScore)) rows.push(row(h, 'score', k, g));
+    for (const [name, c] of Object.entries(h.byComponent)) {
+      for (const [k, g] of Object.entries(c.buckets)) rows.push(row(h, `component:${name}`, k, g, [c.corr]));
+    }
+  }
+  return rows.map((x) => x.map(csvCell).join(',')).join('\n');
+}
+
+async function alertReport(args) {
+  const alerts = (await readAlerts({ from: args.from })).filter((a) => a.t <= args.to && matchesMarket(a, args.market));
+  const outcomes = await readAlertOutcomes({ from: args.from });
+  const report = analyzeAlerts(alerts, outcomes);
+  const out =
+    args.format === 'json'
+      ? JSON.stringify({ filters: { from: args.from || null, to: Number.isFinite(args.to) ? args.to : null, market: args.market }, ...report }, null, 2)
+      : args.format === 'csv'
+        ? alertsToCsv(report)
+        : alertsToText(report, args);
+  const empty = report.horizons.every((h) => h.marks === 0);
+  return { out, empty: empty && `No alert outcomes yet (${alerts.length} alerts; npm run outcomes marks them).` };
+}
+
+async function main() {
+  const { cfg, printOnly } = await loadConfig(process.argv, { command: 'report', options: OPTIONS });
+  if (printOnly) return;
+  const args = {
+    from: cfg.from == null ? 0 : parseTime(cfg.from),
+    to: cfg.to == null ? Infinity : parseTime(cfg.to, { endOfDay: true }),
+    market: cfg.market,
+    format: cfg.json ? 'json' : cfg.csv ? 'csv' : cfg.format,
+    out: cfg.out,
+    alerts: cfg.alerts,
+  };
+  if (Number.isNaN(args.from) || Number.isNaN(args.to)) throw new ConfigError(['--from/--to must be ISO dates or epoch ms']);
+  if (args.alerts) {
+    const { out, empty } = await alertReport(args);
+    await write(out, args);
+    if (args.format === 'text' && empty) console.error(empty);
+    return;
+  }
+
+  const all = await listClosedSummaries();
+  const picked = all.filter((c) => c.closedAt >= args.from && c.closedAt <= args.to && matchesMarket(c, args.market));
+  const trades = await Promise.all(picked.map(withEntryFields));
+  const report = analyze(trades);
+
+  const out =
+    args.format === 'json'
+      ? JSON.stringify({ filters: { from: args.from || null, to: Number.isFinite(args.to) ? args.to : null, market: args.market }, ...report }, null, 2)
+      : args.format === 'csv'
+        ? toCsv(report)
+        : toText(report, args);
+
+  await write(out, args);
+  if (args.format === 'text' && trades.length === 0) console.error(`No closed trades matched (${all.length} total).`);
+}
+
+async function write(out, args) {
+  if (args.out) {
+    await fs.mkdir(path.dirname(args.out), { recursive: true });
+    await fs.writeFile(args.out, out + '\n');
+  } else {
+    console.log(out);
+  }
+}
+
+main().catch((e) => {
+  if (e instanceof ConfigError) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// Risk status and the manual kill switch (see risk.js for the rules).
+//
+//   npm run risk                          limits, today's realized PnL, streak, cooldowns, category exposure, today's blocks
+//   npm run risk -- kill "news risk"      stop all new entries until resumed (open positions keep their exits)
+//   npm run risk -- resume
+//
+// Takes the same config as the daemon (--config, --profile, flags), so it reports the limits the daemon runs with.
+
+import { listClosedSummaries, readState, readTradeLog } from './state.js';
+import { clearKillSwitch, describeBlock, readKillSwitch, riskLogId, riskStats, setKillSwitch } from './risk.js';
+import { ConfigError, loadConfig } from './config.js';
+
+const limit = (v, fmt = String) => (v > 0 ? fmt(v) : 'off');
+const ago = (t, now) => `${((now - t) / 60_000).toFixed(0)}m ago`;
+
+async function status(cfg) {
+  const now = Date.now();
+  const { positions } = await readState();
+  const stats = riskStats(positions, await listClosedSummaries(), now);
+  const kill = await readKillSwitch(cfg.killSwitchFile);
+
+  const lines = [
+    `Kill switch: ${kill ? `ON${kill.t ? ` since ${new Date(kill.t).toISOString()}` : ''}${kill.reason ? ` — ${kill.reason}` : ''} (npm run risk -- resume)` : 'off'} [${cfg.killSwitchFile}]`,
+    `Realized today: $${stats.dayPnl.toFixed(2)} | daily loss limit ${limit(cfg.maxDailyLoss, (v) => `-$${v}`)}${cfg.maxDailyLoss > 0 && stats.dayPnl <= -cfg.maxDailyLoss ? ' — HIT' : ''}`,
+  ];
+
+  const streakUntil = stats.lastClosedAt + cfg.lossStreakCooldownMs;
+  const paused = cfg.maxConsecutiveLosses > 0 && stats.streak >= cfg.maxConsecutiveLosses && now < streakUntil;
+  lines.push(
+    `Losing streak: ${stats.streak} | pause after ${limit(cfg.maxConsecutiveLosses)} for ${(cfg.lossStreakCooldownMs / 60_000).toFixed(0)}m${paused ? ` — paused until ${new Date(streakUntil).toISOString()}` : ''}`
+  );
+
+  const cooling = [...stats.stoppedOut].filter(([, t]) => cfg.reentryCooldownMs > 0 && now < t + cfg.reentryCooldownMs);
+  lines.push(`Re-entry cooldown (${limit(cfg.reentryCooldownMs, (v) => `${(v / 60_000).toFixed(0)}m`)}): ${cooling.length ? '' : 'none'}`);
+  for (const [marketId, t] of cooling) lines.push(`  market ${marketId} stopped out ${ago(t, now)}`);
+
+  const cats = Object.entries(stats.byCategory);
+  lines.push(`Exposure by category (cap ${limit(cfg.maxExposurePerCategory, (v) => `$${v}`)}): ${cats.length ? '' : 'none open'}`);
+  for (const [c, n] of cats) lines.push(`  ${c.padEnd(16)} $${n.toFixed(0)}`);
+  const uncategorized = positions.filter((p) => !p.category);
+  if (uncategorized.length) lines.push(`  ${'(no category)'.padEnd(16)} $${uncategorized.reduce((s, p) => s + p.notional, 0).toFixed(0)}`);
+
+  const blocks = (await readTradeLog(riskLogId(now)).catch(() => [])).filter((e) => e.type === 'BLOCK');
+  lines.push('', `Blocked entries today: ${blocks.reduce((s, b) => s + 1 + (b.repeats ?? 0), 0)}`);
+  for (const b of blocks.slice(-10)) {
+    lines.push(`  ${new Date(b.t).toISOString().slice(11, 19)} ${describeBlock(b)}${b.repeats ? ` (+${b.repeats} repeats)` : ''}`);
+  }
+  console.log(lines.join('\n'));
+}
+
+async function main() {
+  const { cfg, positional, printOnly } = await loadConfig(process.argv, { command: 'risk' });
+  if (printOnly) return;
+  const [cmd = 'status', ...rest] = positional;
+
+  if (cmd === 'status') {
+    await status(cfg);
+  } else if (cmd === 'kill') {
+    const reason = rest.join(' ') || null;
+    await setKillSwitch(cfg.killSwitchFile, reason);
+    console.log(`Kill switch ON (${cfg.killSwitchFile})${reason ? `: ${reason}` : ''}. No new entries until npm run risk -- resume.`);
+  } else if (cmd === 'resume') {
+    const was = await clearKillSwitch(cfg.killSwitchFile);
+    console.log(was ? 'Kill switch off; entries resume on the next daemon tick.' : 'Kill switch was not set.');
+  } else {
+    throw new Error(`unknown command: ${cmd} (status | kill [reason] | resume)`);
+  }
+}
+
+main().catch((err) => {
+  if (err instanceof ConfigError) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  console.error(err);
+  process.exit(1);
+});
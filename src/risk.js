@@ -0,0 +1,171 @@
+// Entry gate for the daemon and the backtest: every entry goes through pickEntry.
+// Rules, checked in this order (0 turns a limit off):
+//
+//   position caps          maxOpenPositions, maxExposure, maxNotionalPerMarket (engine.js entryBlock)
+//   KILL_SWITCH            killSwitchFile exists (npm run risk -- kill / resume)
+//   DAILY_LOSS_LIMIT       realized PnL since 00:00 UTC is down maxDailyLoss or more
+//   LOSS_STREAK            the last maxConsecutiveLosses closes all lost: no entries for lossStreakCooldownMs after the last one
+//   REENTRY_COOLDOWN       the market was stopped out within reentryCooldownMs
+//   MAX_CATEGORY_EXPOSURE  open notional in the market's category (filters.js marketCategory) would pass maxExposurePerCategory
+//
+// The daemon writes each block to the day's risk trade log (risk-YYYY-MM-DD) as a BLOCK event, along with
+// SIZE_TOO_SMALL when sizing.js sizes an entry below minNotional.
+// Open positions are not touched: exits keep running while entries are blocked.
+// A block on one market (MARKET_BLOCKS) moves on to the next-best candidate; any other block stops the entry.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fmtCents } from './utils.js';
+import { appendTradeLog, listClosedSummaries } from './state.js';
+import { dayStart } from './alerts.js';
+import { entryBlock, exposure, minEntryNotional } from './engine.js';
+import { marketCategory } from './filters.js';
+
+export const STOP_OUTS = new Set(['STOP_LOSS', 'TRAILING_STOP', 'BREAKEVEN_STOP']);
+
+// Rules that don't depend on the market: while one holds, nothing can be entered.
+export const ACCOUNT_BLOCKS = new Set(['KILL_SWITCH', 'DAILY_LOSS_LIMIT', 'LOSS_STREAK']);
+
+// Rules that only rule out the market they were checked against.
+export const MARKET_BLOCKS = new Set(['MAX_NOTIONAL_PER_MARKET', 'REENTRY_COOLDOWN', 'MAX_CATEGORY_EXPOSURE']);
+
+// The same block is logged at most this often per market; the next line carries the skipped count.
+const BLOCK_LOG_EVERY_MS = 10 * 60_000;
+
+// { t, reason } when the kill switch is on, else null. Any file counts (`touch data/KILL` works).
+export async function readKillSwitch(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return { t: null, reason: raw.trim() || null };
+  }
+}
+
+export async function setKillSwitch(file, reason = null, now = Date.now()) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ t: now, reason }) + '\n');
+}
+
+export async function clearKillSwitch(file) {
+  try {
+    await fs.rm(file);
+    return true;
+  } catch (e) {
+    if (e.code === 'ENOENT') return false;
+    throw e;
+  }
+}
+
+// What the rules look at. positions: open positions; closed: closed summaries (any order).
+export function riskStats(positions, closed, now = Date.now()) {
+  const today = dayStart(now);
+  const sorted = [...closed].sort((a, b) => a.closedAt - b.closedAt);
+
+  // Closes today, plus partial sales of positions that are still open.
+  const dayPnl =
+    sorted.filter((c) => c.closedAt >= today).reduce((s, c) => s + c.pnl, 0) +
+    positions.flatMap((p) => p.fills ?? []).filter((f) => f.t >= today).reduce((s, f) => s + f.pnl, 0);
+
+  let streak = 0;
+  for (let i = sorted.length - 1; i >= 0 && sorted[i].pnl < 0; i--) streak += 1;
+
+  const stoppedOut = new Map();
+  for (const c of sorted) if (STOP_OUTS.has(c.exitReason)) stoppedOut.set(String(c.marketId), c.closedAt);
+
+  const byCategory = {};
+  for (const p of positions) if (p.category) byCategory[p.category] = (byCategory[p.category] ?? 0) + p.notional;
+
+  return { dayPnl, streak, lastClosedAt: sorted.at(-1)?.closedAt ?? null, stoppedOut, byCategory };
+}
+
+// { reason, detail, until? } when `op` may not be entered, else null.
+export function riskBlock({ positions, stats, kill }, op, cfg, now = Date.now()) {
+  const cap = entryBlock(positions, op, cfg);
+  if (cap) return { reason: cap, detail: `${positions.length} open, $${exposure(positions).toFixed(0)} exposure` };
+
+  if (kill) return { reason: 'KILL_SWITCH', detail: kill.reason ?? 'kill switch file present' };
+
+  if (cfg.maxDailyLoss > 0 && stats.dayPnl <= -cfg.maxDailyLoss) {
+    return { reason: 'DAILY_LOSS_LIMIT', detail: `realized $${stats.dayPnl.toFixed(2)} today (limit -$${cfg.maxDailyLoss})`, until: dayStart(now) + 86_400_000 };
+  }
+
+  if (cfg.maxConsecutiveLosses > 0 && stats.streak >= cfg.maxConsecutiveLosses) {
+    const until = stats.lastClosedAt + cfg.lossStreakCooldownMs;
+    if (now < until) return { reason: 'LOSS_STREAK', detail: `${stats.streak} losses in a row`, until };
+  }
+
+  const stopped = stats.stoppedOut.get(String(op.market.id));
+  if (cfg.reentryCooldownMs > 0 && stopped != null && now < stopped + cfg.reentryCooldownMs) {
+    return { reason: 'REENTRY_COOLDOWN', detail: `stopped out ${((now - stopped) / 60_000).toFixed(0)}m ago`, until: stopped + cfg.reentryCooldownMs };
+  }
+
+  const category = marketCategory(op.market);
+  if (cfg.maxExposurePerCategory > 0 && category) {
+    const inCategory = stats.byCategory[category] ?? 0;
+    if (inCategory + minEntryNotional(cfg) > cfg.maxExposurePerCategory) {
+      return { reason: 'MAX_CATEGORY_EXPOSURE', detail: `${category}: $${inCategory.toFixed(0)} open (cap $${cfg.maxExposurePerCategory})` };
+    }
+  }
+  return null;
+}
+
+// The daemon's entry check: walks findOpportunity's candidates best-first and returns the first one
+// no rule blocks, as { op, blocked: [{ block, op }] } (`op` null when nothing may be entered).
+// Reads the kill switch and closed trades unless given (the backtest passes its own `closed` and no kill switch).
+export async function pickEntry(positions, candidates, cfg, { now = Date.now(), closed = null, kill } = {}) {
+  const stats = riskStats(positions, closed ?? (await listClosedSummaries()), now);
+  if (kill === undefined) kill = await readKillSwitch(cfg.killSwitchFile);
+  const blocked = [];
+  for (const op of candidates) {
+    const block = riskBlock({ positions, stats, kill }, op, cfg, now);
+    if (!block) return { op, blocked };
+    blocked.push({ block, op });
+    if (!MARKET_BLOCKS.has(block.reason)) break;
+  }
+  return { op: null, blocked };
+}
+
+export function riskLogId(t = Date.now()) {
+  return `risk-${new Date(dayStart(t)).toISOString().slice(0, 10)}`;
+}
+
+const lastLogged = new Map();
+
+// Appends a BLOCK event to the day's risk log. Repeats of the same block on the same market
+// within BLOCK_LOG_EVERY_MS are counted, not written. Returns the event when one was written.
+export async function recordBlock(block, op, now = Date.now()) {
+  const key = `${block.reason}:${op.market.id}`;
+  const last = lastLogged.get(key);
+  if (last && now - last.t < BLOCK_LOG_EVERY_MS) {
+    last.skipped += 1;
+    return null;
+  }
+  lastLogged.set(key, { t: now, skipped: 0 });
+
+  const event = {
+    t: now,
+    type: 'BLOCK',
+    reason: block.reason,
+    detail: block.detail,
+    until: block.until ?? null,
+    marketId: op.market.id,
+    tokenId: op.chosen.tokenId,
+    question: op.market.question,
+    ask: op.chosen.ask,
+    score: op.score ?? null,
+    repeats: last?.skipped ?? 0, // same block, not logged, since the previous line
+  };
+  await appendTradeLog(riskLogId(now), event);
+  return event;
+}
+
+export function describeBlock(b) {
+  return `${b.reason}: ${b.detail}${b.until ? ` (until ${new Date(b.until).toISOString()})` : ''}${b.ask != null ? ` | ${b.question} @ ${fmtCents(b.ask)}` : ''}`;
+}
@@ -0,0 +1,231 @@
+// Local dashboard + JSON API. No external services: plain node:http, inline HTML.
+//
+//   GET /                   dashboard (alerts, open positions, mark chart, cumulative PnL)
+//   GET /api/alerts         latest scanMarkets rows (re-scanned every --scanMs)
+//   GET /api/positions      open daemon positions from data/state.json (with lastMark)
+//   GET /api/trades/:id     trade log events from data/trades/<id>.jsonl
+//   GET /api/closed         closed summaries (oldest first) + cumulative PnL series
+//   GET /api/events         server-sent events: `alerts`, `positions`, `closed`
+//   GET /api/http           per-endpoint request/error/retry counters of this process
+
+import http from 'node:http';
+import { scanMarkets } from './engine.js';
+import { loadPriceHistory } from './prices.js';
+import { changeStamp, listClosedSummaries, readSnapshots, readState, readTradeLog } from './state.js';
+import { http as httpClient } from './http.js';
+import { ConfigError, loadConfig } from './config.js';
+
+const OPTIONS = {
+  port: { type: 'integer', min: 0, max: 65535, default: 8080 },
+  host: { type: 'string', default: '127.0.0.1' },
+  scanMs: { type: 'integer', min: 5_000, default: 60_000 },
+  watchMs: { type: 'integer', min: 250, default: 2_000 },
+  snapshotFile: { type: 'string', default: 'data/snapshots.json' },
+};
+
+async function readClosed() {
+  const trades = await listClosedSummaries();
+
+  let total = 0;
+  const cumulative = trades.map((c) => ({ t: c.closedAt, id: c.id, pnl: (total += c.pnl) }));
+  return { trades, cumulative };
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', 'cache-control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+const PAGE = `<!doctype html>
+<html><head><meta charset="utf-8"><title>Polymarket alerts</title>
+<style>
+  body { font: 13px/1.4 system-ui, sans-serif; margin: 16px; color: #222; }
+  h2 { margin: 20px 0 6px; font-size: 15px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 3px 6px; border-bottom: 1px solid #eee; white-space: nowrap; }
+  td.q { white-space: normal; }
+  tr.sel { background: #eef4ff; }
+  tbody tr { cursor: default; }
+  #positions tbody tr { cursor: pointer; }
+  .pos { color: #0a7a2f; } .neg { color: #b3261e; } .muted { color: #888; }
+  svg { border: 1px solid #eee; background: #fafafa; }
+</style></head>
+<body>
+<div class="muted" id="status">connecting…</div>
+<h2>Alerts</h2>
+<table id="alerts"><thead><tr><th>Score</th><th>Market</th><th>Outcome</th><th>Bid/Ask</th><th>Spread</th><th>Move</th><th>Vol24h</th></tr></thead><tbody></tbody></table>
+<h2>Open positions</h2>
+<table id="positions"><thead><tr><th>Opened</th><th>Market</th><th>Outcome</th><th>Entry</th><th>Bid</th><th>TP / SL</th><th>uPnL</th></tr></thead><tbody></tbody></table>
+<h2>Mark history <span class="muted" id="chartLabel"></span></h2>
+<svg id="marks" width="900" height="220"></svg>
+<h2>Cumulative PnL <span class="muted" id="pnlLabel"></span></h2>
+<svg id="pnl" width="900" height="220"></svg>
+<script>
+const c = (x) => x == null ? 'n/a' : (x * 100).toFixed(2) + 'c';
+const usd = (x) => '<span class="' + (x >= 0 ? 'pos' : 'neg') + '">$' + x.toFixed(2) + '</span>';
+const esc = (s) => String(s ?? '').replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+let selected = null;
+
+function line(svg, series, color, levels = []) {
+  const w = +svg.getAttribute('width'), h = +svg.getAttribute('height'), pad = 30;
+  if (series.length === 0) { svg.innerHTML = '<text x="10" y="20" fill="#888">no data</text>'; return; }
+  const xs = series.map((p) => p.t), ys = series.map((p) => p.v).concat(levels.map((l) => l.v));
+  const x0 = Math.min(...xs), x1 = Math.max(...xs) || x0 + 1, y0 = Math.min(...ys), y1 = Math.max(...ys);
+  const X = (t) => pad + ((t - x0) / Math.max(1, x1 - x0)) * (w - 2 * pad);
+  const Y = (v) => h - pad - ((v - y0) / Math.max(1e-9, y1 - y0)) * (h - 2 * pad);
+  let out = levels.map((l) => '<line x1="' + pad + '" x2="' + (w - pad) + '" y1="' + Y(l.v) + '" y2="' + Y(l.v) + '" stroke="' + l.color + '" stroke-dasharray="4 3"/>').join('');
+  out += '<polyline fill="none" stroke="' + color + '" stroke-width="1.5" points="' + series.map((p) => X(p.t) + ',' + Y(p.v)).join(' ') + '"/>';
+  out += '<text x="2" y="' + (pad - 6) + '" font-size="10">' + y1.toFixed(3) + '</text><text x="2" y="' + (h - 6) + '" font-size="10">' + y0.toFixed(3) + '</text>';
+  svg.innerHTML = out;
+}
+
+function renderAlerts(rows) {
+  document.querySelector('#alerts tbody').innerHTML = rows.map((r) =>
+    '<tr><td>' + r.score + '</td><td class="q"><a href="' + esc(r.url) + '" target="_blank">' + esc(r.question) + '</a></td><td>' + esc(r.outcome) +
+    '</td><td>' + c(r.bid) + ' / ' + c(r.ask) + '</td><td>' + c(r.spread) + '</td><td>' + c(r.move) + '</td><td>$' + Math.round(r.vol24h).toLocaleString() + '</td></tr>').join('');
+}
+
+function renderPositions(ps) {
+  document.querySelector('#positions tbody').innerHTML = ps.map((p) => {
+    // Open shares marked at the bid, plus whatever scale-outs already realized.
+    const upnl = (p.lastMark.bid - p.entry.avgPrice) * (p.sharesOpen ?? p.entry.shares) + (p.fills ?? []).reduce((s, f) => s + f.pnl, 0);
+    return '<tr data-id="' + esc(p.id) + '" class="' + (p.id === selected ? 'sel' : '') + '"><td>' + new Date(p.openedAt).toLocaleTimeString() + '</td><td class="q">' + esc(p.question) +
+      '</td><td>' + esc(p.outcome) + '</td><td>' + c(p.entry.avgPrice) + '</td><td>' + c(p.lastMark.bid) + '</td><td>' + c(p.exits.takeProfitPrice) + ' / ' + c(p.stopPrice ?? p.exits.stopLossPrice) + '</td><td>' + usd(upnl) + '</td></tr>';
+  }).join('');
+  if (!selected && ps[0]) select(ps[0].id);
+}
+
+async function select(id) {
+  selected = id;
+  document.querySelectorAll('#positions tbody tr').forEach((tr) => tr.classList.toggle('sel', tr.dataset.id === id));
+  const log = await (await fetch('/api/trades/' + encodeURIComponent(id))).json();
+  if (!Array.isArray(log)) return;
+  const open = log.find((e) => e.type === 'OPEN');
+  const marks = log.filter((e) => e.type === 'MARK').map((e) => ({ t: e.t, v: e.bid }));
+  const levels = open ? [{ v: open.exits.takeProfitPrice, color: '#0a7a2f' }, { v: open.stopPrice ?? open.exits.stopLossPrice, color: '#b3261e' }, { v: open.entry.avgPrice, color: '#888' }] : [];
+  document.getElementById('chartLabel').textContent = id + ' (bid)';
+  line(document.getElementById('marks'), marks, '#1a56db', levels);
+}
+
+function renderClosed(body) {
+  const last = body.cumulative[body.cumulative.length - 1];
+  document.getElementById('pnlLabel').innerHTML = body.trades.length + ' trades, total ' + usd(last ? last.pnl : 0);
+  line(document.getElementById('pnl'), body.cumulative.map((p) => ({ t: p.t, v: p.pnl })), '#0a7a2f', [{ v: 0, color: '#ccc' }]);
+}
+
+document.querySelector('#positions tbody').addEventListener('click', (e) => { const tr = e.target.closest('tr'); if (tr) select(tr.dataset.id); });
+
+const es = new EventSource('/api/events');
+es.onopen = () => { document.getElementById('status').textContent = 'live'; };
+es.onerror = () => { document.getElementById('status').textContent = 'reconnecting…'; };
+es.addEventListener('alerts', (e) => { const b = JSON.parse(e.data); renderAlerts(b.rows); document.getElementById('status').textContent = 'live — last scan ' + new Date(b.t).toLocaleTimeString(); });
+es.addEventListener('positions', (e) => { renderPositions(JSON.parse(e.data)); if (selected) select(selected); });
+es.addEventListener('closed', (e) => renderClosed(JSON.parse(e.data)));
+</script>
+</body></html>`;
+
+async function main() {
+  const { cfg: args, printOnly } = await loadConfig(process.argv, { command: 'server', options: OPTIONS });
+  if (printOnly) return;
+
+  // The dashboard keeps its own snapshots and price series in memory so it doesn't
+  // shift the references of cron'd scan runs.
+  const snapshots = await readSnapshots(args.snapshotFile);
+  const prices = await loadPriceHistory();
+  const latest = { alerts: { t: null, rows: [] }, positions: [], closed: { trades: [], cumulative: [] } };
+  const clients = new Set();
+
+  const broadcast = (event, data) => {
+    const msg = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients) res.write(msg);
+  };
+
+  let scanning = false;
+  async function scan() {
+    if (scanning) return;
+    scanning = true;
+    try {
+      const now = Date.now();
+      const { rows, snapshotUpdates } = await scanMarkets(args, { snapshots, prices, now });
+      for (const u of snapshotUpdates) snapshots.byToken[u.tokenId] = { mid: u.mid, bestBid: u.bid, bestAsk: u.ask, vol24h: u.vol24h, t: now };
+      latest.alerts = { t: now, rows: rows.slice(0, args.maxAlerts).map(({ market, book, ...r }) => r) };
+      broadcast('alerts', latest.alerts);
+    } catch (e) {
+      console.error(`[server] scan failed: ${e.message}`);
+    } finally {
+      scanning = false;
+    }
+  }
+
+  // Cheap change detection on what the daemon writes.
+  let lastStamp = null;
+  async function watch() {
+    const stamp = await changeStamp();
+    if (stamp.state !== lastStamp?.state) {
+      latest.positions = (await readState()).positions;
+      broadcast('positions', latest.positions);
+    }
+    if (stamp.closed !== lastStamp?.closed) {
+      latest.closed = await readClosed();
+      broadcast('closed', latest.closed);
+    }
+    lastStamp = stamp;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method !== 'GET') return sendJson(res, 405, { error: 'method not allowed' });
+
+      if (url.pathname === '/') {
+        res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+        return res.end(PAGE);
+      }
+      if (url.pathname === '/api/alerts') return sendJson(res, 200, latest.alerts);
+      if (url.pathname === '/api/positions') return sendJson(res, 200, latest.positions);
+      if (url.pathname === '/api/closed') return sendJson(res, 200, latest.closed);
+      if (url.pathname === '/api/http') return sendJson(res, 200, httpClient.stats());
+
+      const trade = url.pathname.match(/^\/api\/trades\/([\w.-]+)$/);
+      if (trade) {
+        const log = await readTradeLog(trade[1]).catch(() => null);
+        return log ? sendJson(res, 200, log) : sendJson(res, 404, { error: 'unknown trade' });
+      }
+
+      if (url.pathname === '/api/events') {
+        res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-store', connection: 'keep-alive' });
+        res.write(`event: alerts\ndata: ${JSON.stringify(latest.alerts)}\n\n`);
+        res.write(`event: positions\ndata: ${JSON.stringify(latest.positions)}\n\n`);
+        res.write(`event: closed\ndata: ${JSON.stringify(latest.closed)}\n\n`);
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+        return;
+      }
+
+      sendJson(res, 404, { error: 'not found' });
+    } catch (e) {
+      sendJson(res, 500, { error: e.message });
+    }
+  });
+
+  await watch();
+  server.listen(args.port, args.host, () => console.log(`Dashboard on http://${args.host}:${args.port}/`));
+
+  // Keep proxies from closing idle SSE streams.
+  setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n');
+  }, 15_000);
+  setInterval(() => watch().catch((e) => console.error(`[server] ${e.message}`)), args.watchMs);
+
+  await scan();
+  setInterval(scan, args.scanMs);
+}
+
+main().catch((e) => {
+  if (e instanceof ConfigError) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,141 @@
+// Scoring signals for scanMarkets. A strategy is a set of signals with weights:
+//
+//   { "signals": { "volume": 45, "meanReversion": { "weight": 30, "scale": 0.05 }, "imbalance": 15 } }
+//
+// Each signal looks at one outcome token (its book, the market, the previous
+// snapshot) and returns a value in [-1, 1], or null when it doesn't apply (no
+// group, no history yet). A token's score is sum(weight * value) clamped to
+// 0..100; each weighted term is reported in `components` so alerts can say why.
+
+import fs from 'node:fs/promises';
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+const clamp01 = (x) => clamp(x, 0, 1);
+
+// name -> { params: defaults, value(ctx, params) }
+//
+// ctx: { market, vol24h, liq, token: { tokenId, idx, book, bid, ask, mid, prevMid, spread },
+//        move (over moveWindowMs; null until the price series covers it), slipBuy, slipSell, fair,
+//        other (binary complement token or null), prev (snapshot or null), now }
+export const SIGNALS = {
+  // Activity and depth: the bigger the market, the more a move means.
+  volume: {
+    params: { decades: 5 },
+    value: (c, p) => clamp01(Math.log10(1 + c.vol24h) / p.decades),
+  },
+  liquidity: {
+    params: { decades: 5 },
+    value: (c, p) => clamp01(Math.log10(1 + c.liq) / p.decades),
+  },
+
+  // Size of the move over moveWindowMs, either direction (the original heuristic).
+  move: {
+    params: { scale: 0.08 },
+    value: (c, p) => (c.move == null ? null : clamp01(Math.abs(c.move) / p.scale)),
+  },
+  // Buy what just went up.
+  momentum: {
+    params: { scale: 0.08 },
+    value: (c, p) => (c.move == null ? null : clamp(c.move / p.scale, -1, 1)),
+  },
+  // Buy what just went down.
+  meanReversion: {
+    params: { scale: 0.08 },
+    value: (c, p) => (c.move == null ? null : clamp(-c.move / p.scale, -1, 1)),
+  },
+
+  // Costs (always <= 0).
+  spread: {
+    params: { scale: 0.02 },
+    value: (c, p) => -clamp01(c.token.spread / p.scale),
+  },
+  slippage: {
+    params: { scale: 0.04 },
+    value: (c, p) => -clamp01(((c.slipBuy ?? 0) + (c.slipSell ?? 0)) / p.scale),
+  },
+
+  // Resting size near the mid: +1 all bids (buyers waiting), -1 all asks.
+  imbalance: {
+    params: { range: 0.05 },
+    value: (c, p) => {
+      const depth = (levels, inRange) =>
+        (levels ?? []).reduce((s, l) => {
+          const price = Number(l.price);
+          return inRange(price) ? s + price * Number(l.size) : s;
+        }, 0);
+      const bids = depth(c.token.book?.bids, (px) => px >= c.token.mid - p.range);
+      const asks = depth(c.token.book?.asks, (px) => px <= c.token.mid + p.range);
+      return bids + asks > 0 ? (bids - asks) / (bids + asks) : null;
+    },
+  },
+
+  // volume24hr grew faster since the last snapshot than its 24h average rate:
+  // 0 at the average pace, 1 at `ratio` times it. Needs a previous snapshot at least `minGapMs` old.
+  volumeSurge: {
+    params: { ratio: 3, minGapMs: 10_000 },
+    value: (c, p) => {
+      const prev = c.prev;
+      if (!prev?.t || !(prev.vol24h > 0) || !(c.vol24h > 0)) return null;
+      const dt = c.now - prev.t;
+      if (dt < p.minGapMs) return null;
+      const pace = (((c.vol24h - prev.vol24h) / dt) * 86_400_000) / c.vol24h;
+      return clamp01((pace - 1) / (p.ratio - 1));
+    },
+  },
+
+  // Binary markets: ask below 1 - the complement's bid (buying here is cheaper than
+  // selling the other side). The YES/NO books mirror each other, so this is 0 unless they disagree.
+  complement: {
+    params: { scale: 0.02 },
+    value: (c, p) => (c.other?.bid == null ? null : clamp((1 - c.other.bid - c.token.ask) / p.scale, -1, 1)),
+  },
+  // Categorical/negRisk sets: ask below the price normalized so the set sums to 1.
+  group: {
+    params: { scale: 0.03 },
+    value: (c, p) => (c.fair == null ? null : clamp((c.fair - c.token.ask) / p.scale, -1, 1)),
+  },
+};
+
+// The weights of scan's former opportunityScore, plus `group`. The daemon used to rank
+// with its own formula (absMove/5c*50 + spread and volume terms); it now ranks like scan.
+export const DEFAULT_STRATEGY = {
+  signals: { volume: 45, liquidity: 25, move: 30, spread: 25, slippage: 25, group: 20 },
+};
+
+// Validates a strategy spec and resolves it to [{ name, weight, params, value }].
+export function compileStrategy(spec = DEFAULT_STRATEGY) {
+  const entries = Object.entries(spec?.signals ?? {});
+  if (entries.length === 0) throw new Error('strategy has no signals');
+  return entries.map(([name, v]) => {
+    const def = SIGNALS[name];
+    if (!def) throw new Error(`unknown signal "${name}" (known: ${Object.keys(SIGNALS).join(', ')})`);
+    const { weight, ...params } = typeof v === 'number' ? { weight: v } : (v ?? {});
+    if (!Number.isFinite(weight)) throw new Error(`signal "${name}" needs a numeric weight`);
+    for (const k of Object.keys(params)) {
+      if (!(k in def.params)) throw new Error(`signal "${name}" has no parameter "${k}" (known: ${Object.keys(def.params).join(', ')})`);
+    }
+    return { name, weight, params: { ...def.params, ...params }, value: def.value };
+  });
+}
+
+export function scoreToken(strategy, ctx) {
+  const components = {};
+  for (const s of strategy) {
+    const v = s.value(ctx, s.params);
+    if (v == null || !Number.isFinite(v)) continue;
+    components[s.name] = s.weight * v;
+  }
+  const raw = Object.values(components).reduce((sum, x) => sum + x, 0);
+  return { score: Math.round(clamp(raw, 0, 100)), raw, components };
+}
+
+export async function loadStrategy(file) {
+  let spec;
+  try {
+    spec = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`can't read strategy ${file}: ${e.message}`);
+  }
+  compileStrategy(spec); // fail at startup, not on the first scan
+  return spec;
+}
@@ -0,0 +1,118 @@
+// Entry sizing. cfg.sizing picks the model:
+//
+//   fixed     cfg.notional
+//   bankroll  bankrollPct of the current bankroll
+//   kelly     kellyFraction of the Kelly stake for a bet that wins at the TP and loses at the SL
+//
+// The current bankroll is cfg.bankroll plus everything realized so far (closed trades and
+// partial exits of open positions). Kelly's win probability is the win rate of closed trades
+// entered at a similar score (within SCORE_BAND), shrunk toward cfg.winProb as if that prior
+// were winProbPriorTrades trades. The payoff is the distance from the ask to the TP and to the
+// SL, net of the taker fee on both legs. Kelly's stake is what the SL would lose, so
+// notional = kellyFraction × f × bankroll × ask / loss per share.
+//
+// The size is then capped by the room left under maxNotionalPerMarket, maxExposure and
+// maxExposurePerCategory (and the uncommitted bankroll, for the bankroll-based models), and by
+// the book: the largest size the asks can fill with the average price within maxSlippage of
+// the best ask.
+
+import { fmtCents, slippage } from './utils.js';
+import { exposure } from './engine.js';
+import { marketCategory } from './filters.js';
+
+const SCORE_BAND = 10;
+
+export function currentBankroll(cfg, positions, closed) {
+  const realized = closed.reduce((s, c) => s + c.pnl, 0) + positions.flatMap((p) => p.fills ?? []).reduce((s, f) => s + f.pnl, 0);
+  return cfg.bankroll + realized;
+}
+
+// { p, trades }: the estimated chance a trade entered at `score` closes with a profit.
+export function winProbability(closed, score, cfg) {
+  const near = score == null ? closed : closed.filter((c) => c.entryScore != null && Math.abs(c.entryScore - score) <= SCORE_BAND);
+  const wins = near.filter((c) => c.pnl > 0).length;
+  const k = cfg.winProbPriorTrades;
+  return { p: near.length + k > 0 ? (wins + cfg.winProb * k) / (near.length + k) : cfg.winProb, trades: near.length };
+}
+
+// Kelly fraction f for buying at `ask` with the TP/SL distances in cfg.
+export function kelly(ask, p, cfg) {
+  const fee = (x) => (cfg.feeBps / 10_000) * Math.min(x, 1 - x);
+  const tpPrice = Math.min(0.999, ask + cfg.tp);
+  const slPrice = Math.max(0.001, ask - cfg.sl);
+  const win = tpPrice - ask - fee(ask) - fee(tpPrice);
+  const loss = ask - slPrice + fee(ask) + fee(slPrice);
+  const b = win > 0 ? win / loss : 0;
+  return { f: b > 0 ? p - (1 - p) / b : -1, b, loss };
+}
+
+// Largest notional <= `n` the book fills with slippage within cfg.maxSlippage (0 = depth only).
+function bookLimit(book, n, cfg) {
+  const fits = (x) => {
+    const s = slippage(book, 'buy', x);
+    return s != null && (!(cfg.maxSlippage > 0) || s.slippage <= cfg.maxSlippage + 1e-12);
+  };
+  if (fits(n)) return null;
+  let lo = 0;
+  let hi = n;
+  for (let i = 0; i < 30; i++) {
+    const mid = (lo + hi) / 2;
+    if (fits(mid)) lo = mid;
+    else hi = mid;
+  }
+  return { notional: lo, why: slippage(book, 'buy', n) ? `maxSlippage ${fmtCents(cfg.maxSlippage)}` : 'book depth' };
+}
+
+// { model, notional, target, reason } for entering `op` (findOpportunity / opFromRow shape).
+// `notional` is what to buy after the caps; entries below cfg.minNotional are skipped by the caller.
+export function sizeEntry(op, cfg, { positions = [], closed = [] } = {}) {
+  const model = cfg.sizing ?? 'fixed';
+  const bankroll = currentBankroll(cfg, positions, closed);
+  const ask = op.chosen.ask;
+
+  let target;
+  let reason;
+  if (model === 'bankroll') {
+    target = Math.max(0, bankroll * cfg.bankrollPct);
+    reason = `${(cfg.bankrollPct * 100).toFixed(1)}% of $${bankroll.toFixed(0)} bankroll`;
+  } else if (model === 'kelly') {
+    const { p, trades } = winProbability(closed, op.score ?? null, cfg);
+    const { f, b, loss } = kelly(ask, p, cfg);
+    const odds = `p=${p.toFixed(2)} over ${trades} trade(s), b=${b.toFixed(2)}`;
+    if (f <= 0) {
+      target = 0;
+      reason = `no Kelly edge (${odds})`;
+    } else {
+      target = Math.max(0, (cfg.kellyFraction * f * bankroll * ask) / loss);
+      reason = `${cfg.kellyFraction}× Kelly f=${(f * 100).toFixed(1)}% of $${bankroll.toFixed(0)} (${odds})`;
+    }
+  } else {
+    target = cfg.notional;
+    reason = `fixed $${cfg.notional}`;
+  }
+
+  let notional = target;
+  const caps = [];
+  const cap = (limit, why) => {
+    if (limit < notional) {
+      notional = Math.max(0, limit);
+      caps.push(why);
+    }
+  };
+  const inMarket = exposure(positions.filter((p) => String(p.marketId) === String(op.market.id)));
+  cap(cfg.maxNotionalPerMarket - inMarket, 'maxNotionalPerMarket');
+  cap(cfg.maxExposure - exposure(positions), 'maxExposure');
+  const category = marketCategory(op.market);
+  if (cfg.maxExposurePerCategory > 0 && category) {
+    cap(cfg.maxExposurePerCategory - exposure(positions.filter((p) => p.category === category)), 'maxExposurePerCategory');
+  }
+  if (model !== 'fixed') cap(bankroll - exposure(positions), 'bankroll');
+  if (op.chosen.book && notional > 0) {
+    const limit = bookLimit(op.chosen.book, notional, cfg);
+    if (limit) cap(limit.notional, limit.why);
+  }
+
+  notional = Math.floor(notional * 100) / 100;
+  if (caps.length) reason += `, capped at $${notional.toFixed(2)} by ${caps.join(', ')}`;
+  return { model, notional, target: Math.round(target * 100) / 100, reason };
+}
@@ -1,42 +1,533 @@
+import crypto from 'node:crypto';
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { sleep } from './utils.js';
+import * as db from './db.js';
 
 const STATE_FILE = 'data/state.json';
+const WATCHLIST_FILE = 'data/watchlists.json';
+const OUTCOMES_FILE = 'data/alert-outcomes.jsonl';
+const PRICES_FILE = 'data/prices.json';
+
+// 'json' (files under data/, the default) or 'sqlite' (data/polymarket.db, see db.js).
+// Every export below behaves the same on both.
+export const BACKEND = process.env.STATE_BACKEND === 'sqlite' ? 'sqlite' : 'json';
+const sqlite = () => (BACKEND === 'sqlite' ? db.openDb() : null);
+
+// Bump when the shape of state.json changes and add a migration from the previous version.
+export const STATE_VERSION = 2;
+
+const MIGRATIONS = {
+  // v1 (unversioned) held a single `openPosition`.
+  1: (s) => {
+    s.positions = Array.isArray(s.positions) ? s.positions : s.openPosition ? [s.openPosition] : [];
+    delete s.openPosition;
+    return s;
+  },
+};
+
+export class StateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StateError';
+  }
+}
 
 async function ensureDir(p) {
   await fs.mkdir(p, { recursive: true });
 }
 
+// Write to a temp file, fsync, then rename over the target: readers see either the
+// old or the new file, never a truncated one. `space` null writes compact JSON.
+export async function writeJsonAtomic(file, data, { space = 2 } = {}) {
+  await ensureDir(path.dirname(file));
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  const fh = await fs.open(tmp, 'w');
+  try {
+    await fh.writeFile(JSON.stringify(data, null, space ?? undefined));
+    await fh.sync();
+  } finally {
+    await fh.close();
+  }
+  await fs.rename(tmp, file);
+}
+
+function freshState() {
+  return {
+    schemaVersion: STATE_VERSION,
+    createdAt: new Date().toISOString(),
+    lastScanAt: null,
+    positions: [],
+    lastClosedId: null,
+    snapshots: { byToken: {}, t: 0 },
+  };
+}
+
+function validate(state) {
+  const problems = [];
+  if (!state || typeof state !== 'object' || Array.isArray(state)) return ['not an object'];
+  if (!Array.isArray(state.positions)) problems.push('positions is not an array');
+  for (const [i, p] of (state.positions ?? []).entries()) {
+    if (!p?.id || !p?.tokenId || !Number.isFinite(p?.entry?.avgPrice) || !Number.isFinite(p?.entry?.shares)) {
+      problems.push(`positions[${i}] is missing id/tokenId/entry`);
+    }
+  }
+  if (typeof state.snapshots?.byToken !== 'object' || state.snapshots.byToken === null) problems.push('snapshots.byToken missing');
+  return problems;
+}
+
+// A missing file starts fresh. A file that exists but can't be parsed, is from a
+// newer version, or fails validation throws StateError: silently resetting
+// would drop open positions.
 export async function readState() {
+  const d = sqlite();
+  if (d) {
+    const doc = db.getMeta(d, 'state');
+    if (!doc) return freshState();
+    return upgradeState({ ...doc, positions: db.openPositions(d), snapshots: db.latestSnapshots(d, 'state') }, db.DB_FILE);
+  }
+
+  let raw;
   try {
-    const raw = await fs.readFile(STATE_FILE, 'utf8');
-    return JSON.parse(raw);
-  } catch {
-    return {
-      createdAt: new Date().toISOString(),
-      lastScanAt: null,
-      openPosition: null,
-      lastClosedId: null,
-      snapshots: { byToken: {}, t: 0 },
-    };
+    raw = await fs.readFile(STATE_FILE, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return freshState();
+    throw e;
+  }
+
+  let state;
+  try {
+    state = JSON.parse(raw);
+  } catch (e) {
+    throw new StateError(`${STATE_FILE} is corrupt (${e.message}); restore it from ${STATE_FILE}.bak or move it aside to start fresh`);
+  }
+  return upgradeState(state, STATE_FILE);
+}
+
+// Migrates an older state document to STATE_VERSION and validates it.
+export function upgradeState(state, where = STATE_FILE) {
+  let version = state?.schemaVersion ?? 1;
+  if (version > STATE_VERSION) {
+    throw new StateError(`${where} has schemaVersion ${version}, newer than this code (${STATE_VERSION})`);
+  }
+  while (version < STATE_VERSION) {
+    state = MIGRATIONS[version](state);
+    version += 1;
+  }
+  state.schemaVersion = STATE_VERSION;
+  state.snapshots ??= { byToken: {}, t: 0 };
+
+  const problems = validate(state);
+  if (problems.length) {
+    throw new StateError(`${where} failed validation: ${problems.join('; ')}`);
   }
+  return state;
 }
 
 export async function writeState(state) {
-  await ensureDir(path.dirname(STATE_FILE));
-  await fs.writeFile(STATE_FILE, JSON.stringify(state, null, 2));
+  const d = sqlite();
+  if (d) {
+    const { positions, snapshots, ...doc } = state;
+    db.tx(d, () => {
+      db.putMeta(d, 'state', { ...doc, schemaVersion: STATE_VERSION });
+      db.putOpenPositions(d, positions ?? []);
+      db.putSnapshots(d, 'state', snapshots?.byToken);
+    });
+    return;
+  }
+
+  // Keep the previous good copy around for manual recovery.
+  await fs.copyFile(STATE_FILE, `${STATE_FILE}.bak`).catch(() => {});
+  await writeJsonAtomic(STATE_FILE, { ...state, schemaVersion: STATE_VERSION });
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+async function lockIsStale(lockFile, staleMs) {
+  try {
+    const info = JSON.parse(await fs.readFile(lockFile, 'utf8'));
+    return !pidAlive(info.pid) || Date.now() - info.t > staleMs;
+  } catch {
+    // Unreadable: either being written right now or left half-written by a crash.
+    const st = await fs.stat(lockFile).catch(() => null);
+    return !st || Date.now() - st.mtimeMs > 5_000;
+  }
+}
+
+// Takes a stale lock away by renaming it, so only one waiter gets it; another waiter's rename
+// finds nothing. If what got renamed is a live lock after all (someone took the lock between
+// our check and the rename), it is put back.
+async function stealLock(lockFile, staleMs) {
+  const moved = `${lockFile}.stale-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  try {
+    await fs.rename(lockFile, moved);
+  } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw e;
+  }
+  if (!(await lockIsStale(moved, staleMs))) await fs.link(moved, lockFile).catch(() => {});
+  await fs.rm(moved, { force: true });
+}
+
+async function withFileLock(lockFile, fn, { timeoutMs = 60_000, staleMs = 10 * 60_000 } = {}) {
+  await ensureDir(path.dirname(lockFile));
+
+  // The token tells our lock from one taken after ours was stolen, in this process or another.
+  const token = crypto.randomBytes(8).toString('hex');
+  const start = Date.now();
+  for (;;) {
+    try {
+      const fh = await fs.open(lockFile, 'wx');
+      await fh.writeFile(JSON.stringify({ pid: process.pid, t: Date.now(), token }));
+      await fh.close();
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    if (await lockIsStale(lockFile, staleMs)) {
+      await stealLock(lockFile, staleMs);
+      continue;
+    }
+    if (Date.now() - start > timeoutMs) throw new StateError(`timed out waiting for ${lockFile}`);
+    await sleep(50 + Math.random() * 100);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    const held = await fs.readFile(lockFile, 'utf8').then(JSON.parse, () => null);
+    if (held?.token === token) await fs.rm(lockFile, { force: true });
+  }
+}
+
+// Inter-process lock around state updates (daemon, report-closed, ...), on either backend. Not re-entrant.
+export function withStateLock(fn, opts) {
+  return withFileLock(`${STATE_FILE}.lock`, fn, opts);
+}
+
+// Locked read-modify-write. `fn` mutates the state in place. Keep it short (no network calls or
+// sleeps): every other process that touches the state waits on the lock meanwhile.
+export function updateState(fn, opts) {
+  return withStateLock(async () => {
+    const state = await readState();
+    const result = await fn(state);
+    await writeState(state);
+    return result;
+  }, opts);
+}
+
+// Writes `fields` of a working copy kept in memory (the daemon's) over the current state, so the
+// fields other processes own (report-closed's notifierLastSeen) survive.
+export function mergeState(working, fields, opts) {
+  return updateState((state) => {
+    for (const k of fields) state[k] = working[k];
+  }, opts);
+}
+
+// Throws ENOENT when the trade is unknown.
+export async function readTradeLog(tradeId) {
+  const d = sqlite();
+  if (d) {
+    const events = db.tradeEvents(d, tradeId);
+    if (events.length === 0) throw Object.assign(new Error(`no trade log for ${tradeId}`), { code: 'ENOENT' });
+    return events;
+  }
+
+  const raw = await fs.readFile(`data/trades/${tradeId}.jsonl`, 'utf8');
+  return raw
+    .split('\n')
+    .filter((l) => l.trim())
+    .flatMap((l) => {
+      try {
+        return [JSON.parse(l)];
+      } catch {
+        return []; // torn last line after a crash
+      }
+    });
+}
+
+export async function listTradeIds() {
+  const d = sqlite();
+  if (d) return db.tradeIds(d);
+  try {
+    return (await fs.readdir('data/trades')).filter((f) => f.endsWith('.jsonl')).map((f) => f.slice(0, -'.jsonl'.length));
+  } catch {
+    return [];
+  }
+}
+
+// Brings state.positions in line with data/trades/*.jsonl after a crash or an
+// unsaved tick: re-adds positions whose log has an OPEN but no CLOSE, and drops
+// positions whose log already has a CLOSE.
+export async function reconcileState(state) {
+  const restored = [];
+  const dropped = [];
+
+  const held = new Set(state.positions.map((p) => p.id));
+
+  for (const id of await listTradeIds()) {
+    const log = await readTradeLog(id);
+    const open = log.find((e) => e.type === 'OPEN');
+    const isClosed = log.some((e) => e.type === 'CLOSE');
+
+    if (isClosed && held.has(id)) {
+      state.positions = state.positions.filter((p) => p.id !== id);
+      dropped.push(id);
+      continue;
+    }
+    if (isClosed || !open || held.has(id)) continue;
+
+    const lastMark = log.filter((e) => e.type === 'MARK').pop();
+    const fills = log.filter((e) => e.type === 'FILL').map(({ type, ...f }) => f);
+    // High-water mark for trailing/breakeven stops, rebuilt from the marks.
+    const peak = log
+      .filter((e) => e.type === 'MARK')
+      .reduce((best, e) => Math.max(best ?? -Infinity, open.exits?.trigger === 'mid' ? e.mid : e.bid), null);
+    state.positions.push({
+      id,
+      openedAt: open.t,
+      marketId: open.marketId,
+      question: open.question,
+      url: open.url,
+      tokenId: open.tokenId,
+      outcome: open.outcome ?? null,
+      notional: open.notional,
+      endDate: open.endDate ?? null,
+      category: open.category ?? null,
+      sizing: open.sizing ?? null,
+      entry: open.entry,
+      exits: open.exits,
+      status: 'OPEN',
+      sharesOpen: open.entry.shares - fills.reduce((s, f) => s + f.shares, 0),
+      fills,
+      peak,
+      lastMark: lastMark
+        ? { t: lastMark.t, mid: lastMark.mid, bid: lastMark.bid, ask: lastMark.ask }
+        : { t: open.t, mid: (open.entry.bookBid + open.entry.bookAsk) / 2, bid: open.entry.bookBid, ask: open.entry.bookAsk },
+    });
+    restored.push(id);
+  }
+
+  return { restored, dropped };
 }
 
 export async function appendTradeLog(tradeId, obj) {
+  const d = sqlite();
+  if (d) return db.appendTradeEvent(d, tradeId, obj);
+
   const file = `data/trades/${tradeId}.jsonl`;
   await ensureDir(path.dirname(file));
   await fs.appendFile(file, JSON.stringify(obj) + '\n');
 }
 
 export async function writeClosedSummary(tradeId, summary) {
-  const file = `data/closed/${tradeId}.json`;
-  await ensureDir(path.dirname(file));
-  await fs.writeFile(file, JSON.stringify(summary, null, 2));
+  const d = sqlite();
+  if (d) {
+    db.tx(d, () => {
+      db.putClosed(d, tradeId, summary);
+      db.putMeta(d, 'last_closed', { tradeId, t: Date.now() });
+    });
+    return;
+  }
+
+  await writeJsonAtomic(`data/closed/${tradeId}.json`, summary);
   // pointer for the notifier
-  await fs.writeFile('data/last_closed.json', JSON.stringify({ tradeId, t: Date.now() }, null, 2));
+  await writeJsonAtomic('data/last_closed.json', { tradeId, t: Date.now() });
+}
+
+async function readJsonOr(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+// Pointer to the most recently closed trade ({ tradeId, t }) or null.
+export async function readLastClosed() {
+  const d = sqlite();
+  if (d) return db.getMeta(d, 'last_closed');
+  return readJsonOr('data/last_closed.json', null);
+}
+
+export async function readClosedSummary(tradeId) {
+  const d = sqlite();
+  if (d) return db.closedSummary(d, tradeId);
+  return readJsonOr(`data/closed/${tradeId}.json`, null);
+}
+
+// All closed summaries, oldest first.
+export async function listClosedSummaries() {
+  const d = sqlite();
+  if (d) return db.closedSummaries(d);
+  let files = [];
+  try {
+    files = (await fs.readdir('data/closed')).filter((f) => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  return (await Promise.all(files.map((f) => readJsonOr(`data/closed/${f}`, null))))
+    .filter(Boolean)
+    .sort((a, b) => a.closedAt - b.closedAt);
+}
+
+// Cheap change detection for pollers (dashboard): compare with the previous stamp.
+export async function changeStamp() {
+  const d = sqlite();
+  if (d) return { state: db.dataVersion(d), closed: db.closedCount(d) };
+  const st = await fs.stat(STATE_FILE).catch(() => null);
+  const closed = await fs.readdir('data/closed').catch(() => []);
+  return { state: st?.mtimeMs ?? 0, closed: closed.length };
+}
+
+// Scan snapshots ({ t, byToken: { [tokenId]: { mid, bestBid, bestAsk, t } } }). On sqlite the file
+// name only namespaces the rows in book_snapshots.
+export async function readSnapshots(file) {
+  const d = sqlite();
+  if (d) {
+    const { t, byToken } = db.latestSnapshots(d, file);
+    for (const [tokenId, s] of Object.entries(byToken)) byToken[tokenId] = { mid: s.mid, bestBid: s.bid, bestAsk: s.ask, vol24h: s.vol24h, t: s.t };
+    return { t, byToken };
+  }
+  return readJsonOr(file, { t: 0, byToken: {} });
+}
+
+export async function writeSnapshots(file, snapshots) {
+  const d = sqlite();
+  if (d) return db.tx(d, () => db.putSnapshots(d, file, snapshots.byToken));
+  await writeJsonAtomic(file, snapshots);
+}
+
+// Per-token price series (prices.js): { [tokenId]: [[t, mid, volume], ...] }, all tokens or just `tokenIds`.
+export async function readPriceHistory(tokenIds = null) {
+  const d = sqlite();
+  if (d) return db.priceSeries(d, tokenIds);
+  const { byToken = {} } = await readJsonOr(PRICES_FILE, {});
+  if (!tokenIds) return byToken;
+  return Object.fromEntries(tokenIds.filter((id) => byToken[id]).map((id) => [id, byToken[id]]));
+}
+
+// Replaces the given tokens' series and drops series with nothing newer than `before`.
+// The JSON file is rewritten whole, compactly: it holds every token seen in the last day.
+// Its own lock, so a scan from cron and the daemon flushing at once don't drop each other's tokens.
+export async function writePriceHistory(byToken, { before = 0 } = {}) {
+  const d = sqlite();
+  if (d) return db.tx(d, () => db.putPriceSeries(d, byToken, before));
+  return withFileLock(`${PRICES_FILE}.lock`, async () => {
+    const { byToken: all = {} } = await readJsonOr(PRICES_FILE, {});
+    Object.assign(all, byToken);
+    for (const [id, rows] of Object.entries(all)) if (!(rows.at(-1)?.[0] >= before)) delete all[id];
+    await writeJsonAtomic(PRICES_FILE, { t: Date.now(), byToken: all }, { space: null });
+  });
+}
+
+// Scan rows that were alerted on (raw `market` included or not). The JSON backend appends to data/alerts.jsonl.
+// This is the alert history: cooldowns and the daily budget (alerts.js) read it back with readAlerts.
+export async function recordAlerts(t, rows) {
+  const d = sqlite();
+  if (d) {
+    db.tx(d, () => {
+      for (const { market, book, ...row } of rows) {
+        if (market) db.upsertMarket(d, market, t);
+        db.insertAlert(d, t, row);
+      }
+    });
+    return;
+  }
+  if (rows.length === 0) return;
+  await ensureDir('data');
+  const lines = rows.map(({ market, book, ...row }) => JSON.stringify({ t, ...row }) + '\n');
+  await fs.appendFile('data/alerts.jsonl', lines.join(''));
+}
+
+// Recorded alerts with from <= t < to, oldest first.
+export async function readAlerts({ from = 0, to = Infinity } = {}) {
+  const d = sqlite();
+  if (d) return db.alertsBetween(d, from, Number.isFinite(to) ? to : Number.MAX_SAFE_INTEGER);
+  const raw = await fs.readFile('data/alerts.jsonl', 'utf8').catch(() => '');
+  const out = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const a = JSON.parse(line);
+      if (a.t >= from && a.t < to) out.push(a);
+    } catch {
+      // a torn last line from a crashed append
+    }
+  }
+  return out.sort((a, b) => a.t - b.t);
+}
+
+// Forward marks of recorded alerts (outcomes.js). The JSON backend appends to data/alert-outcomes.jsonl.
+export async function recordAlertOutcomes(rows) {
+  const d = sqlite();
+  if (d) return db.tx(d, () => rows.forEach((o) => db.insertAlertOutcome(d, o)));
+  if (rows.length === 0) return;
+  await ensureDir('data');
+  await fs.appendFile(OUTCOMES_FILE, rows.map((o) => JSON.stringify(o) + '\n').join(''));
+}
+
+// Outcomes of alerts raised with from <= alertT < to, one per alert and horizon (the first mark wins,
+// as in the SQLite store).
+export async function readAlertOutcomes({ from = 0, to = Infinity } = {}) {
+  const d = sqlite();
+  if (d) return db.alertOutcomesBetween(d, from, Number.isFinite(to) ? to : Number.MAX_SAFE_INTEGER);
+  const raw = await fs.readFile(OUTCOMES_FILE, 'utf8').catch(() => '');
+  const seen = new Map();
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const o = JSON.parse(line);
+      const k = `${o.alertId}:${o.horizonMs}`;
+      if (o.alertT >= from && o.alertT < to && !seen.has(k)) seen.set(k, o);
+    } catch {
+      // a torn last line from a crashed append
+    }
+  }
+  return [...seen.values()].sort((a, b) => a.alertT - b.alertT || a.horizonMs - b.horizonMs);
+}
+
+// Named market filters (see filters.js): { [name]: spec }. The JSON backend keeps them in data/watchlists.json;
+// a file that doesn't parse is an error rather than an empty set, so saving can't wipe it.
+export async function readWatchlists() {
+  const d = sqlite();
+  if (d) return db.watchlists(d);
+  let raw;
+  try {
+    raw = await fs.readFile(WATCHLIST_FILE, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw e;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new StateError(`${WATCHLIST_FILE}: ${e.message}`);
+  }
+}
+
+export async function saveWatchlist(name, spec) {
+  const d = sqlite();
+  if (d) return db.tx(d, () => db.putWatchlist(d, name, spec));
+  const all = await readWatchlists();
+  all[name] = spec;
+  await writeJsonAtomic(WATCHLIST_FILE, all);
+}
+
+// Returns false if there was no such list.
+export async function deleteWatchlist(name) {
+  const d = sqlite();
+  if (d) return db.tx(d, () => db.deleteWatchlist(d, name));
+  const all = await readWatchlists();
+  if (!(name in all)) return false;
+  delete all[name];
+  await writeJsonAtomic(WATCHLIST_FILE, all);
+  return true;
 }
@@ -0,0 +1,153 @@
+// Append-only, date-partitioned, gzip'd tape of raw markets/book responses.
+//
+// Layout: data/tape/YYYY-MM-DD/<firstEventMs>.jsonl.gz
+// Each flush appends one gzip member to the current file (concatenated members
+// are a valid gzip stream), so a crash loses at most the unflushed batch.
+// Events use the same shape the backtest reads:
+//   { t, type: 'markets', markets }  |  { t, type: 'book', tokenId, book }  |  { t, type: 'event', eventId, event }
+
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import readline from 'node:readline';
+import zlib from 'node:zlib';
+
+export const TAPE_DIR = 'data/tape';
+
+function dayOf(t) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+async function listDir(dir) {
+  try {
+    return (await fsp.readdir(dir)).sort();
+  } catch {
+    return [];
+  }
+}
+
+export async function pruneTape(dir = TAPE_DIR, retentionDays = 14, now = Date.now()) {
+  const cutoff = dayOf(now - retentionDays * 86_400_000);
+  for (const day of await listDir(dir)) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(day) && day < cutoff) {
+      await fsp.rm(path.join(dir, day), { recursive: true, force: true });
+    }
+  }
+}
+
+export function createTapeWriter({ dir = TAPE_DIR, maxBytes = 64 * 1024 * 1024, retentionDays = 14 } = {}) {
+  let buffer = [];
+  let file = null;
+  let day = null;
+  let bytes = 0;
+
+  async function rotate(t) {
+    day = dayOf(t);
+    file = path.join(dir, day, `${t}.jsonl.gz`);
+    bytes = 0;
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await pruneTape(dir, retentionDays, t);
+  }
+
+  return {
+    write(ev) {
+      buffer.push(ev);
+    },
+
+    async flush() {
+      if (buffer.length === 0) return;
+      const batch = buffer;
+      buffer = [];
+
+      // Never let one gzip member straddle a day boundary.
+      let start = 0;
+      while (start < batch.length) {
+        const t = batch[start].t;
+        if (!file || dayOf(t) !== day || bytes >= maxBytes) await rotate(t);
+
+        let stop = start;
+        while (stop < batch.length && dayOf(batch[stop].t) === day) stop++;
+
+        const lines = batch.slice(start, stop).map((ev) => JSON.stringify(ev)).join('\n') + '\n';
+        const gz = zlib.gzipSync(lines);
+        await fsp.appendFile(file, gz);
+        bytes += gz.length;
+        start = stop;
+      }
+    },
+
+    close() {
+      return this.flush();
+    },
+  };
+}
+
+// Wraps an engine source (see restSource in engine.js) so every markets/book
+// response that passes through is also written to the tape.
+export function recordingSource(source, writer) {
+  return {
+    async markets(cfg) {
+      const markets = await source.markets(cfg);
+      writer.write({ t: Date.now(), type: 'markets', markets });
+      return markets;
+    },
+    async book(tokenId) {
+      const book = await source.book(tokenId);
+      writer.write({ t: Date.now(), type: 'book', tokenId: String(tokenId), book });
+      return book;
+    },
+    ...(source.event && {
+      async event(eventId) {
+        const event = await source.event(eventId);
+        writer.write({ t: Date.now(), type: 'event', eventId: String(eventId), event });
+        return event;
+      },
+    }),
+  };
+}
+
+export async function* readTapeFile(file) {
+  let input = fs.createReadStream(file);
+  if (file.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    yield JSON.parse(line);
+  }
+}
+
+// Merge several time-ordered event streams into one.
+export async function* mergeByTime(iterators) {
+  const heads = [];
+  for (const it of iterators) {
+    const r = await it.next();
+    if (!r.done) heads.push({ it, ev: r.value });
+  }
+
+  while (heads.length > 0) {
+    let k = 0;
+    for (let i = 1; i < heads.length; i++) if (heads[i].ev.t < heads[k].ev.t) k = i;
+
+    yield heads[k].ev;
+    const r = await heads[k].it.next();
+    if (r.done) heads.splice(k, 1);
+    else heads[k].ev = r.value;
+  }
+}
+
+// Streams tape events in time order. `from`/`to` are epoch ms (inclusive).
+// Files written by concurrent recorders on the same day are merged.
+export async function* readTape({ dir = TAPE_DIR, from = 0, to = Infinity } = {}) {
+  const fromDay = dayOf(from);
+  const toDay = Number.isFinite(to) ? dayOf(to) : '9999-12-31';
+
+  for (const d of await listDir(dir)) {
+    if (d < fromDay || d > toDay) continue;
+    const files = (await listDir(path.join(dir, d))).filter((f) => /\.jsonl(\.gz)?$/.test(f));
+    const streams = files.map((f) => readTapeFile(path.join(dir, d, f)));
+    for await (const ev of mergeByTime(streams)) {
+      if (ev.t < from || ev.t > to) continue;
+      yield ev;
+    }
+  }
+}
@@ -1,14 +1,11 @@
+import { http } from './http.js';
+
 export const GAMMA_BASE = 'https://gamma-api.polymarket.com';
-export const CLOB_BASE = 'https://clob.polymarket.com';
-
-export async function fetchJson(url) {
-  const res = await fetch(url, {
-    headers: {
-      'user-agent': 'polymarket-alert-system/0.1',
-    },
-  });
-  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
-  return res.json();
+export const CLOB_BASE = process.env.CLOB_BASE || 'https://clob.polymarket.com'; // override to point at mock-clob.js
+
+// GET through the shared client (rate limit, timeout, retry/backoff; see http.js).
+export function fetchJson(url, opts) {
+  return http.getJson(url, opts);
 }
 
 export function safeParseJsonArray(s) {
@@ -75,10 +72,43 @@ export function marketFill(book, side, notionalUsd) {
   return { avgPrice, shares, notional: cost };
 }
 
+// marketFill plus how far the average fill sits from the touch (best ask for buys, best bid for sells).
+export function slippage(book, side, notionalUsd) {
+  const fill = marketFill(book, side, notionalUsd);
+  if (!fill) return null;
+  const { bestBid, bestAsk } = bestBidAsk(book);
+  const ref = side === 'buy' ? bestAsk : bestBid;
+  if (!ref) return null;
+  return { ...fill, refPrice: ref, slippage: Math.abs(fill.avgPrice - ref) };
+}
+
 export function fmtCents(x) {
   return `${(x * 100).toFixed(2)}c`;
 }
 
+const UNITS = { ms: 1, s: 1000, m: 60_000, h: 3600_000, d: 86_400_000 };
+
+// "15m" -> 900000; bare numbers are milliseconds. NaN when it doesn't parse.
+export function parseDuration(v) {
+  if (typeof v === 'number') return v;
+  const m = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/.exec(String(v));
+  return m ? Number(m[1]) * UNITS[m[2] ?? 'ms'] : NaN;
+}
+
+// --from/--to values: epoch ms or an ISO date. A bare date (2026-10-15) is that day's UTC midnight,
+// or with `endOfDay` its last millisecond, so an inclusive --to covers the whole day. NaN when it doesn't parse.
+export function parseTime(v, { endOfDay = false } = {}) {
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const t = Date.parse(v);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(v).trim()) ? t + 86_400_000 - 1 : t;
+}
+
+export function fmtDuration(ms) {
+  const unit = ['d', 'h', 'm', 's'].find((u) => ms >= UNITS[u] && ms % UNITS[u] === 0);
+  return unit ? `${ms / UNITS[unit]}${unit}` : `${ms}ms`;
+}
+
 export function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
@@ -0,0 +1,115 @@
+// Manages the named market filters used by --watchlist (see filters.js for the rules).
+//
+//   npm run watchlist                                   list saved watchlists
+//   npm run watchlist -- show nba
+//   npm run watchlist -- set nba --tags nba --excludeKeywords preseason --maxEndHours 48
+//   npm run watchlist -- add nba --markets 512345,512346    (merge into an existing list)
+//   npm run watchlist -- remove nba --markets 512346        (drop values from a list)
+//   npm run watchlist -- delete nba
+//   npm run watchlist -- test nba                       which of the current top markets pass
+//
+// List flags take comma-separated values and can be repeated (--regex is never split on commas).
+
+import { FILTER_KEYS, compileWatchlists, normalizeFilter } from './filters.js';
+import { deleteWatchlist, readWatchlists, saveWatchlist } from './state.js';
+import { defaultConfig, restSource } from './engine.js';
+
+const NUMBERS = ['minEndHours', 'maxEndHours'];
+
+function parseArgs(argv) {
+  const args = { cmd: 'list', name: null, spec: {}, limit: 200 };
+  const positional = [];
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) {
+      positional.push(a);
+      continue;
+    }
+    const [k, v] = a.slice(2).split('=');
+    const next = v ?? argv[i + 1];
+    const read = () => (v ? v : (i++, next));
+
+    if (k === 'limit') args.limit = Number(read());
+    else if (!FILTER_KEYS.includes(k)) throw new Error(`unknown flag --${k} (filters: ${FILTER_KEYS.join(', ')})`);
+    else if (NUMBERS.includes(k)) args.spec[k] = Number(read());
+    else if (k === 'note') args.spec.note = String(read());
+    else {
+      const raw = String(read() ?? '');
+      const values = k === 'regex' || k === 'excludeRegex' ? [raw] : raw.split(',');
+      args.spec[k] = [...(args.spec[k] ?? []), ...values.map((x) => x.trim()).filter(Boolean)];
+    }
+  }
+  [args.cmd = 'list', args.name = null] = positional;
+  return args;
+}
+
+function describe(name, spec) {
+  const parts = Object.entries(spec)
+    .filter(([k]) => k !== 'note')
+    .map(([k, v]) => `${k}=${Array.isArray(v) ? v.join(',') : v}`);
+  return `${name}${spec.note ? ` — ${spec.note}` : ''}\n  ${parts.join(' | ') || '(no rules: every market passes)'}`;
+}
+
+async function test(name, spec, limit) {
+  const cfg = { ...defaultConfig(), scanLimit: limit, watchlist: [{ name, ...spec }] };
+  const watch = compileWatchlists(cfg.watchlist);
+  const markets = await restSource.markets(cfg);
+  const now = Date.now();
+  const hits = markets.filter((m) => m && m.closed === false && watch.match(m, now).length);
+  console.log(`${hits.length} of ${markets.length} markets pass "${name}":`);
+  for (const m of hits) {
+    const hoursLeft = (Date.parse(m.endDate) - now) / 3600_000;
+    const pinned = watch.pinned.has(String(m.id)) ? ' [pinned]' : '';
+    console.log(`  ${m.id} | ${m.question} | vol24h $${Math.round(Number(m.volume24hr ?? 0)).toLocaleString()} | ends in ${hoursLeft.toFixed(1)}h${pinned}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const all = await readWatchlists();
+  const need = () => {
+    if (!args.name) throw new Error(`usage: watchlist ${args.cmd} <name>`);
+    return args.name;
+  };
+  const existing = () => {
+    const spec = all[need()];
+    if (!spec) throw new Error(`no saved watchlist "${args.name}" (have: ${Object.keys(all).join(', ') || 'none'})`);
+    return spec;
+  };
+
+  if (args.cmd === 'list') {
+    const names = Object.keys(all).sort();
+    if (names.length === 0) console.log('No watchlists yet. Create one with: npm run watchlist -- set <name> --tags ...');
+    for (const n of names) console.log(describe(n, all[n]));
+  } else if (args.cmd === 'show') {
+    console.log(JSON.stringify(existing(), null, 2));
+  } else if (args.cmd === 'set') {
+    const spec = normalizeFilter(args.spec, need());
+    await saveWatchlist(args.name, spec);
+    console.log(`saved ${describe(args.name, spec)}`);
+  } else if (args.cmd === 'add' || args.cmd === 'remove') {
+    const spec = { ...existing() };
+    for (const [k, v] of Object.entries(args.spec)) {
+      if (!Array.isArray(v)) {
+        if (args.cmd === 'add') spec[k] = v;
+        else delete spec[k];
+      } else if (args.cmd === 'add') spec[k] = [...new Set([...(spec[k] ?? []), ...v])];
+      else spec[k] = (spec[k] ?? []).filter((x) => !v.includes(x));
+    }
+    const clean = normalizeFilter(spec, args.name);
+    await saveWatchlist(args.name, clean);
+    console.log(`saved ${describe(args.name, clean)}`);
+  } else if (args.cmd === 'delete') {
+    if (!(await deleteWatchlist(need()))) throw new Error(`no saved watchlist "${args.name}"`);
+    console.log(`deleted ${args.name}`);
+  } else if (args.cmd === 'test') {
+    await test(args.name, existing(), args.limit);
+  } else {
+    throw new Error(`unknown command: ${args.cmd} (list | show | set | add | remove | delete | test)`);
+  }
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+// Minimal RFC 6455 WebSocket client (text frames, ping/pong, close) on top of
+// node:http(s), so streaming needs no dependency.
+
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import http from 'node:http';
+import https from 'node:https';
+
+function encodeFrame(opcode, payload) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+  const len = data.length;
+  const head = len < 126 ? 2 : len < 65536 ? 4 : 10;
+  const frame = Buffer.alloc(head + 4 + len);
+
+  frame[0] = 0x80 | opcode; // FIN + opcode
+  if (len < 126) {
+    frame[1] = 0x80 | len;
+  } else if (len < 65536) {
+    frame[1] = 0x80 | 126;
+    frame.writeUInt16BE(len, 2);
+  } else {
+    frame[1] = 0x80 | 127;
+    frame.writeBigUInt64BE(BigInt(len), 2);
+  }
+
+  // Client frames must be masked.
+  const mask = crypto.randomBytes(4);
+  mask.copy(frame, head);
+  for (let i = 0; i < len; i++) frame[head + 4 + i] = data[i] ^ mask[i & 3];
+  return frame;
+}
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, head) {
+    super();
+    this.socket = socket;
+    this.buf = head?.length ? Buffer.from(head) : Buffer.alloc(0);
+    this.fragments = [];
+    this.closed = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', (d) => {
+      this.buf = Buffer.concat([this.buf, d]);
+      this.parse();
+    });
+    socket.on('error', (e) => this.emit('error', e));
+    socket.on('close', () => this.finish(1006, 'socket closed'));
+    if (this.buf.length) queueMicrotask(() => this.parse());
+  }
+
+  parse() {
+    while (this.buf.length >= 2) {
+      const b0 = this.buf[0];
+      const b1 = this.buf[1];
+      let len = b1 & 0x7f;
+      let off = 2;
+      if (len === 126) {
+        if (this.buf.length < 4) return;
+        len = this.buf.readUInt16BE(2);
+        off = 4;
+      } else if (len === 127) {
+        if (this.buf.length < 10) return;
+        len = Number(this.buf.readBigUInt64BE(2));
+        off = 10;
+      }
+      const masked = (b1 & 0x80) !== 0;
+      const maskOff = off;
+      if (masked) off += 4;
+      if (this.buf.length < off + len) return;
+
+      let payload = this.buf.subarray(off, off + len);
+      if (masked) {
+        payload = Buffer.from(payload);
+        for (let i = 0; i < len; i++) payload[i] ^= this.buf[maskOff + (i & 3)];
+      }
+      this.buf = this.buf.subarray(off + len);
+      this.onFrame((b0 & 0x80) !== 0, b0 & 0x0f, payload);
+    }
+  }
+
+  onFrame(fin, opcode, payload) {
+    if (opcode === 0x8) {
+      const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+      if (!this.closed) this.socket.write(encodeFrame(0x8, payload.subarray(0, 2)));
+      this.socket.end();
+      this.finish(code, payload.subarray(2).toString('utf8'));
+      return;
+    }
+    if (opcode === 0x9) {
+      this.socket.write(encodeFrame(0xa, payload));
+      return;
+    }
+    if (opcode === 0xa) return;
+
+    // Text/binary, possibly fragmented across continuation (0x0) frames.
+    this.fragments.push(payload);
+    if (!fin) return;
+    const msg = Buffer.concat(this.fragments);
+    this.fragments = [];
+    this.emit('message', msg.toString('utf8'));
+  }
+
+  send(text) {
+    if (this.closed) throw new Error('WebSocket is closed');
+    this.socket.write(encodeFrame(0x1, text));
+  }
+
+  close(code = 1000) {
+    if (this.closed) return;
+    const body = Buffer.alloc(2);
+    body.writeUInt16BE(code, 0);
+    this.socket.write(encodeFrame(0x8, body));
+    this.socket.end();
+    this.finish(code, '');
+  }
+
+  finish(code, reason) {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close', code, reason);
+  }
+}
+
+export function openWebSocket(url, { timeoutMs = 10_000, headers = {} } = {}) {
+  const u = new URL(url);
+  const secure = u.protocol === 'wss:';
+  const key = crypto.randomBytes(16).toString('base64');
+
+  return new Promise((resolve, reject) => {
+    const req = (secure ? https : http).request({
+      host: u.hostname,
+      port: u.port || (secure ? 443 : 80),
+      path: u.pathname + u.search,
+      headers: {
+        connection: 'Upgrade',
+        upgrade: 'websocket',
+        'sec-websocket-version': '13',
+        'sec-websocket-key': key,
+        'user-agent': 'polymarket-alert-system/0.1',
+        ...headers,
+      },
+      timeout: timeoutMs,
+    });
+
+    req.on('upgrade', (res, socket, head) => {
+      const expected = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+      if (res.headers['sec-websocket-accept'] !== expected) {
+        socket.destroy();
+        reject(new Error(`bad WebSocket handshake from ${url}`));
+        return;
+      }
+      socket.setTimeout(0);
+      resolve(new WebSocketConnection(socket, head));
+    });
+    req.on('response', (res) => {
+      res.resume();
+      reject(new Error(`HTTP ${res.statusCode} for ${url} (expected WebSocket upgrade)`));
+    });
+    req.on('timeout', () => req.destroy(new Error(`WebSocket connect timeout for ${url}`)));
+    req.on('error', reject);
+    req.end();
+  });
+}
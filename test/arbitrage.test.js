@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+process.chdir(await fs.mkdtemp(path.join(os.tmpdir(), 'arbitrage-test-')));
+const { defaultConfig } = await import('../src/engine.js');
+const { findArbitrage, walkSets } = await import('../src/arbitrage.js');
+
+const cfg = { ...defaultConfig(), feeBps: 0, minArbEdge: 0, minArbProfit: 0, maxArbNotional: 1000 };
+const level = (price, size) => ({ price: String(price), size: String(size) });
+const book = (bids, asks) => ({ bids: bids.map(([p, s]) => level(p, s)), asks: asks.map(([p, s]) => level(p, s)) });
+const near = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+const binary = { payout: 1, markets: 1 };
+
+test('BUY_ALL walks the asks while the next set still pays', () => {
+  const books = [book([], [[0.45, 100], [0.47, 100]]), book([], [[0.5, 150]])];
+  // 100 sets at 95c, then 50 at 97c until the NO book runs out.
+  const res = walkSets(books, 'BUY_ALL', binary, cfg);
+  near(res.sets, 150);
+  near(res.capital, 100 * 0.95 + 50 * 0.97);
+  near(res.profit, 100 * 0.05 + 50 * 0.03);
+  near(res.topEdge, 0.05);
+  near(res.legs[0].avgPrice, (45 + 23.5) / 150);
+  assert.equal(res.legs[0].worstPrice, 0.47);
+
+  // The second level only clears 3c; the capital cap stops the first one halfway.
+  near(walkSets(books, 'BUY_ALL', binary, { ...cfg, minArbEdge: 0.04 }).sets, 100);
+  near(walkSets(books, 'BUY_ALL', binary, { ...cfg, maxArbNotional: 47.5 }).sets, 50);
+});
+
+test('SELL_ALL sells the bids above the payout and ties up $1 per market per set', () => {
+  const books = [book([[0.55, 100]], [[0.56, 100]]), book([[0.5, 40]], [[0.51, 100]])];
+  const res = walkSets(books, 'SELL_ALL', binary, cfg);
+  near(res.sets, 40);
+  near(res.capital, 40);
+  near(res.profit, 40 * 0.05);
+
+  // Asks summing to more than $1 leave nothing to buy.
+  const none = walkSets(books, 'BUY_ALL', binary, cfg);
+  assert.equal(none.sets, 0);
+  near(none.topEdge, 1 - 1.07);
+  assert.equal(walkSets([books[0], book([], [])], 'BUY_ALL', binary, cfg), null);
+});
+
+test('taker fees come off the edge', () => {
+  const books = [book([], [[0.45, 100]]), book([], [[0.5, 100]])];
+  // 10% of min(p, 1 - p) per leg: 4.5c + 5c eats the 5c edge.
+  const res = walkSets(books, 'BUY_ALL', binary, { ...cfg, feeBps: 1000 });
+  assert.equal(res.sets, 0);
+  near(res.topEdge, 0.05 - 0.095);
+  const low = walkSets(books, 'BUY_ALL', binary, { ...cfg, feeBps: 100 });
+  near(low.fees, 100 * 0.0095);
+  near(low.profit, 100 * (0.05 - 0.0095));
+});
+
+test('findArbitrage prices the YES and NO sets of a negRisk event', async () => {
+  const now = Date.parse('2026-10-01T00:00:00Z');
+  const markets = ['x', 'y', 'z'].map((id) => ({
+    id,
+    question: `${id} wins?`,
+    groupItemTitle: id,
+    slug: id,
+    closed: false,
+    enableOrderBook: true,
+    volume24hr: 100_000,
+    liquidityNum: 20_000,
+    endDate: '2027-03-01T00:00:00Z',
+    outcomes: '["Yes","No"]',
+    clobTokenIds: JSON.stringify([`${id}-yes`, `${id}-no`]),
+    negRisk: true,
+    negRiskMarketID: 'e1',
+    events: [{ id: 'e1', slug: 'who-wins', title: 'Who wins?' }],
+  }));
+  // Each YES asks 30c (three cost 90c, one pays $1); each NO bids 70c (three fetch $2.10, two pay $1).
+  const books = {};
+  for (const { id } of markets) {
+    books[`${id}-yes`] = book([[0.28, 100]], [[0.3, 100]]);
+    books[`${id}-no`] = book([[0.7, 100]], [[0.72, 100]]);
+  }
+  const source = { markets: async () => markets, book: async (t) => books[t] };
+
+  const found = await findArbitrage(cfg, { source, now });
+  assert.deepEqual(
+    found.map((f) => [f.key, f.trade]),
+    [
+      ['event:e1:yes', 'BUY_ALL'],
+      ['event:e1:no', 'SELL_ALL'],
+    ]
+  );
+  const [yes, no] = found;
+  near(yes.profit, 10);
+  near(yes.capital, 90);
+  assert.equal(no.payout, 2);
+  near(no.capital, 300);
+  near(no.returnPct, 10 / 300);
+  assert.equal(no.legs[0].outcome, 'x: No');
+
+  // An augmented event can still gain outcomes, so its listed markets aren't a full set.
+  const augmented = { ...source, event: async () => ({ negRiskAugmented: true, markets }) };
+  assert.deepEqual(await findArbitrage(cfg, { source: augmented, now }), []);
+});
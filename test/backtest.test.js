@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+const BACKTEST = fileURLToPath(new URL('../src/backtest.js', import.meta.url));
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backtest-test-'));
+
+// One binary market recorded every 30s: YES rises 6c, falls back and keeps falling.
+const T0 = Date.parse('2026-10-01T00:00:00Z');
+const MIDS = [0.5, 0.5, 0.53, 0.54, 0.56, 0.56, 0.5, 0.47, 0.47];
+const side = (mid) => ({ bids: [{ price: String(mid - 0.005), size: '5000' }], asks: [{ price: String(mid + 0.005), size: '5000' }] });
+const market = { id: '1', question: 'Q?', slug: 'q', closed: false, enableOrderBook: true, volume24hr: 100_000, liquidityNum: 20_000, outcomes: '["Yes","No"]', clobTokenIds: '["a","b"]', endDate: '2027-03-01T00:00:00Z' };
+const events = [{ t: T0, type: 'markets', markets: [market] }];
+MIDS.forEach((mid, i) => {
+  events.push({ t: T0 + i * 30_000, type: 'book', tokenId: 'a', book: side(mid) });
+  events.push({ t: T0 + i * 30_000, type: 'book', tokenId: 'b', book: side(1 - mid) });
+});
+const jsonl = (evs) => evs.map((e) => JSON.stringify(e)).join('\n') + '\n';
+
+await fs.writeFile(path.join(dir, 'tape.jsonl'), jsonl(events));
+await fs.writeFile(path.join(dir, 'even.jsonl'), jsonl(events.filter((_, i) => i % 2 === 0)));
+await fs.writeFile(path.join(dir, 'odd.jsonl'), jsonl(events.filter((_, i) => i % 2 === 1)));
+
+async function backtest(...args) {
+  const { stdout } = await promisify(execFile)(process.execPath, [BACKTEST, '--moveWindowMs', '0', '--json', ...args], { cwd: dir, timeout: 60_000 });
+  const res = JSON.parse(stdout);
+  return { ...res, trades: res.closed.map((c) => [c.tokenId, (c.openedAt - T0) / 1000, round(c.entryAvg), (c.closedAt - T0) / 1000, c.exitReason]) };
+}
+const round = (x) => Math.round(x * 1e4) / 1e4;
+
+test('replays a tape deterministically on the simulated clock', async () => {
+  const a = await backtest('--tape', 'tape.jsonl');
+  const b = await backtest('--tape', 'tape.jsonl');
+  assert.deepEqual(a.closed, b.closed);
+  assert.deepEqual(a.trades, [
+    ['a', 60, 0.535, 120, 'TAKE_PROFIT'],
+    ['b', 120, 0.445, 180, 'TAKE_PROFIT'],
+    ['a', 180, 0.505, 210, 'STOP_LOSS'],
+  ]);
+  // Re-entering "a" at 210s right after its stop-out is refused.
+  assert.deepEqual(a.blocked, { REENTRY_COOLDOWN: 1 });
+  assert.equal(a.totals.totalPnl.toFixed(2), '14.11');
+});
+
+test('several --tape files are merged by time', async () => {
+  const whole = await backtest('--tape', 'tape.jsonl');
+  const split = await backtest('--tape', 'odd.jsonl', '--tape', 'even.jsonl');
+  assert.deepEqual(split.closed, whole.closed);
+});
+
+test('with latencyMs an order fills against the book recorded that much later', async () => {
+  const res = await backtest('--tape', 'tape.jsonl', '--latencyMs', '30000');
+  // Decided on the 60s book (ask 53.5c), filled on the 90s one (ask 54.5c).
+  assert.deepEqual(res.trades[0], ['a', 60, 0.545, 180, 'STOP_LOSS']);
+});
+
+test('--to stops the replay, leaving later entries open', async () => {
+  const res = await backtest('--tape', 'tape.jsonl', '--to', String(T0 + 120_000));
+  assert.deepEqual(res.trades, [['a', 60, 0.535, 120, 'TAKE_PROFIT']]);
+  assert.deepEqual(
+    res.open.map((p) => p.tokenId),
+    ['b']
+  );
+});
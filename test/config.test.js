@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+process.chdir(await fs.mkdtemp(path.join(os.tmpdir(), 'config-test-')));
+const { COMMANDS, ConfigError, loadConfig } = await import('../src/config.js');
+
+const options = { json: { type: 'boolean', default: false }, id: { type: 'string', default: null } };
+
+test('only shared settings are read from the environment', async () => {
+  const { cfg } = await loadConfig(['node', 'x.js'], { command: 'paper', options, env: { PM_MAX_SPREAD: '0.03', PM_JSON: 'true', PM_ID: 'p1' } });
+  assert.equal(cfg.maxSpread, 0.03);
+  assert.equal(cfg.json, false);
+  assert.equal(cfg.id, null);
+});
+
+test('every registered command has its own config-file section', async () => {
+  const file = path.resolve('cfg.json');
+  await fs.writeFile(file, JSON.stringify({ maxSpread: 0.02, ...Object.fromEntries(COMMANDS.map((c) => [c, { tp: 0.05 }])), report: { tp: 0.07 } }));
+  const { cfg } = await loadConfig(['node', 'x.js', '--config', file], { command: 'report', options, env: {} });
+  assert.equal(cfg.maxSpread, 0.02);
+  assert.equal(cfg.tp, 0.07);
+
+  await fs.writeFile(file, JSON.stringify({ nosuch: { tp: 0.05 } }));
+  await assert.rejects(loadConfig(['node', 'x.js', '--config', file], { command: 'report', options, env: {} }), ConfigError);
+  await assert.rejects(loadConfig(['node', 'x.js'], { command: 'nosuch', env: {} }), /unknown command/);
+});
+
+test('--print-config is left to the caller', async (t) => {
+  const lines = [];
+  t.mock.method(console, 'log', (line) => lines.push(line));
+  const res = await loadConfig(['node', 'x.js', '--print-config', '--tp', '0.04'], { command: 'scan', env: {} });
+  assert.equal(res.printOnly, true);
+  assert.ok(lines.some((l) => /^tp\s+0\.04\s+# cli$/.test(l)));
+  assert.equal((await loadConfig(['node', 'x.js'], { command: 'scan', env: {} })).printOnly, false);
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+const MIGRATE = fileURLToPath(new URL('../src/migrate-db.js', import.meta.url));
+const STATE = new URL('../src/state.js', import.meta.url).href;
+
+function hasDriver() {
+  const require = createRequire(import.meta.url);
+  for (const name of ['better-sqlite3', 'node:sqlite']) {
+    try {
+      require(name);
+      return true;
+    } catch {
+      // try the next one
+    }
+  }
+  return false;
+}
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'db-test-'));
+process.chdir(dir);
+process.env.STATE_BACKEND = '';
+const state = await import('../src/state.js');
+
+const T0 = Date.parse('2026-10-01T12:00:00Z');
+const position = { id: 'p1', marketId: '1', tokenId: 'a', outcome: 'Yes', question: 'Q?', openedAt: T0, entry: { avgPrice: 0.52, shares: 100 }, fills: [] };
+const closed = (id, i) => ({ id, marketId: String(i), tokenId: `k${i}`, question: `Q${i}?`, openedAt: T0 + i, closedAt: T0 + 1000 + i, exitReason: 'TAKE_PROFIT', pnl: i });
+
+await state.updateState((s) => {
+  s.positions.push(position);
+  s.snapshots = { t: T0, byToken: { a: { mid: 0.52, bid: 0.515, ask: 0.525, vol24h: 1000, t: T0 } } };
+});
+for (const [i, id] of ['t1', 't2'].entries()) {
+  await state.appendTradeLog(id, { t: T0 + i, type: 'OPEN', price: 0.5 });
+  await state.appendTradeLog(id, { t: T0 + 1000 + i, type: 'CLOSE', price: 0.52 });
+  await state.writeClosedSummary(id, closed(id, i));
+}
+await state.writeSnapshots('data/snapshots.json', { t: T0, byToken: { a: { mid: 0.52, bestBid: 0.515, bestAsk: 0.525, vol24h: 1000, t: T0 } } });
+await state.writePriceHistory({ a: [[T0, 0.5, 10], [T0 + 60_000, 0.52, 12]] });
+await state.recordAlerts(T0, [{ marketId: '1', tokenId: 'a', outcome: 'Yes', score: 70, question: 'Q?', market: { id: '1' } }]);
+await state.recordAlertOutcomes([{ alertId: `${T0}:1:a`, alertT: T0, horizonMs: 300_000, t: T0 + 300_000, bid: 0.53 }]);
+await state.saveWatchlist('sports', { category: 'sports', minVolume: 5000 });
+
+// Every reader, run in a fresh process since the backend is fixed at import.
+const DUMP = `
+  const s = await import(${JSON.stringify(STATE)});
+  const ids = (await s.listTradeIds()).sort();
+  console.log(JSON.stringify({
+    state: await s.readState(),
+    trades: await Promise.all(ids.map((id) => s.readTradeLog(id))),
+    closed: await s.listClosedSummaries(),
+    lastClosed: await s.readLastClosed(),
+    snapshots: await s.readSnapshots('data/snapshots.json'),
+    prices: await s.readPriceHistory(),
+    alerts: await s.readAlerts(),
+    outcomes: await s.readAlertOutcomes(),
+    watchlists: await s.readWatchlists(),
+  }));
+`;
+
+async function dump(env) {
+  const { stdout } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', DUMP], {
+    cwd: dir,
+    timeout: 60_000,
+    env: { ...process.env, ...env },
+  });
+  return JSON.parse(stdout);
+}
+
+test('the JSON fixture reads back through every reader', async () => {
+  const json = await dump({ STATE_BACKEND: '' });
+  assert.deepEqual(json.state.positions, [position]);
+  assert.equal(json.trades.length, 2);
+  assert.deepEqual(
+    json.closed.map((c) => c.id),
+    ['t1', 't2']
+  );
+  assert.equal(json.alerts[0].market, undefined);
+  assert.deepEqual(Object.keys(json.watchlists), ['sports']);
+});
+
+test('migrate-db imports data/ into SQLite and every reader returns the same', { skip: !hasDriver() && 'needs better-sqlite3 or node:sqlite' }, async () => {
+  const run = () => promisify(execFile)(process.execPath, [MIGRATE, '--db', 'data/polymarket.db'], { cwd: dir, timeout: 60_000 });
+  const { stdout } = await run();
+  assert.match(stdout, /Imported into data\/polymarket\.db: 1 positions/);
+
+  const json = await dump({ STATE_BACKEND: '' });
+  const sqlite = await dump({ STATE_BACKEND: 'sqlite', STATE_DB: 'data/polymarket.db' });
+  assert.deepEqual(sqlite, json);
+
+  // Re-running doesn't duplicate trade events or alerts.
+  await run();
+  assert.deepEqual(await dump({ STATE_BACKEND: 'sqlite', STATE_DB: 'data/polymarket.db' }), json);
+});
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createExecutor, createImpact, simulateFill, takerFee } from '../src/execution.js';
+
+const level = (price, size) => ({ price: String(price), size: String(size) });
+
+test('fills walk the book, snap to the tick and charge the fee curve', () => {
+  const book = { asks: [level(0.5, 100), level(0.513, 100)], bids: [level(0.49, 100)], tick_size: '0.01' };
+  const fill = simulateFill(book, 'buy', { notional: 80 }, { feeBps: 100 });
+  assert.deepEqual(
+    fill.levels.map((l) => l.price),
+    [0.5, 0.52]
+  );
+  assert.equal(fill.levels[0].size, 100);
+  assert.ok(Math.abs(fill.levels[1].size - 30 / 0.52) < 1e-9);
+  assert.ok(Math.abs(fill.fee - (takerFee(0.5, 100, 100) + takerFee(0.52, 30 / 0.52, 100))) < 1e-9);
+  assert.equal(fill.partial, false);
+
+  assert.equal(simulateFill(book, 'sell', { shares: 150 }, {}).partial, true);
+});
+
+test('our own fills stay out of later books at off-tick levels too', async () => {
+  const book = { asks: [level(0.505, 50), level(0.51, 100), level(0.53, 100)], bids: [], tick_size: '0.01' };
+  const ex = createExecutor({ impactDecayMs: 60_000 }, { impact: createImpact({ decayMs: 60_000 }) });
+
+  // 0.505 and 0.51 both fill at 0.51: 100 shares take all of the first level and half of the second.
+  const first = await ex.buy('t', book, 51, 1_000);
+  assert.equal(first.shares, 100);
+
+  const after = await ex.bookFor('t', book, 2_000);
+  assert.deepEqual(after.asks, [level(0.51, 50), level(0.53, 100)]);
+
+  const again = await ex.buy('t', book, 51, 2_000);
+  assert.deepEqual(
+    again.levels.map((l) => [l.price, Math.round(l.size)]),
+    [
+      [0.51, 50],
+      [0.53, 48],
+    ]
+  );
+
+  // Refilled once the decay has passed.
+  assert.equal((await ex.bookFor('t', book, 70_000)).asks.length, 3);
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { HttpError, createHttpClient } from '../src/http.js';
+
+// Answers each request with the next queued [status, headers, body] (then 200 {"ok":true}).
+async function startServer() {
+  const srv = { replies: [], requests: [] };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (d) => (body += d));
+    req.on('end', () => {
+      srv.requests.push({ method: req.method, headers: req.headers, body });
+      const [status, headers, out] = srv.replies.shift() ?? [200, { 'content-type': 'application/json' }, '{"ok":true}'];
+      res.writeHead(status, headers).end(out);
+    });
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  return Object.assign(srv, { url: `http://127.0.0.1:${server.address().port}/x`, close: () => server.close() });
+}
+
+test('Retry-After is honored but capped at maxBackoffMs', async (t) => {
+  const srv = await startServer();
+  t.after(srv.close);
+  const client = createHttpClient({ backoffMs: 1, maxBackoffMs: 100 });
+
+  srv.replies.push([429, { 'retry-after': '3600' }], [503, { 'retry-after': '0' }]);
+  const started = Date.now();
+  assert.deepEqual(await client.getJson(srv.url), { ok: true });
+  const took = Date.now() - started;
+  assert.equal(srv.requests.length, 3);
+  assert.ok(took >= 100 && took < 2_000, `took ${took}ms`);
+
+  const [stat] = Object.values(client.stats());
+  assert.deepEqual([stat.requests, stat.retries, stat.byStatus], [3, 2, { 429: 1, 503: 1 }]);
+});
+
+test('postJson sends JSON, retries server errors and gives up on other 4xx', async (t) => {
+  const srv = await startServer();
+  t.after(srv.close);
+  const client = createHttpClient({ backoffMs: 1 });
+
+  srv.replies.push([500, {}], [204, {}]);
+  assert.equal(await client.postJson(srv.url, { a: 1 }, { headers: { 'x-token': 't' }, retries: 1 }), '');
+  assert.deepEqual(
+    srv.requests.map((r) => [r.method, r.headers['content-type'], r.headers['x-token'], r.body]),
+    [
+      ['POST', 'application/json', 't', '{"a":1}'],
+      ['POST', 'application/json', 't', '{"a":1}'],
+    ]
+  );
+
+  srv.replies.push([500, {}], [500, {}]);
+  await assert.rejects(client.postJson(srv.url, {}, { retries: 1 }), (e) => e instanceof HttpError && e.status === 500);
+
+  srv.replies.push([404, {}]);
+  srv.requests.length = 0;
+  await assert.rejects(client.postJson(srv.url, {}), (e) => e instanceof HttpError && e.status === 404);
+  assert.equal(srv.requests.length, 1);
+});
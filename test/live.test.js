@@ -0,0 +1,233 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'live-test-'));
+process.chdir(dir); // the orders log lives under data/
+
+const { checkLiveFlags, createLiveExecutor, ordersLogId, planOrder } = await import('../src/live.js');
+const { ClobError, createClobClient } = await import('../src/clob.js');
+const { createExecutor } = await import('../src/execution.js');
+const { buildPosition, defaultConfig, executeEntry, executeExit } = await import('../src/engine.js');
+const { ConfigError, loadConfig } = await import('../src/config.js');
+const { readTradeLog } = await import('../src/state.js');
+
+const MOCK = fileURLToPath(new URL('../src/mock-clob.js', import.meta.url));
+const SECRET = 'c2VjcmV0'; // base64 "secret"
+
+// The mock's stand-in for the EIP-712 order hash.
+const orderId = (o) => `0x${crypto.createHash('sha256').update(`${o.salt}:${o.maker}:${o.tokenId}:${o.makerAmount}:${o.takerAmount}`).digest('hex')}`;
+
+// src/mock-clob.js on an ephemeral port; resolves once it prints its address.
+async function startMock(args = []) {
+  const child = spawn(process.execPath, [MOCK, '--port', '0', '--secret', SECRET, ...args], { stdio: ['ignore', 'pipe', 'inherit'] });
+  const host = await new Promise((resolve, reject) => {
+    let out = '';
+    child.stdout.on('data', (d) => {
+      out += d;
+      const m = out.match(/mock CLOB on (http:\/\/\S+)/);
+      if (m) resolve(m[1]);
+    });
+    child.on('exit', (code) => reject(new Error(`mock CLOB exited with ${code}`)));
+  });
+  child.stdout.resume();
+  const client = createClobClient({
+    creds: { apiKey: 'k', secret: SECRET, passphrase: 'p', signatureType: 0 },
+    signer: { address: '0xabc', sign: async () => '0xsig', orderId },
+    host,
+  });
+  return { host, client, book: async (tokenId) => (await fetch(`${host}/book?token_id=${tokenId}`)).json(), stop: () => child.kill() };
+}
+
+const cfg = (over = {}) => ({ ...defaultConfig(), orderType: 'marketable', liveSlippage: 0.01, orderTimeoutMs: 1_000, feeBps: 0, ...over });
+const sim = (c) => createExecutor(c);
+const op = (tokenId, book) => ({ market: { id: 'm1', question: 'Will it rain?' }, url: 'https://example.com', reason: 'test', chosen: { tokenId, book, bid: 0.49, ask: 0.51, spread: 0.02 } });
+const orders = () => readTradeLog(ordersLogId());
+
+test('planOrder snaps to the tick, respects the minimum size and skips empty sides', () => {
+  const book = { bids: [{ price: '0.48', size: '100' }], asks: [{ price: '0.513', size: '100' }], tick_size: '0.01', min_order_size: '5' };
+
+  const buy = planOrder(book, 'BUY', { notional: 10 }, cfg({ liveSlippage: 0.015 }));
+  assert.deepEqual(buy, { price: 0.52, size: 19.23, type: 'FAK', tick: 0.01, negRisk: false });
+  const sell = planOrder(book, 'SELL', { shares: 12.345 }, cfg({ liveSlippage: 0.015 }));
+  assert.equal(sell.price, 0.47);
+  assert.equal(sell.size, 12.34);
+
+  const limit = planOrder(book, 'SELL', { shares: 10 }, cfg({ orderType: 'limit' }));
+  assert.deepEqual([limit.price, limit.type], [0.52, 'GTC']);
+
+  assert.match(planOrder(book, 'SELL', { shares: 4.99 }, cfg()).skip, /below the minimum order size/);
+  assert.match(planOrder({ ...book, asks: [] }, 'BUY', { notional: 10 }, cfg()).skip, /no asks/);
+});
+
+test('FAK entry and exit against the mock CLOB book what matched', async (t) => {
+  const mock = await startMock();
+  t.after(mock.stop);
+  const c = cfg();
+  const ex = await createLiveExecutor(c, { sim: sim(c), dryRun: false, client: mock.client });
+
+  const entered = await executeEntry(ex, op('101', await mock.book('101')), 20);
+  // 20 / 0.52 = 38.46 sh at the 0.52 limit; the mock's best ask of 0.51 has 500.
+  assert.deepEqual([entered.chosen.entry.shares, entered.chosen.entry.avgPrice, entered.chosen.entry.partial], [38.46, 0.51, false]);
+  assert.equal(entered.chosen.entry.order.type, 'FAK');
+  assert.equal(entered.chosen.entry.order.dryRun, false);
+
+  const p = buildPosition(entered, c);
+  const { fill, closed } = await executeExit(ex, p, await mock.book('101'), { reason: 'TAKE_PROFIT' });
+  assert.deepEqual([fill.shares, fill.avgPrice], [38.46, 0.49]);
+  assert.ok(closed);
+  assert.equal(Number(closed.pnl.toFixed(4)), Number((38.46 * (0.49 - 0.51) - fill.fee - (p.entry.fee ?? 0)).toFixed(4)));
+
+  const log = await orders();
+  assert.deepEqual(
+    log.filter((e) => e.tokenId === '101').map((e) => `${e.type} ${e.side} ${e.status ?? ''}`),
+    ['ORDER BUY matched', 'ORDER_DONE BUY MATCHED', 'ORDER SELL matched', 'ORDER_DONE SELL MATCHED']
+  );
+});
+
+test('a GTC order that does not fill in time is cancelled and books the part that did', async (t) => {
+  const mock = await startMock(['--restFill', '4']);
+  t.after(mock.stop);
+  const c = cfg({ orderType: 'limit', orderTimeoutMs: 1_000 });
+  const ex = await createLiveExecutor(c, { sim: sim(c), dryRun: false, client: mock.client });
+
+  // Rests at the best bid (0.49) and fills 4 sh per status poll until the cancel.
+  const started = Date.now();
+  const entered = await executeEntry(ex, op('202', await mock.book('202')), 10);
+  assert.ok(Date.now() - started >= 1_000);
+  const { shares, avgPrice, partial, fee, order } = entered.chosen.entry;
+  assert.ok(shares >= 4 && shares < 20.4, `filled ${shares}`);
+  assert.deepEqual([avgPrice, partial, fee, order.type], [0.49, true, 0, 'GTC']);
+
+  const done = (await orders()).find((e) => e.tokenId === '202' && e.type === 'ORDER_DONE');
+  assert.deepEqual([done.status, done.cancelled, done.shares], ['CANCELED', true, shares]);
+  const status = await mock.client.getOrder(done.orderId);
+  assert.equal(status.status, 'CANCELED');
+});
+
+test('a GTC order with nothing matched books no entry', async (t) => {
+  const mock = await startMock();
+  t.after(mock.stop);
+  const c = cfg({ orderType: 'limit', orderTimeoutMs: 1_000 });
+  const ex = await createLiveExecutor(c, { sim: sim(c), dryRun: false, client: mock.client });
+  assert.equal(await executeEntry(ex, op('303', await mock.book('303')), 10), null);
+});
+
+test('an order whose answer got lost is looked up and books what it filled', async (t) => {
+  const mock = await startMock(['--loseReplies', '1']);
+  t.after(mock.stop);
+  const c = cfg();
+  const ex = await createLiveExecutor(c, { sim: sim(c), dryRun: false, client: mock.client });
+  const p = buildPosition(await executeEntry(createExecutor(c), op('505', await mock.book('505')), 20), c);
+
+  // The sale went through; only the answer was lost. It must not be taken as "nothing sold".
+  // The order lookup has no average price, so the fill is booked at the order's limit.
+  const { fill, closed } = await executeExit(ex, p, await mock.book('505'), { reason: 'STOP_LOSS' });
+  assert.deepEqual([fill.shares, fill.avgPrice], [Math.floor(p.entry.shares * 100) / 100, 0.48]);
+  // What is left under 0.01 sh can't be sold: the position closes with it as unsold.
+  assert.ok(closed.unsold > 0 && closed.unsold < 0.01);
+
+  const log = (await orders()).filter((e) => e.tokenId === '505');
+  assert.deepEqual(log.map((e) => e.type), ['ORDER_UNKNOWN', 'ORDER_DONE']);
+  assert.equal(log[1].status, 'MATCHED');
+  assert.equal(log[1].orderId, log[0].orderId);
+});
+
+test('an order the CLOB never got books nothing', async (t) => {
+  const mock = await startMock(['--dropOrders', '1']);
+  t.after(mock.stop);
+  const c = cfg();
+  const ex = await createLiveExecutor(c, { sim: sim(c), dryRun: false, client: mock.client });
+
+  assert.equal(await executeEntry(ex, op('606', await mock.book('606')), 20), null);
+  const log = (await orders()).filter((e) => e.tokenId === '606');
+  assert.deepEqual(log.map((e) => `${e.type} ${e.status ?? ''}`), ['ORDER_UNKNOWN ', 'ORDER_DONE NOT_FOUND']);
+});
+
+test('when a lost order cannot be looked up, the next order for the token checks it instead of selling again', async (t) => {
+  const mock = await startMock(['--loseReplies', '1']);
+  t.after(mock.stop);
+  const c = cfg();
+  let down = true;
+  const client = {
+    ...mock.client,
+    getOrder: (id) => (down ? Promise.reject(new ClobError('GET /data/order: HTTP 503', 503)) : mock.client.getOrder(id)),
+  };
+  const ex = await createLiveExecutor(c, { sim: sim(c), dryRun: false, client });
+  const book = await mock.book('707');
+
+  await assert.rejects(ex.sell('707', book, 20), /may have been placed/);
+  down = false;
+  const fill = await ex.sell('707', book, 20);
+  assert.deepEqual([fill.shares, fill.avgPrice], [20, 0.48]);
+  // Only the one order was sent: 500 bid at 0.49 less our 20.
+  assert.equal((await mock.book('707')).bids[0].size, '480');
+});
+
+test('a scale-out that would leave less than the minimum order sells everything', async (t) => {
+  const mock = await startMock();
+  t.after(mock.stop);
+  const c = cfg();
+  const ex = await createLiveExecutor(c, { sim: sim(c), dryRun: false, client: mock.client });
+  const entered = await executeEntry(ex, op('808', await mock.book('808')), 5.2); // 10 sh at the 0.52 limit
+  const p = buildPosition(entered, c);
+  assert.equal(p.entry.shares, 10);
+
+  // 60% of 10 leaves 4, under the mock's min_order_size of 5.
+  const { fill, closed } = await executeExit(ex, p, await mock.book('808'), { reason: 'SCALE_OUT', fraction: 0.6 });
+  assert.equal(fill.shares, 10);
+  assert.ok(closed);
+  assert.equal(closed.unsold, undefined);
+
+  // A step under the minimum on its own does the same: 20 sh, 20% is 4.
+  const q = buildPosition(await executeEntry(ex, op('809', await mock.book('809')), 10.4), c);
+  const half = await executeExit(ex, q, await mock.book('809'), { reason: 'SCALE_OUT', fraction: 0.2 });
+  assert.equal(half.fill.shares, 20);
+  assert.ok(half.closed);
+});
+
+test('a dry run sends nothing and books the simulated fill', async () => {
+  const c = cfg();
+  const noClient = new Proxy({}, { get: () => assert.fail('the dry run must not touch the CLOB') });
+  const ex = await createLiveExecutor(c, { sim: sim(c), client: noClient });
+  const book = { bids: [{ price: '0.49', size: '500' }], asks: [{ price: '0.51', size: '10' }, { price: '0.52', size: '500' }, { price: '0.60', size: '500' }], tick_size: '0.01' };
+
+  const entered = await executeEntry(ex, op('404', book), 10);
+  const { shares, avgPrice, order } = entered.chosen.entry;
+  // FAK at 0.52: 10 sh @ 0.51 and the rest of $10 at 0.52, nothing from the 0.60 level.
+  assert.equal(order.dryRun, true);
+  assert.equal(order.id, null);
+  assert.ok(shares > 19 && shares < 19.6);
+  assert.ok(avgPrice > 0.51 && avgPrice < 0.52);
+
+  const logged = (await orders()).filter((e) => e.tokenId === '404');
+  assert.deepEqual(logged.map((e) => [e.type, e.dryRun]), [['ORDER', true]]);
+});
+
+test('--confirmLive is only accepted on the command line, next to --live', async () => {
+  const options = { live: { type: 'boolean', default: false }, confirmLive: { type: 'boolean', default: false } };
+  const file = path.join(dir, 'live.json');
+  await fs.writeFile(file, JSON.stringify({ live: true, confirmLive: true }));
+
+  const fromFile = (await loadConfig(['node', 'daemon.js', '--config', file], { command: 'daemon', options, env: {} })).cfg;
+  assert.throws(() => checkLiveFlags(fromFile, ['node', 'daemon.js', '--config', file]), ConfigError);
+
+  // Command options are not read from the environment at all.
+  const argv = ['node', 'daemon.js', '--live'];
+  const fromEnv = (await loadConfig(argv, { command: 'daemon', options, env: { PM_CONFIRM_LIVE: 'true' } })).cfg;
+  assert.equal(fromEnv.confirmLive, false);
+  assert.throws(() => checkLiveFlags({ ...fromEnv, confirmLive: true }, argv), /only on the command line/);
+
+  const alone = ['node', 'daemon.js', '--confirmLive'];
+  const withoutLive = (await loadConfig(alone, { command: 'daemon', options, env: {} })).cfg;
+  assert.throws(() => checkLiveFlags(withoutLive, alone), ConfigError);
+
+  const typed = ['node', 'daemon.js', '--live', '--confirmLive'];
+  assert.doesNotThrow(() => checkLiveFlags({ ...fromEnv, confirmLive: true }, typed));
+  assert.doesNotThrow(() => checkLiveFlags({ live: true, confirmLive: false }, argv));
+});
@@ -0,0 +1,217 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { once } from 'node:events';
+import http from 'node:http';
+import { openWebSocket } from '../src/ws.js';
+import { createMarketStream } from '../src/marketdata.js';
+
+// Server frames are unmasked; client frames (from ws.js) always are.
+function frame(opcode, payload) {
+  const data = Buffer.from(payload);
+  const head = data.length < 126 ? Buffer.from([0x80 | opcode, data.length]) : Buffer.from([0x80 | opcode, 126, data.length >> 8, data.length & 0xff]);
+  return Buffer.concat([head, data]);
+}
+
+function readFrames(socket, onFrame) {
+  let buf = Buffer.alloc(0);
+  socket.on('data', (d) => {
+    buf = Buffer.concat([buf, d]);
+    while (buf.length >= 2) {
+      let len = buf[1] & 0x7f;
+      let off = 2;
+      if (len === 126) {
+        if (buf.length < 4) return;
+        len = buf.readUInt16BE(2);
+        off = 4;
+      }
+      if (buf.length < off + 4 + len) return;
+      const mask = buf.subarray(off, off + 4);
+      const payload = Buffer.from(buf.subarray(off + 4, off + 4 + len)).map((b, i) => b ^ mask[i & 3]);
+      onFrame(buf[0] & 0x0f, Buffer.from(payload));
+      buf = buf.subarray(off + 4 + len);
+    }
+  });
+}
+
+// A local stand-in for the market WebSocket: records what clients send, lets the test push
+// messages and drop connections.
+async function startServer() {
+  const srv = { received: [], clients: [], connections: 0 };
+  const server = http.createServer((req, res) => res.writeHead(426).end());
+  server.on('upgrade', (req, socket) => {
+    const accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    srv.connections++;
+    srv.clients.push(socket);
+    socket.on('error', () => {});
+    readFrames(socket, (opcode, payload) => {
+      if (opcode === 0x1) srv.received.push(payload.toString('utf8'));
+      else if (opcode === 0xa) srv.received.push(`pong:${payload}`);
+      else if (opcode === 0x8) socket.end();
+    });
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  return Object.assign(srv, {
+    url: `ws://127.0.0.1:${server.address().port}/ws/market`,
+    push: (msg) => srv.clients.at(-1).write(frame(0x1, typeof msg === 'string' ? msg : JSON.stringify(msg))),
+    raw: (buf) => srv.clients.at(-1).write(buf),
+    drop: () => srv.clients.at(-1).destroy(),
+    close: () => {
+      for (const s of srv.clients) s.destroy();
+      server.close();
+    },
+  });
+}
+
+// REST stand-in: serves `books[tokenId]` and counts reads.
+function restStub(books) {
+  const reads = [];
+  return { reads, book: async (tokenId) => (reads.push(tokenId), structuredClone(books[tokenId] ?? { bids: [], asks: [] })) };
+}
+
+const until = async (cond, ms = 3_000) => {
+  const end = Date.now() + ms;
+  while (!cond()) {
+    if (Date.now() > end) throw new Error('timed out waiting');
+    await new Promise((r) => setTimeout(r, 10));
+  }
+};
+
+const levels = (side) => side.map((l) => [l.price, Number(l.size)]).sort();
+
+test('ws.js: text messages, fragments, ping and close', async (t) => {
+  const srv = await startServer();
+  t.after(srv.close);
+  const conn = await openWebSocket(srv.url);
+  conn.on('error', () => {});
+  const messages = [];
+  conn.on('message', (m) => messages.push(m));
+
+  conn.send('hello');
+  srv.push('x'.repeat(300));
+  srv.raw(Buffer.concat([Buffer.from([0x01, 3]), Buffer.from('abc'), Buffer.from([0x80, 3]), Buffer.from('def')]));
+  srv.raw(frame(0x9, 'hb'));
+  await until(() => messages.length === 2 && srv.received.length === 2);
+
+  assert.deepEqual(messages, ['x'.repeat(300), 'abcdef']);
+  assert.deepEqual(srv.received, ['hello', 'pong:hb']);
+
+  const closed = once(conn, 'close');
+  srv.raw(frame(0x8, Buffer.from([0x03, 0xe8])));
+  assert.equal((await closed)[0], 1000);
+  assert.throws(() => conn.send('late'), /closed/);
+});
+
+test('marketdata: snapshot from REST, then deltas applied locally', async (t) => {
+  const srv = await startServer();
+  const rest = restStub({ 1: { bids: [{ price: '0.40', size: '100' }], asks: [{ price: '0.45', size: '50' }] } });
+  const stream = createMarketStream({ url: srv.url, source: rest, staleMs: 60_000 });
+  t.after(() => (stream.close(), srv.close()));
+  const updates = [];
+  stream.on('update', (id) => updates.push(id));
+
+  await until(() => srv.connections === 1 && srv.received.length === 1);
+  stream.subscribe(['1']);
+  await until(() => stream.book('1') && srv.received.length === 2);
+  assert.deepEqual(JSON.parse(srv.received[1]), { assets_ids: ['1'], operation: 'subscribe' });
+
+  srv.push({
+    event_type: 'price_change',
+    price_changes: [
+      { asset_id: '1', side: 'BUY', price: '0.42', size: '30', best_bid: '0.42', best_ask: '0.45' },
+      { asset_id: '1', side: 'SELL', price: '0.45', size: '0', best_bid: '0.42', best_ask: '0.47' },
+      { asset_id: '1', side: 'SELL', price: '0.47', size: '80', best_bid: '0.42', best_ask: '0.47' },
+    ],
+  });
+  await until(() => updates.length === 2);
+
+  const book = stream.book('1');
+  assert.deepEqual(levels(book.bids), [['0.40', 100], ['0.42', 30]]);
+  assert.deepEqual(levels(book.asks), [['0.47', 80]]);
+  assert.deepEqual(rest.reads, ['1']);
+
+  // A full `book` message replaces the local copy.
+  srv.push([{ event_type: 'book', asset_id: '1', bids: [{ price: '0.30', size: '5' }], asks: [{ price: '0.60', size: '5' }] }]);
+  await until(() => updates.length === 3);
+  assert.deepEqual(levels(stream.book('1').asks), [['0.60', 5]]);
+});
+
+test('marketdata: resyncs from REST when a delta shows a gap', async (t) => {
+  const srv = await startServer();
+  const rest = restStub({ 1: { bids: [{ price: '0.40', size: '100' }], asks: [{ price: '0.45', size: '50' }] } });
+  const stream = createMarketStream({ url: srv.url, source: rest, staleMs: 60_000 });
+  t.after(() => (stream.close(), srv.close()));
+  const resyncs = [];
+  stream.on('resync', (id, why) => resyncs.push(why));
+
+  await until(() => srv.connections === 1);
+  stream.subscribe(['1']);
+  await until(() => stream.book('1'));
+
+  // The server's best ask is 0.44, which no delta we saw explains: a message went missing.
+  rest.reads.length = 0;
+  srv.push({ event_type: 'price_change', price_changes: [{ asset_id: '1', side: 'BUY', price: '0.41', size: '10', best_bid: '0.41', best_ask: '0.44' }] });
+  await until(() => rest.reads.length === 1);
+  assert.deepEqual(resyncs, ['subscribe', 'best bid/ask mismatch']);
+
+  // A delta (older payload shape) for a token whose first REST read failed fetches the book
+  // instead of applying the change to nothing.
+  const read = rest.book;
+  rest.book = async () => {
+    rest.book = read;
+    throw new Error('HTTP 503');
+  };
+  stream.subscribe(['2']);
+  await until(() => resyncs.length === 3);
+  assert.equal(stream.book('2'), null);
+  srv.push({ event_type: 'price_change', asset_id: '2', changes: [{ side: 'BUY', price: '0.5', size: '1' }] });
+  await until(() => stream.book('2'));
+  assert.deepEqual(resyncs.slice(2), ['subscribe', 'delta before snapshot']);
+  assert.deepEqual(stream.book('2'), { bids: [], asks: [], t: stream.book('2').t });
+});
+
+test('marketdata: reconnects after a drop, resubscribes and resyncs every token', async (t) => {
+  const srv = await startServer();
+  const rest = restStub({ 1: { bids: [{ price: '0.40', size: '100' }], asks: [{ price: '0.45', size: '50' }] }, 2: { bids: [], asks: [{ price: '0.9', size: '1' }] } });
+  const stream = createMarketStream({ url: srv.url, source: rest, staleMs: 60_000, maxBackoffMs: 50 });
+  t.after(() => (stream.close(), srv.close()));
+  const status = [];
+  const resyncs = [];
+  stream.on('status', (s) => status.push(s));
+  stream.on('resync', (id, why) => resyncs.push(`${id}:${why}`));
+
+  await until(() => srv.connections === 1);
+  stream.subscribe(['1', '2']);
+  await until(() => rest.reads.length === 2);
+
+  srv.received.length = 0;
+  srv.drop();
+  await until(() => srv.connections === 2 && srv.received.length >= 1 && rest.reads.length === 4);
+
+  assert.deepEqual(status, ['connected', 'disconnected', 'connected']);
+  assert.deepEqual(JSON.parse(srv.received[0]), { type: 'market', assets_ids: ['1', '2'] });
+  assert.deepEqual(resyncs.slice(2).sort(), ['1:reconnect', '2:reconnect']);
+  assert.deepEqual(levels(stream.book('2').asks), [['0.9', 1]]);
+});
+
+test('marketdata: tick and minimum size from REST stay on the streamed book', async (t) => {
+  const srv = await startServer();
+  const rest = restStub({ 1: { bids: [{ price: '0.40', size: '1' }], asks: [{ price: '0.45', size: '1' }], tick_size: '0.01', min_order_size: '5', neg_risk: false } });
+  const stream = createMarketStream({ url: srv.url, source: rest, staleMs: 60_000 });
+  t.after(() => (stream.close(), srv.close()));
+  const updates = [];
+  stream.on('update', (id) => updates.push(id));
+
+  await until(() => srv.connections === 1);
+  stream.subscribe(['1']);
+  await until(() => updates.length === 1);
+  srv.push({ event_type: 'book', asset_id: '1', bids: [{ price: '0.41', size: '2' }], asks: [{ price: '0.44', size: '2' }] });
+  await until(() => updates.length === 2);
+  srv.push({ event_type: 'tick_size_change', asset_id: '1', old_tick_size: '0.01', new_tick_size: '0.001' });
+  await until(() => stream.book('1').tick_size === '0.001');
+
+  const book = stream.book('1');
+  assert.deepEqual([book.min_order_size, book.neg_risk], ['5', false]);
+  assert.deepEqual(levels(book.bids), [['0.41', 2]]);
+});
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { notify } from '../src/notify.js';
+
+// A local webhook stand-in: records every POST body, answers with the queued statuses (then 200).
+// `hook.during` runs before each answer, while the sender is waiting.
+async function startHook() {
+  const hook = { received: [], statuses: [], during: null };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (d) => (body += d));
+    req.on('end', async () => {
+      await hook.during?.();
+      const status = hook.statuses.shift() ?? 200;
+      if (status === 200) hook.received.push(JSON.parse(body));
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((r) => server.listen(0, '127.0.0.1', r));
+  return Object.assign(hook, { url: `http://127.0.0.1:${server.address().port}/events`, close: () => server.close() });
+}
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'notify-test-'));
+process.chdir(dir); // the dedupe file lives under data/
+
+async function channels(file, list) {
+  await fs.writeFile(file, JSON.stringify({ dedupeMs: 3600_000, retry: { attempts: 3, baseMs: 10 }, channels: list }));
+  await fs.rm('data/notify-dedupe.json', { force: true });
+}
+
+test('parallel calls with the same key deliver once', async (t) => {
+  const hook = await startHook();
+  t.after(hook.close);
+  const file = path.join(dir, 'parallel.json');
+  await channels(file, [{ name: 'hook', type: 'webhook', url: hook.url }]);
+
+  const ev = { type: 'CLOSE', key: 'CLOSE:a', text: 'closed a' };
+  await Promise.all([notify(ev, file), notify(ev, file), notify([ev, { type: 'CLOSE', key: 'CLOSE:b', text: 'closed b' }], file)]);
+
+  assert.deepEqual(hook.received.map((r) => r.key).sort(), ['CLOSE:a', 'CLOSE:b']);
+  const seen = JSON.parse(await fs.readFile('data/notify-dedupe.json', 'utf8'));
+  assert.deepEqual(Object.keys(seen).sort(), ['hook:CLOSE:a', 'hook:CLOSE:b']);
+});
+
+test('keeps dedupe entries written by another process meanwhile', async (t) => {
+  const hook = await startHook();
+  t.after(hook.close);
+  const file = path.join(dir, 'merge.json');
+  await channels(file, [{ name: 'hook', type: 'webhook', url: hook.url }]);
+  await fs.mkdir('data', { recursive: true });
+
+  // Another process records a send while this one is waiting on the channel.
+  hook.during = () => fs.writeFile('data/notify-dedupe.json', JSON.stringify({ 'hook:ALERT:other': Date.now() }));
+  await notify({ type: 'ALERT', key: 'ALERT:1', text: 'alert' }, file);
+
+  const seen = JSON.parse(await fs.readFile('data/notify-dedupe.json', 'utf8'));
+  assert.ok(seen['hook:ALERT:1']);
+  assert.ok(seen['hook:ALERT:other']);
+});
+
+test('filters by event type, renders templates and retries server errors', async (t) => {
+  const hook = await startHook();
+  t.after(hook.close);
+  const file = path.join(dir, 'templates.json');
+  await channels(file, [{ name: 'hook', type: 'webhook', url: hook.url, events: ['CLOSE'], templates: { CLOSE: '{{question}} PnL ${{pnl}}' } }]);
+
+  hook.statuses.push(500, 429);
+  await notify(
+    [
+      { type: 'ALERT', key: 'ALERT:x', text: 'ignored' },
+      { type: 'CLOSE', key: 'CLOSE:x', text: 'default', data: { question: 'Will it rain?', pnl: 1.5 } },
+    ],
+    file
+  );
+
+  assert.equal(hook.received.length, 1);
+  assert.equal(hook.received[0].type, 'CLOSE');
+  assert.equal(hook.received[0].text, 'Will it rain? PnL $1.5');
+});
+
+test('a failing channel is reported, not thrown', async (t) => {
+  const hook = await startHook();
+  t.after(hook.close);
+  const file = path.join(dir, 'failing.json');
+  await channels(file, [{ name: 'hook', type: 'webhook', url: hook.url }]);
+
+  hook.statuses.push(404);
+  await notify({ type: 'ERROR', key: 'ERROR:1', text: 'boom' }, file);
+  assert.equal(hook.received.length, 0);
+  // Not marked as sent, so the next call tries again.
+  await notify({ type: 'ERROR', key: 'ERROR:1', text: 'boom' }, file);
+  assert.equal(hook.received.length, 1);
+});
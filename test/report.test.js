@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+const REPORT = fileURLToPath(new URL('../src/report.js', import.meta.url));
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-test-'));
+
+const T0 = Date.parse('2026-10-01T12:00:00Z');
+const MIN = 60_000;
+const trade = (i, pnl, exitReason, extra = {}) => ({
+  id: `t${i}`,
+  marketId: String(100 + i),
+  question: `Market ${i}?`,
+  openedAt: T0 + i * 60 * MIN,
+  closedAt: T0 + i * 60 * MIN + 10 * MIN,
+  pnl,
+  exitReason,
+  entrySpread: 0.004,
+  entryMove: 0.03,
+  entryScore: 60,
+  ...extra,
+});
+
+await fs.mkdir(path.join(dir, 'data/closed'), { recursive: true });
+for (const c of [
+  trade(0, 10, 'TAKE_PROFIT', { entryScore: 80 }),
+  trade(1, -5, 'STOP_LOSS', { entrySpread: 0.015 }),
+  trade(2, -8, 'STOP_LOSS', { entryMove: -0.12 }),
+  trade(3, 6, 'MANUAL, "late"', { entryScore: null }),
+]) {
+  await fs.writeFile(path.join(dir, 'data/closed', `${c.id}.json`), JSON.stringify(c));
+}
+
+const alert = (i, score) => ({ t: T0 + i * MIN, marketId: `m${i}`, tokenId: `k${i}`, question: `Alert ${i}?`, score, ask: 0.5, mid: 0.495, components: { move: score / 2 } });
+const alerts = [alert(0, 30), alert(1, 80), alert(2, 85)];
+const outcome = (a, bid, extra = {}) => ({ alertId: `${a.t}:${a.marketId}:${a.tokenId}`, alertT: a.t, horizonMs: 5 * MIN, bid, mid: bid + 0.005, ...extra });
+await fs.writeFile(path.join(dir, 'data/alerts.jsonl'), alerts.map((a) => JSON.stringify(a)).join('\n') + '\n');
+await fs.writeFile(
+  path.join(dir, 'data/alert-outcomes.jsonl'),
+  [outcome(alerts[0], 0.52), outcome(alerts[1], 0.48), outcome(alerts[2], null, { missed: true })].map((o) => JSON.stringify(o)).join('\n') + '\n'
+);
+
+async function report(...args) {
+  const { stdout } = await promisify(execFile)(process.execPath, [REPORT, ...args], { cwd: dir, timeout: 60_000, env: { ...process.env, STATE_BACKEND: '' } });
+  return stdout;
+}
+const near = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} != ${b}`);
+
+test('aggregates closed trades: totals, drawdown and buckets', async () => {
+  const r = JSON.parse(await report('--json'));
+  assert.equal(r.trades, 4);
+  assert.equal(r.wins, 2);
+  near(r.totalPnl, 3);
+  near(r.profitFactor, 16 / 13);
+  near(r.maxDrawdown, 13); // +10 peak, then down to -3
+  assert.equal(r.avgHoldMs, 10 * MIN);
+  assert.deepEqual(
+    r.cumulative.map((p) => p.pnl),
+    [10, 5, -3, 3]
+  );
+  assert.deepEqual(Object.keys(r.byExitReason), ['TAKE_PROFIT', 'STOP_LOSS', 'MANUAL, "late"']);
+  assert.equal(r.byExitReason.STOP_LOSS.trades, 2);
+  assert.deepEqual(
+    Object.entries(r.bySpread).map(([k, g]) => [k, g.trades]),
+    [
+      ['0.0c–0.5c', 3],
+      ['1.0c–2.0c', 1],
+    ]
+  );
+  assert.equal(r.byMove['≥10.0c'].trades, 1); // by the size of the move, either direction
+  assert.equal(r.byScore.unknown.trades, 1);
+});
+
+test('--market and --from/--to filter the trades', async () => {
+  assert.equal(JSON.parse(await report('--json', '--market', '101')).trades, 1);
+  assert.equal(JSON.parse(await report('--json', '--market', 'market 2')).trades, 1);
+  const r = JSON.parse(await report('--json', '--from', String(T0 + 60 * MIN), '--to', String(T0 + 150 * MIN)));
+  assert.deepEqual(
+    r.cumulative.map((p) => p.id),
+    ['t1', 't2']
+  );
+});
+
+test('CSV quotes cells with commas and quotes', async () => {
+  const lines = (await report('--format', 'csv')).trim().split('\n');
+  assert.equal(lines[0], 'section,bucket,trades,wins,win_rate,pnl,avg_pnl,profit_factor,max_drawdown,avg_hold_ms');
+  assert.ok(lines.includes('exit reason,"MANUAL, ""late""",1,1,1,6,6'), lines.join('\n'));
+  assert.ok(lines.includes('exit reason,STOP_LOSS,2,0,0,-13,-6.5'));
+});
+
+test('--alerts reports hit rate and forward return per horizon and score bucket', async () => {
+  const r = JSON.parse(await report('--alerts', '--json'));
+  assert.equal(r.alerts, 3);
+  const [h] = r.horizons;
+  assert.equal(h.horizon, '5m');
+  assert.equal(h.marks, 2);
+  assert.equal(h.hits, 1);
+  assert.equal(h.missed, 1);
+  near(h.avgRet, 0);
+  near(h.avgRetMid, 0.01);
+  assert.deepEqual(
+    Object.entries(h.byScore).map(([k, g]) => [k, g.marks, g.hits]),
+    [
+      ['25–50', 1, 1],
+      ['≥75', 1, 0],
+    ]
+  );
+
+  const csv = (await report('--alerts', '--csv')).trim().split('\n');
+  assert.match(csv[1], /^5m,total,all,2,1,0\.5,0,0\.01\d*,,1,0$/);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+process.chdir(await fs.mkdtemp(path.join(os.tmpdir(), 'risk-test-')));
+const { defaultConfig } = await import('../src/engine.js');
+const { pickEntry, riskBlock, riskStats } = await import('../src/risk.js');
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const cfg = { ...defaultConfig(), maxOpenPositions: 5, maxExposure: 1000 };
+
+const op = (id, category = 'sports') => ({ score: 50, market: { id, question: `Q${id}?`, category }, chosen: { tokenId: `t${id}`, ask: 0.5 } });
+const position = (marketId, notional, category = 'sports') => ({ marketId, notional, category, fills: [] });
+const close = (marketId, pnl, minutesAgo, exitReason = pnl < 0 ? 'STOP_LOSS' : 'TAKE_PROFIT') => ({
+  marketId,
+  pnl,
+  exitReason,
+  closedAt: NOW - minutesAgo * 60_000,
+});
+
+const block = (positions, closed, o, kill = null, c = cfg) => riskBlock({ positions, stats: riskStats(positions, closed, NOW), kill }, o, c, NOW);
+
+test('each rule blocks on its own', () => {
+  assert.equal(block([], [], op(1)), null);
+  assert.equal(block([], [], op(1), { reason: 'manual' }).reason, 'KILL_SWITCH');
+  assert.equal(block([], [close(9, -120, 60, 'MAX_HOLD'), close(8, -90, 30, 'MAX_HOLD')], op(1)).reason, 'DAILY_LOSS_LIMIT');
+  assert.equal(block([], [close(9, -1, 50, 'MAX_HOLD'), close(8, -1, 40, 'MAX_HOLD'), close(7, -1, 30, 'MAX_HOLD')], op(1)).reason, 'LOSS_STREAK');
+  assert.equal(block([], [close(1, -5, 10)], op(1)).reason, 'REENTRY_COOLDOWN');
+  assert.equal(block([position(2, 200), position(3, 200)], [], op(1)).reason, 'MAX_CATEGORY_EXPOSURE');
+  assert.equal(block([position(1, 200)], [], op(1)).reason, 'MAX_NOTIONAL_PER_MARKET');
+});
+
+test('limits expire and 0 turns a rule off', () => {
+  assert.equal(block([], [close(1, -5, 31)], op(1)), null);
+  assert.equal(block([], [close(9, -1, 200, 'MAX_HOLD'), close(8, -1, 150, 'MAX_HOLD'), close(7, -1, 130, 'MAX_HOLD')], op(1)), null);
+  assert.equal(block([], [close(1, -5, 10)], op(1), null, { ...cfg, reentryCooldownMs: 0 }), null);
+  assert.equal(block([position(2, 200), position(3, 200)], [], op(1), null, { ...cfg, maxExposurePerCategory: 0 }), null);
+});
+
+test('partial sales of open positions count toward the daily loss', () => {
+  const p = { ...position(2, 100), fills: [{ t: NOW - 60_000, pnl: -150 }] };
+  assert.equal(block([p], [close(9, -60, 60, 'MAX_HOLD')], op(1)).reason, 'DAILY_LOSS_LIMIT');
+});
+
+test('a blocked market falls through to the next candidate', async () => {
+  const closed = [close(1, -5, 10)];
+  const pick = await pickEntry([position(2, 300), position(3, 200, 'politics')], [op(1), op(4), op(5, 'crypto')], cfg, { now: NOW, closed, kill: null });
+  assert.equal(pick.op.market.id, 5);
+  assert.deepEqual(
+    pick.blocked.map((b) => [b.op.market.id, b.block.reason]),
+    [
+      [1, 'REENTRY_COOLDOWN'],
+      [4, 'MAX_CATEGORY_EXPOSURE'],
+    ]
+  );
+});
+
+test('an account-wide block stops the entry at the first candidate', async () => {
+  const pick = await pickEntry([], [op(1), op(2)], cfg, { now: NOW, closed: [], kill: { reason: 'manual' } });
+  assert.equal(pick.op, null);
+  assert.deepEqual(
+    pick.blocked.map((b) => b.block.reason),
+    ['KILL_SWITCH']
+  );
+});
+
+test('the kill switch file is read when none is given', async () => {
+  await fs.mkdir('data', { recursive: true });
+  await fs.writeFile('data/KILL', 'stop\n');
+  const pick = await pickEntry([], [op(1)], cfg, { now: NOW, closed: [] });
+  assert.equal(pick.blocked[0].block.detail, 'stop');
+  await fs.rm('data/KILL');
+  assert.equal((await pickEntry([], [op(1)], cfg, { now: NOW, closed: [] })).op.market.id, 1);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+process.chdir(await fs.mkdtemp(path.join(os.tmpdir(), 'sizing-test-')));
+const { defaultConfig } = await import('../src/engine.js');
+const { currentBankroll, kelly, sizeEntry, winProbability } = await import('../src/sizing.js');
+
+const cfg = { ...defaultConfig(), notional: 200, maxNotionalPerMarket: 1000, maxExposure: 5000, maxExposurePerCategory: 0, bankroll: 1000, feeBps: 0 };
+const op = (ask = 0.5, { score = 50, book = null, category = 'sports' } = {}) => ({ score, market: { id: '1', category }, chosen: { ask, book } });
+const position = (marketId, notional, category = 'sports', fills = []) => ({ marketId, notional, category, fills });
+const closed = (pnl, entryScore = 50) => ({ pnl, entryScore });
+const near = (a, b, eps = 1e-9) => assert.ok(Math.abs(a - b) < eps, `${a} != ${b}`);
+
+test('fixed and bankroll models', () => {
+  assert.equal(sizeEntry(op(), cfg).notional, 200);
+
+  // Realized PnL, partial exits included, moves the bankroll.
+  const positions = [position('2', 100, 'sports', [{ pnl: -50 }])];
+  assert.equal(currentBankroll(cfg, positions, [closed(150)]), 1100);
+  const s = sizeEntry(op(), { ...cfg, sizing: 'bankroll', bankrollPct: 0.1 }, { positions, closed: [closed(150)] });
+  assert.equal(s.notional, 110);
+  assert.match(s.reason, /10\.0% of \$1100 bankroll/);
+});
+
+test('Kelly stake from the TP/SL payoff and the shrunk win rate', () => {
+  // Even payoff (2c up, 2c down) with p = 0.6: f = 0.6 - 0.4 = 0.2.
+  const { f, b, loss } = kelly(0.5, 0.6, cfg);
+  near(b, 1);
+  near(f, 0.2);
+  near(loss, 0.02);
+
+  // 3 wins in 4 trades near the score, shrunk toward winProb 0.5 as if it were 4 more trades.
+  const history = [closed(5), closed(5), closed(5), closed(-5), closed(5, 90)];
+  const wp = winProbability(history, 50, { ...cfg, winProb: 0.5, winProbPriorTrades: 4 });
+  assert.equal(wp.trades, 4);
+  near(wp.p, (3 + 2) / 8);
+
+  const k = { ...cfg, sizing: 'kelly', kellyFraction: 0.1, winProb: 0.6, winProbPriorTrades: 10 };
+  // notional = kellyFraction × f × bankroll × ask / loss per share = 0.1 × 0.2 × 1000 × 0.5 / 0.02
+  near(sizeEntry(op(), k).notional, 500, 0.011);
+  const capped = sizeEntry(op(), { ...k, maxNotionalPerMarket: 300 });
+  assert.equal(capped.target, 500);
+  assert.equal(capped.notional, 300);
+  assert.match(capped.reason, /capped at \$300\.00 by maxNotionalPerMarket/);
+  // Half Kelly wants 2.5× the bankroll; what isn't already committed is the most it gets.
+  const all = sizeEntry(op(), { ...k, kellyFraction: 0.5, maxNotionalPerMarket: 5000 }, { positions: [position('2', 400)] });
+  assert.equal(all.notional, 600);
+  assert.match(all.reason, /by bankroll$/);
+});
+
+test('no edge sizes to zero', () => {
+  const s = sizeEntry(op(), { ...cfg, sizing: 'kelly', kellyFraction: 0.5, winProb: 0.4, winProbPriorTrades: 10 });
+  assert.equal(s.notional, 0);
+  assert.match(s.reason, /no Kelly edge/);
+  // Fees eat a 2c payoff at 1000 bps.
+  assert.ok(kelly(0.5, 0.55, { ...cfg, feeBps: 1000 }).f < 0);
+});
+
+test('caps: room in the market, total and category exposure, then the book', () => {
+  const positions = [position('1', 150), position('2', 300), position('3', 100, 'politics')];
+  const c = { ...cfg, maxNotionalPerMarket: 200, maxExposure: 1000, maxExposurePerCategory: 600 };
+  assert.equal(sizeEntry(op(), c, { positions }).notional, 50);
+  assert.equal(sizeEntry(op(0.5, { category: 'crypto' }), { ...c, maxNotionalPerMarket: 1000, maxExposure: 620 }, { positions }).notional, 70);
+  assert.equal(sizeEntry(op(0.5, { category: 'sports' }), { ...c, maxNotionalPerMarket: 1000 }, { positions: positions.slice(1) }).notional, 200);
+  assert.match(sizeEntry(op(), { ...c, maxNotionalPerMarket: 1000, maxExposurePerCategory: 500 }, { positions }).reason, /maxExposurePerCategory/);
+
+  // 100 shares at 50c then 100 at 60c: an average within 2c of the ask takes the first level and 25 shares of the second.
+  const book = { asks: [{ price: '0.5', size: '100' }, { price: '0.6', size: '100' }], bids: [] };
+  const s = sizeEntry(op(0.5, { book }), { ...cfg, notional: 100, maxSlippage: 0.02 });
+  assert.ok(s.notional > 64.9 && s.notional <= 65, String(s.notional));
+  assert.match(s.reason, /maxSlippage 2\.00c/);
+  assert.equal(sizeEntry(op(0.5, { book }), { ...cfg, notional: 500 }).reason.match(/book depth/)?.[0], 'book depth');
+});
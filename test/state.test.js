@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+process.chdir(await fs.mkdtemp(path.join(os.tmpdir(), 'state-test-')));
+const { mergeState, readPriceHistory, readState, updateState, withStateLock, writePriceHistory } = await import('../src/state.js');
+
+test('mergeState writes only the given fields and keeps the rest', async () => {
+  await updateState((s) => {
+    s.notifierLastSeen = 't1';
+  });
+  const working = await readState();
+  working.positions = [{ id: 'a', tokenId: 'x', entry: { avgPrice: 0.5, shares: 10 } }];
+  working.lastScanAt = 123;
+  working.notifierLastSeen = 'stale';
+
+  await mergeState(working, ['positions', 'lastScanAt']);
+
+  const disk = await readState();
+  assert.equal(disk.positions[0].id, 'a');
+  assert.equal(disk.lastScanAt, 123);
+  assert.equal(disk.notifierLastSeen, 't1');
+});
+
+test('the lock is free while the holder is not inside updateState', async () => {
+  // A second writer gets the lock at once rather than waiting on the first's timeout.
+  const start = Date.now();
+  await Promise.all([updateState((s) => void (s.a = 1)), updateState((s) => void (s.b = 2))]);
+  await withStateLock(async () => {}, { timeoutMs: 1_000 });
+  const disk = await readState();
+  assert.equal(disk.a, 1);
+  assert.equal(disk.b, 2);
+  assert.ok(Date.now() - start < 2_000);
+});
+
+test('price history writers running at once keep each other\'s tokens', async () => {
+  const t = Date.now();
+  await Promise.all(Array.from({ length: 5 }, (_, i) => writePriceHistory({ [`tok${i}`]: [[t, 0.5, 0]] })));
+  assert.deepEqual(Object.keys(await readPriceHistory()).sort(), ['tok0', 'tok1', 'tok2', 'tok3', 'tok4']);
+});
+
+test('waiters that find a stale lock take it one at a time', async () => {
+  // A lock left by a process that is gone.
+  await fs.writeFile('data/state.json.lock', JSON.stringify({ pid: 2 ** 22 + 1, t: Date.now() - 3600_000 }));
+  let inside = 0;
+  let most = 0;
+  await Promise.all(
+    Array.from({ length: 6 }, () =>
+      withStateLock(async () => {
+        most = Math.max(most, ++inside);
+        await new Promise((r) => setTimeout(r, 20));
+        inside -= 1;
+      })
+    )
+  );
+  assert.equal(most, 1);
+  await assert.rejects(fs.stat('data/state.json.lock'), { code: 'ENOENT' });
+  assert.deepEqual((await fs.readdir('data')).filter((f) => f.includes('.stale-')), []);
+});
+
+test('a holder whose lock was taken over leaves the new lock alone', async () => {
+  const other = JSON.stringify({ pid: process.pid, t: Date.now(), token: 'someone-else' });
+  await withStateLock(async () => {
+    // Another process stole it (say we stalled past staleMs) and holds it now.
+    await fs.writeFile('data/state.json.lock', other);
+  });
+  assert.equal(await fs.readFile('data/state.json.lock', 'utf8'), other);
+  await fs.rm('data/state.json.lock');
+});
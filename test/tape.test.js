@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+process.chdir(await fs.mkdtemp(path.join(os.tmpdir(), 'tape-test-')));
+const { createTapeWriter, mergeByTime, readTape, readTapeFile } = await import('../src/tape.js');
+
+const DAY1 = Date.parse('2026-10-01T23:59:58Z');
+const book = (tokenId, t) => ({ t, type: 'book', tokenId, book: { bids: [{ price: '0.49', size: '10' }], asks: [{ price: '0.51', size: '10' }] } });
+
+async function collect(it) {
+  const out = [];
+  for await (const ev of it) out.push(ev);
+  return out;
+}
+
+test('the writer rotates at midnight UTC and at maxBytes', async () => {
+  const dir = 'data/tape-rotate';
+  const tape = createTapeWriter({ dir, maxBytes: 1 });
+  for (let i = 0; i < 4; i++) {
+    tape.write(book('a', DAY1 + i * 1000));
+    await tape.flush();
+  }
+  await tape.close();
+
+  assert.deepEqual(await fs.readdir(dir), ['2026-10-01', '2026-10-02']);
+  // Every flush went over the 1-byte cap, so each batch started a new file.
+  assert.equal((await fs.readdir(path.join(dir, '2026-10-01'))).length, 2);
+  assert.equal((await fs.readdir(path.join(dir, '2026-10-02'))).length, 2);
+
+  const events = await collect(readTape({ dir }));
+  assert.deepEqual(
+    events.map((e) => e.t),
+    [0, 1, 2, 3].map((i) => DAY1 + i * 1000)
+  );
+});
+
+test('one flush spanning midnight is split between the two days', async () => {
+  const dir = 'data/tape-split';
+  const tape = createTapeWriter({ dir });
+  tape.write(book('a', DAY1));
+  tape.write(book('a', DAY1 + 5000));
+  await tape.close();
+
+  const [d1, d2] = await fs.readdir(dir);
+  assert.deepEqual(
+    (await collect(readTapeFile(path.join(dir, d1, (await fs.readdir(path.join(dir, d1)))[0])))).map((e) => e.t),
+    [DAY1]
+  );
+  assert.deepEqual(
+    (await collect(readTapeFile(path.join(dir, d2, (await fs.readdir(path.join(dir, d2)))[0])))).map((e) => e.t),
+    [DAY1 + 5000]
+  );
+});
+
+test('concurrent recorders are merged in time order and --from/--to are inclusive', async () => {
+  const dir = 'data/tape-merge';
+  const a = createTapeWriter({ dir });
+  const b = createTapeWriter({ dir });
+  const t0 = DAY1 - 3600_000;
+  for (const t of [0, 20, 40, 60]) a.write(book('a', t0 + t));
+  for (const t of [10, 30, 50]) b.write(book('b', t0 + t + 1));
+  await a.close();
+  await b.close();
+
+  const events = await collect(readTape({ dir }));
+  assert.deepEqual(
+    events.map((e) => e.t - t0),
+    [0, 11, 20, 31, 40, 51, 60]
+  );
+  const window = await collect(readTape({ dir, from: t0 + 11, to: t0 + 40 }));
+  assert.deepEqual(
+    window.map((e) => e.tokenId),
+    ['b', 'a', 'b', 'a']
+  );
+});
+
+test('mergeByTime interleaves plain JSONL files', async () => {
+  await fs.writeFile('one.jsonl', [1, 4, 6].map((t) => JSON.stringify({ t })).join('\n') + '\n');
+  await fs.writeFile('two.jsonl', [2, 3, 7].map((t) => JSON.stringify({ t })).join('\n') + '\n\n');
+  const merged = await collect(mergeByTime([readTapeFile('one.jsonl'), readTapeFile('two.jsonl')]));
+  assert.deepEqual(
+    merged.map((e) => e.t),
+    [1, 2, 3, 4, 6, 7]
+  );
+});
+
+test('day folders past retentionDays are pruned when a new file starts', async () => {
+  const dir = 'data/tape-prune';
+  const tape = createTapeWriter({ dir, retentionDays: 14 });
+  tape.write(book('a', DAY1));
+  await tape.flush();
+  tape.write(book('a', DAY1 + 10 * 86_400_000));
+  await tape.flush();
+  assert.deepEqual(await fs.readdir(dir), ['2026-10-01', '2026-10-11']);
+
+  tape.write(book('a', DAY1 + 20 * 86_400_000));
+  await tape.close();
+  assert.deepEqual(await fs.readdir(dir), ['2026-10-11', '2026-10-21']);
+});